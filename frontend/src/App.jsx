@@ -1,13 +1,127 @@
 import "./App.css";
 import { useEffect, useMemo, useRef, useState } from "react";
-import { GoogleMap, Marker, InfoWindow, useJsApiLoader } from "@react-google-maps/api";
-import { apiFetch } from "./lib/apiClient";
+import {
+  GoogleMap,
+  Marker,
+  MarkerClusterer,
+  InfoWindow,
+  useJsApiLoader,
+} from "@react-google-maps/api";
+import { apiFetch, createRequestSlot, isAbortError } from "./lib/apiClient";
+import { ApiError, createApiClient } from "./lib/api";
+import { parsePlanDetails, parsePlanRole } from "./lib/apiSchemas";
+import { createTokenManager, tokenExpiresAt } from "./lib/authTokens";
+import { idbClearAll, idbGetAll, idbReplaceAll } from "./lib/offlineStore";
+import {
+  LOCAL_PLAN_PREFIX,
+  LOCAL_SPOT_PREFIX,
+  enqueueMutation,
+  isLocalId,
+  isNetworkError,
+  listMutations,
+  mutationTarget,
+  removeMutation,
+  replayMutations,
+  updateMutation,
+} from "./lib/mutationQueue";
+import { optimizeRouteOffThread } from "./lib/routeOptimizerClient";
+import {
+  DEFAULT_START_TIME,
+  buildTimeline,
+  formatTimeOfDay,
+  parseIsoDate,
+  parseTimeOfDay,
+  toIsoDate,
+} from "./lib/schedule";
+import { buildIcs } from "./lib/ics";
+import { downloadTextFile, toFileSlug } from "./lib/download";
+import { CLUSTER_STYLES, spotMarkerIcon } from "./lib/mapMarkers";
+import {
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+  DEFAULT_CATEGORY,
+  buildCategoryList,
+  categoryOf,
+  collectTags,
+  formatTags,
+  hasAllTags,
+  normalizeCategoryId,
+  normalizeTags,
+} from "./lib/categories";
+import { VIDEO_PLATFORMS, parseVideoUrl, validateVideoUrl } from "./lib/videoUrl";
+import { formatLatLng, parseLocationInput } from "./lib/locationInput";
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  mapWithConcurrency,
+  readImportFile,
+  toImportRecord,
+} from "./lib/importSpots";
+import { haversineKm } from "./lib/geo";
+import { SPOT_SORTS, formatDistanceKm, matchesSpotQuery, sortSpots } from "./lib/spotSearch";
+import {
+  RATING_VALUES,
+  addVisit,
+  formatVisitDate,
+  lastVisitDate,
+  normalizeRating,
+  normalizeVisits,
+  removeAutoVisit,
+  removeVisit,
+} from "./lib/spotJournal";
+import {
+  MAX_PHOTOS_PER_SPOT,
+  coverPhotoUrl,
+  deleteLocalPhoto,
+  isLocalPhotoUrl,
+  keepLocalPhotos,
+  normalizePhotos,
+  preparePhoto,
+  putToPresignedUrl,
+  readLocalPhoto,
+  resolveLocalPhotoUrl,
+  saveLocalPhoto,
+  withoutLocalPhotos,
+} from "./lib/photos";
+import { EXPORT_FORMATS, buildGeoExport } from "./lib/geoExport";
+import {
+  applyPlanOps,
+  emptyPlanDoc,
+  planDocSnapshots,
+  planDocToItems,
+  planItemsToOps,
+} from "./lib/planSync";
+import {
+  applyViewerProgress,
+  deleteViewerProgress,
+  newerProgress,
+  readViewerProgress,
+  writeViewerProgress,
+} from "./lib/viewerProgress";
+import { currentPath, isLibraryRoute, parseRoute, routePath } from "./lib/router";
+import {
+  KEEP_PADDING,
+  MAX_PAGES_PER_VIEW,
+  VIEW_PADDING,
+  WORLD_BOUNDS,
+  addLoadedArea,
+  boundsAround,
+  boundsContain,
+  boundsFromMap,
+  isAreaLoaded,
+  mergeAreaSpots,
+  padBounds,
+  pruneSpots,
+} from "./lib/spotIndex";
+import { NAV_PROVIDERS, NAV_TRAVEL_MODES, buildNavigationLinks } from "./lib/navigation";
 import addSpotHero from "./assets/banner.png";
 import anchoiLogo from "./assets/AnChoiLogo.png";
 
 export default function App() {
   const env = import.meta.env;
   const API_BASE = env.VITE_API_BASE_URL;
+  // "local" keeps spot photos in this browser instead of uploading them (see lib/photos.js).
+  const PHOTO_STORAGE = env.VITE_PHOTO_STORAGE === "local" ? "local" : "api";
   const cleanEnv = (v) => {
     if (typeof v !== "string") return "";
     return v.trim().replace(/^['"]|['"]$/g, "");
@@ -27,52 +141,99 @@ export default function App() {
 
   const AUTH_STORAGE_KEY = "anchoi_auth";
   const SAVED_PLANS_CACHE_KEY = "anchoi_saved_plans_cache";
+  const LOGIN_RETURN_KEY = "anchoi_login_return_to"; // path to go back to after /auth/callback
+
+  // private: owner only. unlisted: anyone with the link. public: link + may be listed by the backend.
+  const PLAN_VISIBILITY_OPTIONS = [
+    { value: "private", label: "Private" },
+    { value: "unlisted", label: "Unlisted link" },
+    { value: "public", label: "Public" },
+  ];
+  const DEFAULT_PLAN_VISIBILITY = "unlisted";
+
+  // Invited members either edit the plan with the owner or only follow it.
+  const PLAN_MEMBER_ROLES = [
+    { value: "editor", label: "Can edit" },
+    { value: "viewer", label: "Can view" },
+  ];
+  const PLAN_SYNC_INTERVAL_MS = 3000;
   const [authUser, setAuthUser] = useState(null); // { name, picture, email }
   const [isAuthLoading, setIsAuthLoading] = useState(false);
   const didInitRef = useRef(false); // Guard against double init/exchange in React 18 StrictMode (dev)
 
-  const saveAuthTokens = (tokens) => {
-    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(tokens));
-  };
+  // Refresh token handling lives in the manager; it clears storage itself when Cognito
+  // rejects the refresh token, so we only need to drop the signed-in UI here.
+  const tokenManager = useMemo(
+    () =>
+      createTokenManager({
+        domain: COGNITO_DOMAIN,
+        clientId: COGNITO_CLIENT_ID,
+        storageKey: AUTH_STORAGE_KEY,
+        onSessionExpired: () => {
+          sessionStorage.removeItem("pkce_verifier");
+          setAuthUser(null);
+          alert("Your session has expired. Please log in again.");
+        },
+      }),
+    [COGNITO_DOMAIN, COGNITO_CLIENT_ID]
+  );
 
-  const readAuthTokens = () => {
+  const saveAuthTokens = (tokens) => tokenManager.save(tokens);
+  const clearAuthTokens = () => tokenManager.clear();
+
+  // ---------- Offline store (IndexedDB) ----------
+  // Object stores are keyed by id, so remember list order explicitly.
+  const toCacheRows = (list) => (list || []).map((x, i) => ({ ...x, _cacheIndex: i }));
+  const fromCacheRows = (rows) =>
+    [...rows]
+      .sort((a, b) => a._cacheIndex - b._cacheIndex)
+      // eslint-disable-next-line no-unused-vars
+      .map(({ _cacheIndex, ...x }) => x);
+
+  const readSavedPlansCache = async () => {
+    // Entries cached before plans could be shared carry no role: they are our own.
+    const withRoles = (plans) => plans.map((p) => ({ ...p, role: parsePlanRole(p) }));
     try {
-      const raw = localStorage.getItem(AUTH_STORAGE_KEY);
-      return raw ? JSON.parse(raw) : null;
+      const rows = await idbGetAll("plans");
+      if (rows.length) return withRoles(fromCacheRows(rows));
     } catch {
-      return null;
+      // fall back to the pre-IndexedDB cache below
     }
-  };
-
-  const clearAuthTokens = () => {
-    localStorage.removeItem(AUTH_STORAGE_KEY);
-  };
-
-  const readSavedPlansCache = () => {
     try {
       const raw = localStorage.getItem(SAVED_PLANS_CACHE_KEY);
-      return raw ? JSON.parse(raw) : [];
+      return raw ? withRoles(JSON.parse(raw)) : [];
     } catch {
       return [];
     }
   };
 
   const writeSavedPlansCache = (plans) => {
+    idbReplaceAll("plans", toCacheRows(plans))
+      .then(() => localStorage.removeItem(SAVED_PLANS_CACHE_KEY))
+      .catch(() => {
+        // ignore cache write errors
+      });
+  };
+
+  const readLocalSpots = async () => {
     try {
-      localStorage.setItem(SAVED_PLANS_CACHE_KEY, JSON.stringify(plans || []));
+      return fromCacheRows(await idbGetAll("spots"));
     } catch {
-      // ignore cache write errors
+      return [];
     }
   };
 
+  // In-flight optimistic spots are not worth keeping; queued ones (local ids) are.
+  const writeLocalSpots = (list) => {
+    idbReplaceAll("spots", toCacheRows((list || []).filter((x) => !x._optimistic))).catch(() => {
+      // ignore cache write errors
+    });
+  };
+
   // IMPORTANT: API Gateway JWT authorizer (Cognito) commonly validates the ID token (aud claim).
   // Use id_token to call protected APIs.
-  const getIdToken = () => {
-    const t = readAuthTokens();
-    if (!t || !t.id_token) return null;
-    if (t.expires_at && Date.now() > t.expires_at) return null;
-    return t.id_token;
-  };
+  // Synchronous check for UI guards: true while we hold a usable or refreshable token.
+  const hasAuthSession = () => tokenManager.hasSession();
 
   const randomString = (len = 96) => {
     const bytes = new Uint8Array(len);
@@ -121,6 +282,7 @@ export default function App() {
     const verifier = randomString(96);
     const challenge = base64url(await sha256(verifier));
     sessionStorage.setItem("pkce_verifier", verifier);
+    sessionStorage.setItem(LOGIN_RETURN_KEY, currentPath());
 
     // Include profile scope by default so user pictures are available.
     const scopes = normalizeScopes(env.VITE_COGNITO_SCOPES || "openid email profile");
@@ -163,7 +325,7 @@ export default function App() {
     }
 
     const data = await res.json();
-    const expiresAt = Date.now() + Number(data.expires_in || 0) * 1000;
+    const expiresAt = tokenExpiresAt(data);
 
     const tokens = {
       access_token: data.access_token,
@@ -192,11 +354,28 @@ export default function App() {
     };
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const unsynced = syncQueue.length;
+    if (
+      unsynced &&
+      !window.confirm(
+        unsynced + " offline change(s) have not reached the server and will be lost. Log out anyway?"
+      )
+    ) {
+      return;
+    }
+
     clearAuthTokens();
     sessionStorage.removeItem("pkce_verifier");
     setAuthUser(null);
 
+    // The offline copy belongs to this account; don't leave it for the next one.
+    try {
+      await idbClearAll();
+    } catch {
+      // ignore cache clear errors
+    }
+
     if (!COGNITO_DOMAIN || !COGNITO_CLIENT_ID) {
       window.location.assign(window.location.origin + "/");
       return;
@@ -228,28 +407,33 @@ export default function App() {
           throw new Error(desc);
         }
 
-        let tokens = readAuthTokens();
-
         if (code) {
-          tokens = await exchangeCodeForTokens(code);
+          await exchangeCodeForTokens(code);
 
-          url.searchParams.delete("code");
-          url.searchParams.delete("state");
-          window.history.replaceState({}, "", url.pathname + url.search + url.hash);
+          // Back to the page the login started from.
+          const returnTo = sessionStorage.getItem(LOGIN_RETURN_KEY) || "/";
+          sessionStorage.removeItem(LOGIN_RETURN_KEY);
+          navigate(returnTo, { replace: true });
         }
 
-        const access = tokens && tokens.access_token;
+        // Refreshes silently when the stored access token has expired since the last visit.
+        const access = await tokenManager.getAccessToken();
         if (access) {
           const user = await loadUserFromUserInfo(access);
           if (user) setAuthUser(user);
         }
       } catch (e) {
         console.error(e);
+        // Expired sessions are already cleared (and reported) by the token manager.
+        if (e && e.code === "NO_AUTH") return;
+        // Offline or Cognito unreachable: the stored session is still good, try again next load.
+        if (isNetworkError(e)) return;
         clearAuthTokens();
         setAuthUser(null);
         alert("Login failed: " + (e && e.message ? e.message : "Unknown error"));
       } finally {
         setIsAuthLoading(false);
+        if (parseRoute(window.location).name === "authCallback") navigate("/", { replace: true });
       }
     };
 
@@ -260,67 +444,224 @@ export default function App() {
   // ========================
   // API helper: attach Authorization
   // ========================
-  const apiFetchAuthed = async (path, init = {}) => {
-    const token = getIdToken();
+  // opts go to apiFetch (timeoutMs, retries, cacheMs).
+  const apiFetchAuthed = async (path, init = {}, opts = {}) => {
+    const send = (token) => {
+      const headers = new Headers(init.headers || {});
+      headers.set("Authorization", "Bearer " + token);
+
+      if (!headers.has("Content-Type") && init.body) {
+        headers.set("Content-Type", "application/json");
+      }
+
+      // apiFetch() defaults to Amplify auth injection; disable it because we already
+      // attach Cognito Hosted UI token above.
+      return apiFetch(path, { ...init, headers }, { ...opts, auth: false });
+    };
+
+    const token = await tokenManager.getIdToken();
     if (!token) {
       const e = new Error("NO_AUTH");
       e.code = "NO_AUTH";
       throw e;
     }
 
-    const headers = new Headers(init.headers || {});
-    headers.set("Authorization", "Bearer " + token);
-
-    if (!headers.has("Content-Type") && init.body) {
-      headers.set("Content-Type", "application/json");
-    }
+    const res = await send(token);
+    if (res.status !== 401) return res;
 
-    // apiFetch() defaults to Amplify auth injection; disable it because we already
-    // attach Cognito Hosted UI token above.
-    return apiFetch(path, { ...init, headers }, { auth: false });
+    // The token can be revoked or expire server-side before our local clock says so:
+    // refresh once and retry. A rejected refresh token throws NO_AUTH and logs out.
+    const retryToken = await tokenManager.getIdToken({ forceRefresh: true });
+    if (!retryToken) return res;
+    return send(retryToken);
   };
 
+  // Spots and plans routes with parsed responses and typed errors (see lib/api.js).
+  const api = createApiClient({
+    authedFetch: apiFetchAuthed,
+    publicFetch: (path, init) => apiFetch(path, init, { auth: false }),
+  });
+
+  // A newer load of the spot list or of a shared plan cancels the one still in flight.
+  const [spotsRequest] = useState(createRequestSlot);
+  const [sharedPlanRequest] = useState(createRequestSlot);
+  useEffect(
+    () => () => {
+      spotsRequest.cancel();
+      sharedPlanRequest.cancel();
+    },
+    [spotsRequest, sharedPlanRequest]
+  );
+
+  // Refresh ahead of expiry so an idle tab still has valid tokens when the user comes back.
+  useEffect(() => {
+    if (!authUser) return;
+
+    const RETRY_BASE_MS = 30 * 1000;
+    const RETRY_MAX_MS = 10 * 60 * 1000;
+    let timer = null;
+    let failures = 0;
+    const schedule = (delay = tokenManager.msUntilRefresh()) => {
+      if (delay === null) return;
+      timer = setTimeout(async () => {
+        try {
+          await tokenManager.refresh();
+          failures = 0;
+          schedule();
+        } catch (err) {
+          // NO_AUTH means the manager already logged us out. Anything else (offline, Cognito
+          // 5xx) is tried again with backoff, never sooner than the token itself needs.
+          if (err && err.code === "NO_AUTH") return;
+          console.error("Token refresh failed:", err);
+          failures += 1;
+          const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1));
+          const due = tokenManager.msUntilRefresh();
+          schedule(due === null ? null : Math.max(due, backoff));
+        }
+      }, delay);
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [authUser, tokenManager]);
+
   // ==================================================
   // APP STATE
   // ==================================================
 
+  // -------- Route (see lib/router.js) --------
+  const [route, setRoute] = useState(() => parseRoute(window.location));
+
   // -------- Public share (read-only) --------
-  const [sharedPlanId, setSharedPlanId] = useState(null);
+  const sharedPlanId = route.name === "share" ? route.planId : null;
   const [, setIsLoadingSharedPlan] = useState(false);
+  const [sharedPlanError, setSharedPlanError] = useState(null); // "private" | "not_found" | "error"
+  const [syncViewerProgress, setSyncViewerProgress] = useState(false); // keep ticks on the account too
   const isPublicView = !!sharedPlanId;
 
   // -------- Form state --------
   const [videoUrl, setVideoUrl] = useState("");
   const [spotName, setSpotName] = useState("");
   const [address, setAddress] = useState("");
-  const [activeTab, setActiveTab] = useState("eat");
+  const [openTime, setOpenTime] = useState(""); // "HH:MM", optional
+  const [closeTime, setCloseTime] = useState("");
+  const [visitMinutes, setVisitMinutes] = useState("");
+  const [spotTags, setSpotTags] = useState(""); // comma-separated, see normalizeTags
+  // a category id or "plan"
+  const [activeTab, setActiveTab] = useState(() =>
+    route.name === "plan" ? "plan" : route.name === "category" ? route.categoryId : DEFAULT_CATEGORY
+  );
+
+  // -------- Categories & tags --------
+  const [customCategories, setCustomCategories] = useState([]); // [{ id, label, color, icon }]
+  const [activeTags, setActiveTags] = useState([]); // spots grid + map show spots with all of these
+  const [isCategoryManagerOpen, setIsCategoryManagerOpen] = useState(false);
+
+  // -------- Library search --------
+  const [spotFilters, setSpotFilters] = useState({
+    query: "",
+    allCategories: false, // search every category instead of the active tab
+    plan: "any", // "any" | "in" | "out"
+    visited: "any", // "any" | "visited" | "unvisited" (plan stop done or anything in the visit log)
+    minRating: 0,
+    sortBy: "newest", // see SPOT_SORTS
+  });
+  const [sortOrigin, setSortOrigin] = useState(null); // { lat, lng } for the distance sorts
+  const [isLocatingUser, setIsLocatingUser] = useState(false);
+  const [categoryDraft, setCategoryDraft] = useState(null); // { id | null, label, color, icon }
 
   // -------- Data state --------
   const [spots, setSpots] = useState([]);
   const [selectedSpot, setSelectedSpot] = useState(null);
+  const [playingVideoKey, setPlayingVideoKey] = useState(null); // only one embedded player at a time
   const [sharedSpotDetailsById, setSharedSpotDetailsById] = useState({});
 
   // -------- Plan state --------
-  const [planItems, setPlanItems] = useState([]);
+  const [planItems, setPlanItems] = useState([]); // [{ spotId, visited, day }] in visiting order per day
+  const [planDays, setPlanDays] = useState([{ label: "" }]); // one entry per trip day
+  const [activeDay, setActiveDay] = useState(0);
   const [followMode, setFollowMode] = useState(true);
+  const [mapLayers, setMapLayers] = useState({
+    hiddenCategories: [],
+    onlyPlan: false,
+    hideVisited: false,
+  });
+  const [routeOptions, setRouteOptions] = useState({
+    fixFirst: false,
+    fixLast: false,
+    roundTrip: false,
+  });
+  const [routeStats, setRouteStats] = useState(null); // { beforeKm, afterKm } of the last optimize
+  const [isOptimizingRoute, setIsOptimizingRoute] = useState(false);
+  const [isNavigateOpen, setIsNavigateOpen] = useState(false);
+  const [navigateOptions, setNavigateOptions] = useState({
+    provider: "google",
+    startFrom: "current", // "current" | "next" (the next unvisited stop)
+    travelMode: "driving",
+  });
+  const [planStartDate, setPlanStartDate] = useState(() => toIsoDate(new Date())); // date of day 1
+  const [planStartTime, setPlanStartTime] = useState(DEFAULT_START_TIME);
 
   // -------- Persisted plan --------
   const [planName, setPlanName] = useState("");
+  const [planVisibility, setPlanVisibility] = useState(DEFAULT_PLAN_VISIBILITY);
   const [isSavingPlan, setIsSavingPlan] = useState(false);
   const [savedPlan, setSavedPlan] = useState(null);
   const [savedPlans, setSavedPlans] = useState([]);
   const [isLoadingSavedPlans, setIsLoadingSavedPlans] = useState(false);
   const [deletingPlanId, setDeletingPlanId] = useState(null);
+  const [openingPlanId, setOpeningPlanId] = useState(null);
+  const [updatingVisibilityPlanId, setUpdatingVisibilityPlanId] = useState(null);
+  const [isForkingPlan, setIsForkingPlan] = useState(false); // "Save a copy" of a shared plan
+
+  // -------- Plan collaboration --------
+  const [planRole, setPlanRole] = useState(null); // "owner" | "editor" | "viewer" for the open plan
+  const [planMembers, setPlanMembers] = useState([]); // [{ memberId, email, name, picture, role, status }]
+  const [isMembersOpen, setIsMembersOpen] = useState(false);
+  const [memberInvite, setMemberInvite] = useState({ email: "", role: "editor" });
+  const [isInvitingMember, setIsInvitingMember] = useState(false);
+  const [planPresence, setPlanPresence] = useState([]); // other people with the plan open right now
+  const [planSyncStatus, setPlanSyncStatus] = useState(null); // "live" | "offline"
+  const [syncActor] = useState(() => "tab-" + crypto.randomUUID()); // stamps this tab's edits
+
+  // -------- Spot editing --------
+  // Draft of the spot being edited; `where` is "card" or "map" (InfoWindow).
+  const [spotDraft, setSpotDraft] = useState(null);
+  const [isSavingSpotEdit, setIsSavingSpotEdit] = useState(false);
+  const [isLocatingDraft, setIsLocatingDraft] = useState(false);
+  // Open notes/visit-log panel: { spotId, where, notes, visitDate }.
+  const [journalDraft, setJournalDraft] = useState(null);
+
+  // -------- Photos --------
+  const [uploadingPhotoSpotId, setUploadingPhotoSpotId] = useState(null);
+  const [photoViewer, setPhotoViewer] = useState(null); // { spotId, index }
+  const [localPhotoUrls, setLocalPhotoUrls] = useState({}); // "local-photo:..." -> object URL
+
+  // -------- Import --------
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [importFile, setImportFile] = useState(null); // { name, format, columns, rows }
+  const [importMapping, setImportMapping] = useState({}); // field key -> column name
+  const [importCategory, setImportCategory] = useState(DEFAULT_CATEGORY);
+  const [importResults, setImportResults] = useState([]); // per row { status, message }
+  const [isImporting, setIsImporting] = useState(false);
 
   // -------- UX state --------
   const [isLoadingSpots, setIsLoadingSpots] = useState(false);
+  // More spots in the map view than one load brings in (see MAX_PAGES_PER_VIEW).
+  const [isSpotViewTruncated, setIsSpotViewTruncated] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [syncQueue, setSyncQueue] = useState([]); // queued offline mutations, oldest first
 
   // -------- Refs --------
   const mapRef = useRef(null);
   const geoCacheRef = useRef(new Map());
   const planSectionRef = useRef(null);
   const spotsSectionRef = useRef(null);
+  // Merge state of the live plan: { planId, doc, cursor, synced (JSON of items), pending ops }.
+  const planSyncRef = useRef({ planId: null, doc: emptyPlanDoc(), cursor: null, synced: "", pending: [] });
+  // Shared plan whose viewer progress is being saved: { planId, baseSpotIds, saved (last written) }.
+  const viewerProgressRef = useRef({ planId: null, baseSpotIds: [], saved: "" });
 
   const defaultCenter = useMemo(() => ({ lat: 10.819655, lng: 106.63331 }), []); // HCM
 
@@ -330,54 +671,38 @@ export default function App() {
 
   // ---------- Helpers ----------
   const getSpotById = (id) => spots.find((s) => s.id === id);
-  const normalizedActiveCategory = activeTab === "explore" ? "explore" : "eat";
+  const categories = useMemo(() => buildCategoryList(customCategories, spots), [customCategories, spots]);
+  const categoryById = new Map(categories.map((c) => [c.id, c]));
+  const categoryStyle = (id) => categoryById.get(id) || categoryById.get(DEFAULT_CATEGORY);
+  // The "plan" tab keeps adding spots to the default category.
+  const normalizedActiveCategory = categoryById.has(activeTab) ? activeTab : DEFAULT_CATEGORY;
+  const availableTags = useMemo(() => collectTags(spots), [spots]);
+  // The spots grid and the map both show this list (the map adds the plan's stops, see mapSpots).
   const visibleSpots = useMemo(() => {
-    if (isPublicView) return spots;
-    return spots.filter((s) => {
-      const category = typeof s.category === "string" ? s.category.toLowerCase() : "eat";
-      return category === normalizedActiveCategory;
-    });
-  }, [spots, isPublicView, normalizedActiveCategory]);
-
-  const haversineKm = (a, b) => {
-    const R = 6371;
-    const toRad = (x) => (x * Math.PI) / 180;
-    const dLat = toRad(b.lat - a.lat);
-    const dLng = toRad(b.lng - a.lng);
-    const lat1 = toRad(a.lat);
-    const lat2 = toRad(b.lat);
-
-    const h =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
-
-    return 2 * R * Math.asin(Math.sqrt(h));
-  };
-
-  const orderByNearest = (start, spotList) => {
-    const remaining = [...spotList];
-    const ordered = [];
-    let current = start;
-
-    while (remaining.length) {
-      let bestIdx = 0;
-      let bestDist = Infinity;
-
-      for (let i = 0; i < remaining.length; i++) {
-        const d = haversineKm(current, remaining[i]);
-        if (d < bestDist) {
-          bestDist = d;
-          bestIdx = i;
-        }
+    const planById = new Map(planItems.map((x) => [x.spotId, x]));
+    const filtered = spots.filter((s) => {
+      if (!isPublicView && !spotFilters.allCategories && categoryOf(s) !== normalizedActiveCategory) {
+        return false;
       }
+      if (!hasAllTags(s, activeTags) || !matchesSpotQuery(s, spotFilters.query)) return false;
+      const item = planById.get(s.id);
+      if (spotFilters.plan === "in" && !item) return false;
+      if (spotFilters.plan === "out" && item) return false;
+      const visited = !!(item && item.visited) || normalizeVisits(s.visits).length > 0;
+      if (spotFilters.visited === "visited" && !visited) return false;
+      if (spotFilters.visited === "unvisited" && visited) return false;
+      if (spotFilters.minRating && (normalizeRating(s.rating) || 0) < spotFilters.minRating) return false;
+      return true;
+    });
+    return sortSpots(filtered, { sortBy: spotFilters.sortBy, origin: sortOrigin });
+  }, [spots, planItems, isPublicView, normalizedActiveCategory, activeTags, spotFilters, sortOrigin]);
 
-      const next = remaining.splice(bestIdx, 1)[0];
-      ordered.push(next);
-      current = next;
-    }
-
-    return ordered;
-  };
+  const hasSpotFilters =
+    !!spotFilters.query.trim() ||
+    spotFilters.plan !== "any" ||
+    spotFilters.visited !== "any" ||
+    spotFilters.minRating > 0 ||
+    activeTags.length > 0;
 
   const focusSpot = (spot) => {
     if (!spot) return;
@@ -387,153 +712,229 @@ export default function App() {
     setSelectedSpot({ ...spot, lat, lng });
   };
 
+  const dayOf = (item) => (typeof item.day === "number" && item.day >= 0 ? item.day : 0);
+  const dayItems = planItems.filter((x) => dayOf(x) === activeDay);
+  const dayLabel = (i) => (planDays[i] && planDays[i].label) || "Day " + (i + 1);
+
+  const spotForItem = (item) => getSpotById(item.spotId) || sharedSpotDetailsById[item.spotId] || null;
+  // Spot details stored with a plan so people without the spot in their library can see it.
+  const planSpotSnapshot = (spot) => ({
+    spotName: spot.spotName || "",
+    address: spot.address || "",
+    videoUrl: spot.videoUrl || "",
+    lat: Number.isFinite(spot.lat) ? spot.lat : null,
+    lng: Number.isFinite(spot.lng) ? spot.lng : null,
+    openTime: spot.openTime || "",
+    closeTime: spot.closeTime || "",
+    visitMinutes: spot.visitMinutes || null,
+    category: categoryOf(spot),
+    tags: normalizeTags(spot.tags),
+    coverPhotoUrl: coverPhotoUrl(spot, { shareable: true }),
+  });
+  const planStartMinutes = parseTimeOfDay(planStartTime) ?? parseTimeOfDay(DEFAULT_START_TIME);
+  const timelineForDay = (day) =>
+    buildTimeline(planItems.filter((x) => dayOf(x) === day).map(spotForItem), {
+      startMinutes: planStartMinutes,
+    });
+  // Estimated arrival/departure per stop of the active day, in dayItems order.
+  const dayTimeline = timelineForDay(activeDay);
+  const closedStopsCount = dayTimeline.filter((t) => t.closedOnArrival).length;
+
+  const formatOpeningHours = (spot) =>
+    spot && parseTimeOfDay(spot.openTime) !== null && parseTimeOfDay(spot.closeTime) !== null
+      ? spot.openTime + "–" + spot.closeTime
+      : "";
+
   const focusNextUnvisited = () => {
-    const next = planItems.find((x) => !x.visited);
+    const next = dayItems.find((x) => !x.visited);
     if (!next) return;
     const spot = getSpotById(next.spotId);
     if (spot) focusSpot(spot);
   };
 
-  // ---------- Shared plan id from URL ----------
-  const getPlanIdFromUrl = () => {
-    const url = new URL(window.location.href);
+  // ---------- Routing ----------
+  const tabPath = (tab) =>
+    routePath(tab === "plan" ? { name: "plan" } : { name: "category", categoryId: tab }, {
+      defaultCategory: DEFAULT_CATEGORY,
+    });
 
-    const q1 = url.searchParams.get("plan");
-    if (q1) return q1;
+  // Entries we add carry their position in history, so a cancelled back/forward can step back
+  // with history.go() instead of pushing a second copy of the page we never left.
+  const historyIndexRef = useRef(typeof window.history.state?.idx === "number" ? window.history.state.idx : 0);
+  const restoringHistoryRef = useRef(false);
 
-    // hash routing (#/?plan=abc)
-    const hash = (url.hash || "").startsWith("#") ? url.hash.slice(1) : url.hash || "";
-    if (hash.includes("?")) {
-      const hashQuery = hash.split("?")[1] || "";
-      const hp = new URLSearchParams(hashQuery);
-      const q2 = hp.get("plan");
-      if (q2) return q2;
-    }
+  const navigate = (path, { replace = false } = {}) => {
+    if (path === currentPath()) return;
+    if (!replace) historyIndexRef.current += 1;
+    window.history[replace ? "replaceState" : "pushState"]({ idx: historyIndexRef.current }, "", path);
+    setRoute(parseRoute(window.location));
+  };
+
+  // Tab clicks only change the URL on library pages; a shared or open plan keeps its own.
+  const selectTab = (tab) => {
+    setActiveTab(tab);
+    if (isLibraryRoute(route)) navigate(tabPath(tab));
+  };
 
-    // #/share/<id>
-    if (hash.includes("/share/")) {
-      const parts = hash.split("/share/");
-      if (parts[1]) return decodeURIComponent(parts[1].split("?")[0]);
+  // Old ?plan= and #/share/ links move to their /share/ path.
+  useEffect(() => {
+    if (typeof window.history.state?.idx !== "number") {
+      window.history.replaceState({ idx: historyIndexRef.current }, "");
     }
+    if (route.legacy) navigate(routePath(route), { replace: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Back/forward: leaving a shared or open plan closes it the way its buttons would.
+  const hasUnsavedPlan = !livePlanId && planItems.length > 0;
+  useEffect(() => {
+    const onPopState = (event) => {
+      const idx = typeof event.state?.idx === "number" ? event.state.idx : null;
+      if (restoringHistoryRef.current) {
+        restoringHistoryRef.current = false;
+        return;
+      }
+
+      const next = parseRoute(window.location);
+      const leavesPlan = route.name === "editPlan" && (next.name !== "editPlan" || next.planId !== route.planId);
+      if (
+        leavesPlan &&
+        hasUnsavedPlan &&
+        !window.confirm("Close this plan? Changes you haven't saved will be lost.")
+      ) {
+        // Entries without an index predate the app (a hash change): assume it was Back.
+        const delta = idx === null ? 1 : historyIndexRef.current - idx;
+        if (delta) {
+          restoringHistoryRef.current = true;
+          window.history.go(delta);
+        }
+        return;
+      }
+      if (idx !== null) historyIndexRef.current = idx;
+      if (route.name === "share" && next.name !== "share") resetSharedPlanState();
+      if (leavesPlan && next.name !== "editPlan") resetPlanState();
+      if (route.name === "spot" && next.name !== "spot") setSelectedSpot(null);
+      setRoute(next);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [route, hasUnsavedPlan]);
 
-    // /share/<id>
-    if (url.pathname.includes("/share/")) {
-      const parts = url.pathname.split("/share/");
-      if (parts[1]) return decodeURIComponent(parts[1].split("/")[0]);
+  useEffect(() => {
+    if (route.name === "home" || route.name === "category" || route.name === "plan") {
+      setActiveTab(route.name === "plan" ? "plan" : route.categoryId || DEFAULT_CATEGORY);
     }
+  }, [route]);
 
-    return null;
-  };
+  // /spots/:spotId opens the spot's InfoWindow as soon as the spot is loaded. Spots outside the
+  // map view aren't, so that one is fetched on its own and the map follows it there.
+  const requestedSpotIdRef = useRef(null);
+  useEffect(() => {
+    if (route.name !== "spot" || (selectedSpot && selectedSpot.id === route.spotId)) return;
+    const spot = getSpotById(route.spotId);
+    if (spot) {
+      focusSpot(spot);
+      return;
+    }
+    if (!authUser || isLocalId(route.spotId) || requestedSpotIdRef.current === route.spotId) return;
+    requestedSpotIdRef.current = route.spotId;
+    api.spots.get(route.spotId).then(
+      (found) => updatePrivateSpots((prev) => (prev.some((s) => s.id === found.id) ? prev : [...prev, found])),
+      (err) => {
+        if (err.kind !== "not_found" && err.code !== "NO_AUTH") console.error(err);
+      }
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [route, spots, authUser]);
 
+  // ...and selecting a spot on a library page gives it that URL (closing the window drops it).
+  const lastSelectedIdRef = useRef(null);
   useEffect(() => {
-    const planId = getPlanIdFromUrl();
-    setSharedPlanId(planId);
-  }, []);
+    const id = selectedSpot ? selectedSpot.id : null;
+    if (id === lastSelectedIdRef.current) return;
+    lastSelectedIdRef.current = id;
+    if (!isLibraryRoute(route)) return;
+    if (id && !isLocalId(id)) navigate(routePath({ name: "spot", spotId: id }), { replace: route.name === "spot" });
+    else if (!id && route.name === "spot") navigate(tabPath(activeTab), { replace: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedSpot]);
+
+  const isValidSpotForMap = (x) => x && Number.isFinite(x.lat) && Number.isFinite(x.lng);
+
+  const toDetailsMap = (details) => {
+    const detailsMap = {};
+    for (const s of details) detailsMap[s.id] = s;
+    return detailsMap;
+  };
 
   const loadSharedPlan = async (planId) => {
     if (!API_BASE || !planId) return;
 
+    const signal = sharedPlanRequest.next();
     setIsLoadingSharedPlan(true);
+    setSharedPlanError(null);
+    setPlanRole(null);
+    setPlanMembers([]);
+    // Nothing is saved for this plan until its progress has been loaded below.
+    viewerProgressRef.current = { planId: null, baseSpotIds: [], saved: "" };
     try {
-      const res = await fetch(API_BASE + "/public/plans/" + encodeURIComponent(planId));
-      if (!res.ok) {
-        const t = await res.text();
-        throw new Error("GET public plan failed: " + res.status + " " + t);
+      // Signed-in members can open private plans too; everyone else goes through the public route.
+      const memberPlan = hasAuthSession() ? await fetchPlanAsMember(planId, { signal }) : null;
+      let plan = memberPlan;
+      if (!plan) {
+        try {
+          plan = await api.publicPlans.get(planId, { signal });
+        } catch (err) {
+          // Private plans are refused by the public route; show that instead of an error popup.
+          if (err instanceof ApiError && (err.kind === "auth" || err.kind === "not_found")) {
+            setSharedPlanError(err.kind === "not_found" ? "not_found" : "private");
+            setPlanName("");
+            setPlanItems([]);
+            setSpots([]);
+            setSharedSpotDetailsById({});
+            setSelectedSpot(null);
+            return;
+          }
+          throw err;
+        }
       }
 
-      const data = await res.json();
-      setPlanName((data && data.name) || "Shared plan");
-
-      const getSpotId = (x) => {
-        if (typeof x?.id === "string" && x.id) return x.id;
-        if (typeof x?.spotId === "string" && x.spotId) return x.spotId;
-        if (typeof x?.spotID === "string" && x.spotID) return x.spotID;
-        if (typeof x?.sk === "string" && x.sk.startsWith("SPOT#")) return x.sk.slice(5);
-        return null;
-      };
+      setPlanName(plan.name || "Shared plan");
 
-      const toNumber = (v) => {
-        if (typeof v === "number") return v;
-        if (typeof v === "string") {
-          const n = parseFloat(v);
-          return Number.isFinite(n) ? n : NaN;
-        }
-        return NaN;
-      };
+      setSharedSpotDetailsById(toDetailsMap(plan.details));
+      setSpots(plan.details.filter(isValidSpotForMap));
 
-      const normalizeSpot = (x) => {
-        const id = getSpotId(x);
-        const lat = toNumber(x?.lat ?? x?.latitude ?? x?.location?.lat);
-        const lng = toNumber(x?.lng ?? x?.longitude ?? x?.location?.lng);
-        return {
-          id,
-          spotName: x?.spotName || x?.name || x?.title || "",
-          address: x?.address || x?.formattedAddress || "",
-          videoUrl: x?.videoUrl || x?.videoURL || x?.url || "",
-          lat,
-          lng,
-        };
+      // Pick up where this viewer left off on the plan.
+      const progress = await loadViewerProgress(planId);
+      if (signal.aborted) return;
+      const items = applyViewerProgress(plan.items, progress, plan.days.length);
+      const sync = !!(progress && progress.sync);
+      viewerProgressRef.current = {
+        planId,
+        baseSpotIds: plan.items.map((x) => x.spotId),
+        saved: JSON.stringify(items) + sync,
       };
-
-      const isValidSpotDetail = (x) =>
-        x &&
-        typeof x.id === "string" &&
-        x.id.trim().length > 0 &&
-        typeof x.spotName === "string" &&
-        x.spotName.trim().length > 0 &&
-        typeof x.address === "string" &&
-        x.address.trim().length > 0;
-
-      const isValidSpotForMap = (x) =>
-        isValidSpotDetail(x) && Number.isFinite(x.lat) && Number.isFinite(x.lng);
-
-      const rawSpots = Array.isArray(data && data.spots) ? data.spots : [];
-      const rawItems = Array.isArray(data && data.items) ? data.items : [];
-
-      // Support both payload shapes:
-      // 1) data.spots contains snapshots
-      // 2) data.items already include spot snapshot fields
-      const derivedFromItems = rawItems.filter(
-        (x) => x && (x.spotName || x.name || x.address || x.formattedAddress)
-      );
-
-      const merged = [...rawSpots, ...derivedFromItems]
-        .map(normalizeSpot)
-        .filter(isValidSpotDetail);
-
-      if (merged.length) {
-        const byId = new Map();
-        for (const s of merged) byId.set(s.id, s);
-        const allDetails = Array.from(byId.values());
-        const detailsMap = {};
-        for (const s of allDetails) detailsMap[s.id] = s;
-        setSharedSpotDetailsById(detailsMap);
-        setSpots(allDetails.filter(isValidSpotForMap));
-      } else {
-        setSharedSpotDetailsById({});
-        setSpots([]);
-      }
-
-      const items = (data && data.items) || [];
-      const normalized = items
-        .map((x) => ({
-          spotId: x.spotId,
-          visited: !!x.visited,
-          order: typeof x.order === "number" ? x.order : 0,
-        }))
-        .filter((x) => typeof x.spotId === "string" && x.spotId.length > 0)
-        .sort((a, b) => a.order - b.order)
-        .map((x) => ({ spotId: x.spotId, visited: x.visited }));
-
-      setPlanItems(normalized);
+      setSyncViewerProgress(sync);
+
+      setPlanItems(items);
+      setPlanDays(plan.days);
+      setActiveDay(0);
+      setPlanStartDate(plan.startDate || toIsoDate(new Date()));
+      setPlanStartTime(plan.startTime || DEFAULT_START_TIME);
+      setRouteStats(null);
       setSavedPlan(null);
+      setPlanRole(memberPlan ? memberPlan.role || "owner" : null);
+      // Plans from before visibility settings only had public links.
+      setPlanVisibility(plan.visibility || "public");
       setFollowMode(true);
       setSelectedSpot(null);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error(err);
+      setSharedPlanError("error");
       alert("Failed to load shared plan. Check console.");
     } finally {
-      setIsLoadingSharedPlan(false);
+      if (!signal.aborted) setIsLoadingSharedPlan(false);
     }
   };
 
@@ -542,78 +943,253 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [sharedPlanId, API_BASE]);
 
-  useEffect(() => {
-    if (!isPublicView) setSharedSpotDetailsById({});
-  }, [isPublicView]);
-
   // ---------- Load spots (PRIVATE) ----------
-  const loadSpotsPrivate = async () => {
-    if (!API_BASE) return;
+  const updatePrivateSpots = (updater) => {
+    setSpots((prev) => {
+      const next = updater(prev);
+      writeLocalSpots(next);
+      return next;
+    });
+  };
 
-    setIsLoadingSpots(true);
-    try {
-      const res = await apiFetchAuthed("/spots", { method: "GET" });
-      if (!res.ok) throw new Error("HTTP " + res.status);
+  // Spots from POST/PATCH responses; fields the server left out fall back to what we sent.
+  const normalizeSpotResponse = (data, fallback = {}) => ({
+    ...data,
+    category: normalizeCategoryId(data.category || fallback.category),
+    tags: normalizeTags(data.tags ?? fallback.tags),
+    rating: normalizeRating(data.rating ?? fallback.rating),
+    notes: typeof (data.notes ?? fallback.notes) === "string" ? data.notes ?? fallback.notes : "",
+    visits: normalizeVisits(data.visits ?? fallback.visits),
+    photos: keepLocalPhotos(data.photos ?? fallback.photos, fallback.photos),
+    createdAt: data.createdAt || fallback.createdAt || null,
+  });
 
-      const data = await res.json();
-      const raw = Array.isArray(data) ? data : (data && data.items) || [];
+  // Device-only photo urls stay off the server record; with API storage they are uploaded from
+  // the offline queue instead (see uploadSpotPhotos).
+  const toServerSpotBody = (body) => (PHOTO_STORAGE === "api" ? withoutLocalPhotos(body) : body);
 
-      const spotsArray = raw
-        .map((x) => {
-          const lat = typeof x.lat === "string" ? parseFloat(x.lat) : x.lat;
-          const lng = typeof x.lng === "string" ? parseFloat(x.lng) : x.lng;
-          return {
-            ...x,
-            lat,
-            lng,
-            category:
-              typeof x?.category === "string" && x.category.trim()
-                ? x.category.toLowerCase()
-                : "eat",
-          };
-        })
-        .filter(
-          (x) =>
-            x &&
-            typeof x.id === "string" &&
-            typeof x.spotName === "string" &&
-            x.spotName.trim().length > 0 &&
-            typeof x.address === "string" &&
-            x.address.trim().length > 0 &&
-            Number.isFinite(x.lat) &&
-            Number.isFinite(x.lng)
-        );
+  // Spots are loaded per map area (see lib/spotIndex.js): areas that came back complete are
+  // remembered, so panning back over them doesn't ask again.
+  const loadedAreasRef = useRef([]);
+  const viewLoadTimerRef = useRef(null);
+  const VIEW_LOAD_DELAY_MS = 400;
+
+  // Loads the spots around the map view. refresh forgets the loaded areas and shows the offline
+  // copy first (sign-in, queued edits reaching the server).
+  const loadSpotsPrivate = async ({ refresh = false } = {}) => {
+    if (!API_BASE) return;
+
+    if (refresh) loadedAreasRef.current = [];
+    const mapBounds = mapRef.current && mapRef.current.getBounds();
+    const view = mapBounds ? boundsFromMap(mapBounds) : null;
+    if (!refresh && (!view || isAreaLoaded(loadedAreasRef.current, view))) return;
 
-      setSpots(spotsArray);
+    const signal = spotsRequest.next();
+    setIsLoadingSpots(true);
+    try {
+      // Show the offline copy right away; the server answer is merged in below.
+      if (refresh) {
+        const local = await readLocalSpots();
+        if (local.length) setSpots(local);
+      }
+      // The map hasn't reported its bounds yet; its first idle event loads the view.
+      if (!view) return;
+
+      const area = padBounds(view, VIEW_PADDING);
+      let fetched = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const page = await api.spots.inBounds(area, { cursor, signal });
+        fetched = fetched.concat(page.spots);
+        cursor = page.nextCursor;
+        pages++;
+      } while (cursor && pages < MAX_PAGES_PER_VIEW);
+      const complete = !cursor;
+
+      // Keep spots created offline and hide ones deleted offline until the queue replays.
+      const queue = await listMutations().catch(() => []);
+      const pendingCreates = new Set(
+        queue.filter((m) => m.type === "spot.create").map(mutationTarget)
+      );
+      const pendingDeletes = new Set(
+        queue.filter((m) => m.type === "spot.delete").map(mutationTarget)
+      );
+      const pendingEdits = new Map(
+        queue.filter((m) => m.type === "spot.update").map((m) => [mutationTarget(m), m.payload.body])
+      );
+      // Photos waiting to be uploaded aren't on the server's copy yet.
+      const pendingPhotos = new Map();
+      for (const m of queue.filter((x) => x.type === "photo.upload")) {
+        const target = mutationTarget(m);
+        pendingPhotos.set(target, [...(pendingPhotos.get(target) || []), m.payload.photo]);
+      }
+      const withPendingPhotos = (s) =>
+        pendingPhotos.has(s.id) ? { ...s, photos: keepLocalPhotos(s.photos, pendingPhotos.get(s.id)) } : s;
+      const fromServer = fetched
+        .filter((s) => !pendingDeletes.has(s.id))
+        .map((s) => (pendingEdits.has(s.id) ? { ...s, ...pendingEdits.get(s.id) } : s))
+        .map(withPendingPhotos);
+
+      // Plan stops and the open spot stay loaded wherever the map goes.
+      const planSpotIds = new Set(planItems.map((x) => x.spotId));
+      const keep = (s) =>
+        pendingCreates.has(s.id) || isLocalId(s.id) || planSpotIds.has(s.id) || (selectedSpot && selectedSpot.id === s.id);
+      const keepArea = padBounds(view, KEEP_PADDING);
+
+      updatePrivateSpots((prev) =>
+        pruneSpots(mergeAreaSpots(prev, fromServer, { area, complete, keep }), keepArea, keep)
+      );
+      // Far areas may have been pruned; they load again when the map gets back there.
+      const areas = complete ? addLoadedArea(loadedAreasRef.current, area) : loadedAreasRef.current;
+      loadedAreasRef.current = areas.filter((x) => boundsContain(keepArea, x));
+      setIsSpotViewTruncated(!complete);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("Load spots failed:", err);
       if (err && err.code === "NO_AUTH") return;
+      // Offline: keep showing the local copy.
+      if (isNetworkError(err)) return;
       alert("Failed to load spots (protected route). Please sign in and try again.");
     } finally {
-      setIsLoadingSpots(false);
+      if (!signal.aborted) setIsLoadingSpots(false);
     }
   };
 
+  // Panning and zooming fire idle events in bursts; load once the map has settled.
+  const scheduleViewLoad = () => {
+    if (isPublicView || !authUser || !hasAuthSession()) return;
+    clearTimeout(viewLoadTimerRef.current);
+    viewLoadTimerRef.current = setTimeout(() => loadSpotsPrivate(), VIEW_LOAD_DELAY_MS);
+  };
+
+  useEffect(() => () => clearTimeout(viewLoadTimerRef.current), []);
+
   const openSharedPlan = (planId) => {
     if (!planId) return;
-    const nextUrl = new URL(window.location.href);
-    nextUrl.searchParams.set("plan", planId);
-    window.history.pushState({}, "", nextUrl.pathname + nextUrl.search + nextUrl.hash);
-    setSharedPlanId(planId);
+    navigate(routePath({ name: "share", planId }));
   };
 
-  const closeSharedPlan = () => {
-    const nextUrl = new URL(window.location.href);
-    nextUrl.searchParams.delete("plan");
-    window.history.pushState({}, "", nextUrl.pathname + nextUrl.search + nextUrl.hash);
-    setSharedPlanId(null);
+  // ---------- Viewer progress on shared plans ----------
+  const viewerProgressPath = (planId) => "/plans/" + encodeURIComponent(planId) + "/progress";
+
+  // Device copy, or the account copy when the viewer syncs and it is newer.
+  const loadViewerProgress = async (planId) => {
+    const local = await readViewerProgress(planId);
+    if (!hasAuthSession() || !navigator.onLine) return local;
+    try {
+      const res = await apiFetchAuthed(viewerProgressPath(planId), { method: "GET" });
+      // 404: nothing saved on the account (or a backend without progress yet).
+      if (!res.ok) return local;
+      const remote = await res.json();
+      return newerProgress(local, remote && Array.isArray(remote.items) ? { ...remote, planId, sync: true } : null);
+    } catch (err) {
+      if (err && err.code !== "NO_AUTH" && !isNetworkError(err)) console.error(err);
+      return local;
+    }
+  };
+
+  const sendViewerProgress = async (planId, progress) => {
+    try {
+      const res = await apiFetchAuthed(
+        viewerProgressPath(planId),
+        progress
+          ? {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              items: progress.items,
+              baseSpotIds: progress.baseSpotIds,
+              updatedAt: progress.updatedAt,
+            }),
+          }
+          : { method: "DELETE" }
+      );
+      if (!res.ok && res.status !== 404) throw new Error("Viewer progress sync failed: " + res.status);
+    } catch (err) {
+      // The device copy is still there; the next change tries again.
+      if (err && err.code !== "NO_AUTH" && !isNetworkError(err)) console.error(err);
+    }
+  };
+
+  // Every change in public view is kept on the device; synced viewers also send it (debounced).
+  useEffect(() => {
+    const ref = viewerProgressRef.current;
+    if (!isPublicView || !sharedPlanId || ref.planId !== sharedPlanId) return;
+
+    const key = JSON.stringify(planItems) + syncViewerProgress;
+    if (key === ref.saved) return;
+    ref.saved = key;
+
+    const progress = {
+      planId: sharedPlanId,
+      items: planItems,
+      baseSpotIds: ref.baseSpotIds,
+      sync: syncViewerProgress,
+      updatedAt: new Date().toISOString(),
+    };
+    writeViewerProgress(progress);
+    if (!syncViewerProgress || !hasAuthSession()) return;
+
+    const timer = setTimeout(() => sendViewerProgress(sharedPlanId, progress), 1000);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [planItems, sharedPlanId, isPublicView, syncViewerProgress]);
+
+  // Turning sync off also removes the account copy.
+  const toggleViewerProgressSync = () => {
+    if (!syncViewerProgress && !hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+    if (syncViewerProgress && sharedPlanId && hasAuthSession()) sendViewerProgress(sharedPlanId, null);
+    setSyncViewerProgress((v) => !v);
+  };
+
+  const resetSharedPlan = async () => {
+    if (!sharedPlanId) return;
+    const where = syncViewerProgress ? "on this device and your account" : "on this device";
+    if (!window.confirm("Reset to the shared plan? Your ticks, removals and order " + where + " will be lost.")) {
+      return;
+    }
+
+    viewerProgressRef.current = { planId: null, baseSpotIds: [], saved: "" };
+    if (syncViewerProgress) {
+      // A record without items resets the plan but keeps the viewer's choice to sync.
+      await writeViewerProgress({
+        planId: sharedPlanId,
+        items: null,
+        baseSpotIds: [],
+        sync: true,
+        updatedAt: new Date().toISOString(),
+      });
+      if (hasAuthSession()) await sendViewerProgress(sharedPlanId, null);
+    } else {
+      await deleteViewerProgress(sharedPlanId);
+    }
+    loadSharedPlan(sharedPlanId);
+  };
+
+  const resetSharedPlanState = () => {
+    setSharedPlanError(null);
     setSavedPlan(null);
+    setPlanRole(null);
+    setPlanMembers([]);
     setPlanName("");
     setPlanItems([]);
+    setPlanDays([{ label: "" }]);
+    setActiveDay(0);
+    setPlanStartDate(toIsoDate(new Date()));
+    setPlanStartTime(DEFAULT_START_TIME);
     setSelectedSpot(null);
     setSharedSpotDetailsById({});
   };
 
+  const closeSharedPlan = () => {
+    resetSharedPlanState();
+    navigate(tabPath(activeTab));
+  };
+
   const toAbsoluteShareUrl = (urlLike, planId) => {
     if (typeof urlLike === "string" && urlLike.trim()) {
       const s = urlLike.trim();
@@ -621,13 +1197,13 @@ export default function App() {
       if (s.startsWith("/")) return window.location.origin + s;
       return window.location.origin + "/" + s;
     }
-    if (planId) return window.location.origin + "/?plan=" + encodeURIComponent(planId);
+    if (planId) return window.location.origin + routePath({ name: "share", planId });
     return null;
   };
 
   const deleteSavedPlan = async (planId) => {
     if (!planId) return;
-    if (!getIdToken()) {
+    if (!hasAuthSession()) {
       alert("Please sign in first.");
       return;
     }
@@ -635,17 +1211,7 @@ export default function App() {
     const ok = window.confirm("Delete this plan?");
     if (!ok) return;
 
-    setDeletingPlanId(planId);
-    try {
-      const res = await apiFetchAuthed("/plans/" + encodeURIComponent(planId), { method: "DELETE" });
-      if (!res.ok) {
-        if (res.status === 404) {
-          throw new Error("DELETE /plans/{id} is not available on backend yet.");
-        }
-        const errText = await res.text();
-        throw new Error("DELETE /plans failed: " + res.status + " " + errText);
-      }
-
+    const removeLocally = () => {
       setSavedPlans((prev) => {
         const next = prev.filter((x) => x.planId !== planId);
         writeSavedPlansCache(next);
@@ -653,9 +1219,42 @@ export default function App() {
       });
 
       if (sharedPlanId === planId) closeSharedPlan();
+      // Keep the current items but stop pointing saves at a plan that no longer exists.
+      if (savedPlan && savedPlan.planId === planId) setSavedPlan(null);
+      if (route.name === "editPlan" && route.planId === planId) navigate(tabPath(activeTab), { replace: true });
+    };
+
+    const queueDelete = async () => {
+      const entry = savedPlans.find((x) => x.planId === planId);
+      await enqueueMutation("plan.delete", { planId }, (entry && entry.name) || "");
+      removeLocally();
+      refreshSyncQueue();
+    };
+
+    setDeletingPlanId(planId);
+    try {
+      if (isLocalId(planId) || shouldQueue()) {
+        await queueDelete();
+        return;
+      }
+
+      await api.plans.delete(planId);
+      removeLocally();
     } catch (err) {
       console.error(err);
-      alert(err && err.message ? err.message : "Failed to delete plan. Check console.");
+      if (isNetworkError(err)) {
+        try {
+          await queueDelete();
+          return;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
+      alert(
+        err && err.kind === "not_found"
+          ? "DELETE /plans/{id} is not available on backend yet."
+          : "Failed to delete plan. Check console."
+      );
     } finally {
       setDeletingPlanId(null);
     }
@@ -666,129 +1265,540 @@ export default function App() {
 
     setIsLoadingSavedPlans(true);
     try {
-      const res = await apiFetchAuthed("/plans", { method: "GET" });
-      if (!res.ok) {
+      let listed;
+      try {
+        listed = await api.plans.list();
+      } catch (err) {
         // Graceful fallback when endpoint is not deployed yet or auth is not ready.
-        if (res.status === 401 || res.status === 403 || res.status === 404) {
+        if (err instanceof ApiError && err.status && (err.kind === "auth" || err.kind === "not_found")) {
           setSavedPlans([]);
           return;
         }
-        throw new Error("HTTP " + res.status);
+        throw err;
       }
+      const plansArray = listed.map((x) => ({ ...x, shareUrl: toAbsoluteShareUrl(x.shareUrl, x.planId) }));
 
-      const data = await res.json();
-      const raw =
-        (Array.isArray(data) && data) ||
-        (Array.isArray(data && data.items) && data.items) ||
-        (Array.isArray(data && data.plans) && data.plans) ||
-        (Array.isArray(data && data.data && data.data.items) && data.data.items) ||
-        (Array.isArray(data && data.data && data.data.plans) && data.data.plans) ||
-        [];
-
-      const parsePlanId = (x) => {
-        if (typeof x.planId === "string" && x.planId) return x.planId;
-        if (typeof x.id === "string" && x.id) return x.id;
-        if (typeof x.sk === "string" && x.sk.startsWith("PLAN#")) return x.sk.slice(5);
-        return null;
-      };
+      // Plans saved or deleted offline aren't on the server yet; keep the local view of them.
+      const queue = await listMutations().catch(() => []);
+      const queuedTargets = new Set(queue.map(mutationTarget));
+      const pendingDeletes = new Set(
+        queue.filter((m) => m.type === "plan.delete").map(mutationTarget)
+      );
+      const localPlans = (await readSavedPlansCache()).filter(
+        (x) => isLocalId(x.planId) && queuedTargets.has(x.planId)
+      );
 
-      const plansArray = raw
-        .map((x) => ({
-          planId: parsePlanId(x),
-          name: typeof x.name === "string" && x.name.trim() ? x.name.trim() : "Untitled plan",
-          isPublic: !!x.isPublic,
-          updatedAt: x.updatedAt || x.createdAt || null,
-          shareUrl:
-            toAbsoluteShareUrl(
-              (typeof x.shareUrl === "string" && x.shareUrl) ||
-              (typeof x.publicUrl === "string" && x.publicUrl) ||
-              (typeof x.url === "string" && x.url),
-              parsePlanId(x)
-            ),
-        }))
-        .filter((x) => typeof x.planId === "string" && x.planId.length > 0);
-
-      setSavedPlans(plansArray);
-      writeSavedPlansCache(plansArray);
+      const merged = [...localPlans, ...plansArray.filter((x) => !pendingDeletes.has(x.planId))];
+      setSavedPlans(merged);
+      writeSavedPlansCache(merged);
     } catch (err) {
       console.error("Load saved plans failed:", err);
       // Do not block startup UX with popups when /plans is unavailable or CORS fails.
-      setSavedPlans(readSavedPlansCache());
+      setSavedPlans(await readSavedPlansCache());
       if (err && err.code === "NO_AUTH") return;
     } finally {
       setIsLoadingSavedPlans(false);
     }
   };
 
-  const loadPlanSpotDetailsFromPrivate = async (spotIds) => {
-    if (!API_BASE || !spotIds.length) return;
-
-    setIsLoadingSpots(true);
+  // Owners read their plan from the private route; older backends only expose the public one.
+  const fetchOwnPlan = async (planId) => {
     try {
-      const res = await apiFetchAuthed("/spots", { method: "GET" });
-      if (!res.ok) throw new Error("HTTP " + res.status);
+      return await api.plans.get(planId);
+    } catch (err) {
+      if (!(err instanceof ApiError) || (err.kind !== "not_found" && err.status !== 405)) throw err;
+      return api.publicPlans.get(planId);
+    }
+  };
 
-      const data = await res.json();
-      const raw = Array.isArray(data) ? data : (data && data.items) || [];
-      const requestedIds = new Set(spotIds);
-
-      const matched = raw
-        .filter((x) => x && typeof x.id === "string" && requestedIds.has(x.id))
-        .map((x) => {
-          const lat = typeof x.lat === "string" ? parseFloat(x.lat) : x.lat;
-          const lng = typeof x.lng === "string" ? parseFloat(x.lng) : x.lng;
-          return { ...x, lat, lng };
-        })
-        .filter(
-          (x) =>
-            x &&
-            typeof x.id === "string" &&
-            typeof x.spotName === "string" &&
-            x.spotName.trim().length > 0 &&
-            typeof x.address === "string" &&
-            x.address.trim().length > 0 &&
-            Number.isFinite(x.lat) &&
-            Number.isFinite(x.lng)
-        );
+  // The private route answers for the owner and invited members (with their role); null otherwise.
+  const fetchPlanAsMember = async (planId, { signal } = {}) => {
+    try {
+      return await api.plans.get(planId, { signal });
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      // Refused (not a member) is the normal answer here; only report real failures.
+      if (!err || (err.code !== "NO_AUTH" && !err.status)) console.error(err);
+      return null;
+    }
+  };
 
-      if (!matched.length) return;
+  // Open one of our own plans (or one we were invited to edit) in edit mode: the next
+  // "Save plan" updates it in place.
+  const openSavedPlan = async (entry) => {
+    if (!entry || !entry.planId) return;
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+    if (isLocalId(entry.planId)) {
+      alert("This plan hasn't reached the server yet. It will open once it has synced.");
+      return;
+    }
 
-      setSpots((prev) => {
-        const byId = new Map(prev.map((x) => [x.id, x]));
-        for (const spot of matched) byId.set(spot.id, spot);
-        return Array.from(byId.values());
+    setOpeningPlanId(entry.planId);
+    try {
+      const plan = await fetchOwnPlan(entry.planId);
+
+      setSharedSpotDetailsById(toDetailsMap(plan.details));
+      setPlanItems(plan.items);
+      setPlanDays(plan.days);
+      setActiveDay(0);
+      setPlanStartDate(plan.startDate || toIsoDate(new Date()));
+      setPlanStartTime(plan.startTime || DEFAULT_START_TIME);
+      setRouteStats(null);
+      setPlanName(plan.name || entry.name || "");
+      setPlanVisibility(plan.visibility || entry.visibility || DEFAULT_PLAN_VISIBILITY);
+      setSavedPlan({
+        ...entry,
+        shareUrl: toAbsoluteShareUrl(plan.shareUrl, entry.planId) || entry.shareUrl,
+        syncCursor: plan.syncCursor,
       });
+      const role = plan.role || entry.role || "owner";
+      setPlanRole(role);
+      setPlanMembers([]);
+      setIsMembersOpen(false);
+      loadPlanMembers(entry.planId);
+      setFollowMode(true);
+      setSelectedSpot(null);
+      navigate(routePath({ name: "editPlan", planId: entry.planId }));
+      planSectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
     } catch (err) {
-      console.error("Load private spot details for shared plan failed:", err);
+      console.error(err);
       if (err && err.code === "NO_AUTH") return;
-      alert("Failed to load spot details for this shared plan. Please sign in and try again.");
+      alert("Failed to open plan. Check console.");
     } finally {
-      setIsLoadingSpots(false);
+      setOpeningPlanId(null);
     }
   };
 
-  useEffect(() => {
-    if (!API_BASE) return;
-    if (isPublicView) return;
+  const resetPlanState = () => {
+    setPlanItems([]);
+    setFollowMode(true);
+    setSelectedSpot(null);
+    setSavedPlan(null);
+    setPlanName("");
+    setPlanVisibility(DEFAULT_PLAN_VISIBILITY);
+    setPlanDays([{ label: "" }]);
+    setActiveDay(0);
+    setPlanStartDate(toIsoDate(new Date()));
+    setPlanStartTime(DEFAULT_START_TIME);
+    setRouteStats(null);
+    setSharedSpotDetailsById({});
+    setPlanRole(null);
+    setPlanMembers([]);
+    setIsMembersOpen(false);
+  };
 
-    // Use id_token consistently because apiFetchAuthed uses id_token.
-    if (!getIdToken()) return;
+  const startNewPlan = () => {
+    resetPlanState();
+    if (route.name === "editPlan") navigate(tabPath(activeTab));
+  };
 
-    loadSpotsPrivate();
+  // /plans/:planId (a deep link, or back/forward onto it) opens that plan once we're signed in.
+  useEffect(() => {
+    if (route.name !== "editPlan" || !authUser) return;
+    if ((savedPlan && savedPlan.planId === route.planId) || openingPlanId === route.planId) return;
+    openSavedPlan(savedPlans.find((x) => x.planId === route.planId) || { planId: route.planId, name: "" });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [API_BASE, isPublicView, authUser]);
+  }, [route, authUser]);
+
+  // Members who opened the share link switch to editing the plan itself.
+  const editSharedPlan = () => {
+    if (!sharedPlanId) return;
+    const entry = { planId: sharedPlanId, name: planName, visibility: planVisibility, role: planRole };
+    closeSharedPlan();
+    openSavedPlan(entry);
+  };
 
-  useEffect(() => {
-    if (!API_BASE) return;
-    if (isPublicView) return;
-    if (!authUser || !getIdToken()) {
-      setSavedPlans([]);
+  const updatePlanVisibility = async (planId, visibility) => {
+    if (!planId) return;
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
       return;
     }
 
-    // Show last-known list instantly while refreshing from backend.
-    const cached = readSavedPlansCache();
-    if (Array.isArray(cached) && cached.length) setSavedPlans(cached);
+    const previous = savedPlans.find((x) => x.planId === planId);
+    const applyVisibility = (v) => {
+      setSavedPlans((prev) => {
+        const next = prev.map((x) =>
+          x.planId === planId ? { ...x, visibility: v, isPublic: v !== "private" } : x
+        );
+        writeSavedPlansCache(next);
+        return next;
+      });
+      if (savedPlan && savedPlan.planId === planId) setPlanVisibility(v);
+    };
+
+    applyVisibility(visibility);
+    setUpdatingVisibilityPlanId(planId);
+    try {
+      const res = await apiFetchAuthed("/plans/" + encodeURIComponent(planId), {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ visibility, isPublic: visibility !== "private" }),
+      });
+      if (!res.ok) {
+        const errText = await res.text();
+        throw new Error("PATCH /plans/{id} failed: " + res.status + " " + errText);
+      }
+    } catch (err) {
+      console.error(err);
+      if (previous) applyVisibility(previous.visibility || DEFAULT_PLAN_VISIBILITY);
+      if (err && err.code === "NO_AUTH") return;
+      alert("Failed to change plan visibility. Check console.");
+    } finally {
+      setUpdatingVisibilityPlanId(null);
+    }
+  };
+
+  // ---------- Plan members ----------
+  const planMembersPath = (planId, memberId) =>
+    "/plans/" + encodeURIComponent(planId) + "/members" + (memberId ? "/" + encodeURIComponent(memberId) : "");
+
+  const normalizeMember = (x) => ({
+    memberId: x.memberId || x.id || x.email || "",
+    email: typeof x.email === "string" ? x.email : "",
+    name: typeof x.name === "string" ? x.name : "",
+    picture: typeof x.picture === "string" ? x.picture : null,
+    role: x.role === "viewer" ? "viewer" : "editor",
+    status: x.status === "invited" ? "invited" : "active", // invited: hasn't opened the plan yet
+  });
+
+  const loadPlanMembers = async (planId) => {
+    if (!planId || isLocalId(planId)) return;
+    try {
+      const res = await apiFetchAuthed(planMembersPath(planId), { method: "GET" });
+      if (!res.ok) {
+        // Backends without sharing yet: the plan just stays single-user.
+        if (res.status === 403 || res.status === 404) return;
+        throw new Error("GET /plans/{id}/members failed: " + res.status);
+      }
+      const data = await res.json();
+      const raw = Array.isArray(data) ? data : (data && (data.items || data.members)) || [];
+      setPlanMembers(raw.map(normalizeMember).filter((m) => m.memberId));
+    } catch (err) {
+      if (err && err.code === "NO_AUTH") return;
+      if (!isNetworkError(err)) console.error("Load plan members failed:", err);
+    }
+  };
+
+  const inviteMember = async () => {
+    const planId = savedPlan && savedPlan.planId;
+    if (!planId) return;
+    const email = memberInvite.email.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      alert("Enter a valid email address.");
+      return;
+    }
+    if (planMembers.some((m) => m.email.toLowerCase() === email)) {
+      alert(email + " is already a member of this plan.");
+      return;
+    }
+
+    setIsInvitingMember(true);
+    try {
+      const res = await apiFetchAuthed(planMembersPath(planId), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, role: memberInvite.role }),
+      });
+      if (!res.ok) {
+        const errText = await res.text();
+        throw new Error("POST /plans/{id}/members failed: " + res.status + " " + errText);
+      }
+      const data = await res.json().catch(() => ({}));
+      setPlanMembers((prev) => [
+        ...prev,
+        normalizeMember({ email, role: memberInvite.role, status: "invited", ...data }),
+      ]);
+      setMemberInvite((prev) => ({ ...prev, email: "" }));
+    } catch (err) {
+      console.error(err);
+      if (err && err.code === "NO_AUTH") return;
+      alert(isNetworkError(err) ? "You're offline. Invite people once you're back online." : "Failed to invite. Check console.");
+    } finally {
+      setIsInvitingMember(false);
+    }
+  };
+
+  // Role changes and removals apply right away and roll back if the server refuses them.
+  const updateMember = async (member, role) => {
+    const planId = savedPlan && savedPlan.planId;
+    if (!planId) return;
+    if (role === null && !window.confirm("Remove " + (member.name || member.email) + " from this plan?")) return;
+
+    const previous = planMembers;
+    setPlanMembers((prev) =>
+      role === null
+        ? prev.filter((m) => m.memberId !== member.memberId)
+        : prev.map((m) => (m.memberId === member.memberId ? { ...m, role } : m))
+    );
+    try {
+      const res = await apiFetchAuthed(
+        planMembersPath(planId, member.memberId),
+        role === null
+          ? { method: "DELETE" }
+          : {
+            method: "PATCH",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ role }),
+          }
+      );
+      if (!res.ok) {
+        const errText = await res.text();
+        throw new Error((role === null ? "DELETE" : "PATCH") + " /plans/{id}/members/{memberId} failed: " + res.status + " " + errText);
+      }
+    } catch (err) {
+      console.error(err);
+      setPlanMembers(previous);
+      if (err && err.code === "NO_AUTH") return;
+      alert("Failed to update the member. Check console.");
+    }
+  };
+
+  // ---------- Live plan sync ----------
+  // Editors push their changes to the plan as merge ops and everyone with the plan open pulls the
+  // others' ops every few seconds (see lib/planSync.js). The pull also reports who is looking at it.
+  const isSharedWithOthers = planRole === "editor" || planRole === "viewer" || planMembers.length > 0;
+  const openPlanId = isPublicView ? sharedPlanId : savedPlan && savedPlan.planId;
+  const livePlanId = isSharedWithOthers && openPlanId && !isLocalId(openPlanId) ? openPlanId : null;
+  const canPushPlanOps = !isPublicView && planRole !== "viewer";
+  const planSyncPath = (planId) => "/plans/" + encodeURIComponent(planId) + "/sync";
+
+  const pushPlanOps = async (planId) => {
+    const sync = planSyncRef.current;
+    if (sync.planId !== planId || !sync.pending.length || sync.isPushing) return;
+
+    const ops = sync.pending.splice(0);
+    sync.isPushing = true;
+    try {
+      const res = await apiFetchAuthed(planSyncPath(planId), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ actor: syncActor, ops }),
+      });
+      if (res.status === 403) {
+        // Downgraded to viewer (or removed) while editing: stop sending.
+        setPlanRole("viewer");
+        alert("You can no longer edit this plan. Your latest changes were not shared.");
+        return;
+      }
+      if (!res.ok) throw new Error("POST /plans/{id}/sync failed: " + res.status);
+      setPlanSyncStatus("live");
+    } catch (err) {
+      // Keep them for the next poll; ops are idempotent so a resend is harmless.
+      sync.pending.unshift(...ops);
+      setPlanSyncStatus("offline");
+      if (!isNetworkError(err) && (!err || err.code !== "NO_AUTH")) console.error(err);
+    } finally {
+      sync.isPushing = false;
+    }
+  };
+
+  const pullPlanOps = async (planId, signal) => {
+    const sync = planSyncRef.current;
+    if (sync.planId !== planId) return;
+    await pushPlanOps(planId);
+
+    try {
+      const query = "?actor=" + encodeURIComponent(syncActor) + (sync.cursor ? "&since=" + encodeURIComponent(sync.cursor) : "");
+      // Each poll must reach the server: skip the short GET cache.
+      const res = await apiFetchAuthed(planSyncPath(planId) + query, { method: "GET", signal }, { cacheMs: 0 });
+      if (!res.ok) throw new Error("GET /plans/{id}/sync failed: " + res.status);
+      const data = await res.json();
+      if (planSyncRef.current !== sync) return; // another plan was opened meanwhile
+
+      if (data && data.cursor != null) sync.cursor = data.cursor;
+      const presence = Array.isArray(data && data.presence) ? data.presence : [];
+      setPlanPresence(
+        presence
+          .filter((p) => p && p.actor !== syncActor)
+          .map((p) => ({
+            key: p.actor || p.email || p.name,
+            name: p.name || p.email || "Someone",
+            picture: typeof p.picture === "string" ? p.picture : null,
+          }))
+      );
+
+      const ops = Array.isArray(data && data.ops) ? data.ops : [];
+      if (ops.length) {
+        sync.doc = applyPlanOps(sync.doc, ops);
+        const items = planDocToItems(sync.doc);
+        const json = JSON.stringify(items);
+
+        // Stops someone else added come with their details.
+        const snapshots = Object.entries(planDocSnapshots(sync.doc)).map(([spotId, x]) => ({ ...x, spotId }));
+        const details = parsePlanDetails(snapshots);
+        setSharedSpotDetailsById((prev) => ({ ...toDetailsMap(details), ...prev }));
+        if (isPublicView) {
+          setSpots((prev) => [
+            ...prev,
+            ...details.filter((d) => isValidSpotForMap(d) && !prev.some((s) => s.id === d.id)),
+          ]);
+        }
+
+        if (json !== sync.synced) {
+          sync.synced = json;
+          setPlanItems(items);
+          setRouteStats(null);
+          const dayCount = Math.max(0, ...items.map((x) => x.day + 1));
+          setPlanDays((prev) =>
+            prev.length >= dayCount ? prev : [...prev, ...Array.from({ length: dayCount - prev.length }, () => ({ label: "" }))]
+          );
+        }
+      }
+      setPlanSyncStatus("live");
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setPlanSyncStatus("offline");
+      if (!isNetworkError(err) && (!err || err.code !== "NO_AUTH")) console.error(err);
+    }
+  };
+
+  // A new live plan starts from the snapshot we just loaded.
+  useEffect(() => {
+    const seed = planItemsToOps(emptyPlanDoc(), planItems, { actor: "", now: 0 });
+    planSyncRef.current = {
+      planId: livePlanId,
+      doc: applyPlanOps(emptyPlanDoc(), seed),
+      cursor: (savedPlan && savedPlan.syncCursor) || null,
+      synced: JSON.stringify(planItems),
+      pending: [],
+    };
+    setPlanPresence([]);
+    setPlanSyncStatus(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [livePlanId]);
+
+  // Local edits become ops; pushes are debounced so dragging a stop around sends one batch.
+  useEffect(() => {
+    const sync = planSyncRef.current;
+    if (!livePlanId || !canPushPlanOps || sync.planId !== livePlanId) return;
+
+    const json = JSON.stringify(planItems);
+    if (json === sync.synced) return;
+    const ops = planItemsToOps(sync.doc, planItems, {
+      actor: syncActor,
+      snapshotOf: (spotId) => {
+        const spot = spotForItem({ spotId });
+        return spot ? planSpotSnapshot(spot) : null;
+      },
+    });
+    sync.doc = applyPlanOps(sync.doc, ops);
+    sync.synced = json;
+    sync.pending.push(...ops);
+
+    const timer = setTimeout(() => pushPlanOps(livePlanId), 300);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [planItems, livePlanId, canPushPlanOps]);
+
+  useEffect(() => {
+    if (!livePlanId) return;
+
+    const controller = new AbortController();
+    let timer = null;
+    const tick = async () => {
+      // Background tabs don't poll; they catch up from the cursor when shown again.
+      if (!document.hidden && navigator.onLine) await pullPlanOps(livePlanId, controller.signal);
+      if (!controller.signal.aborted) timer = setTimeout(tick, PLAN_SYNC_INTERVAL_MS);
+    };
+    tick();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [livePlanId, isPublicView]);
+
+  // ---------- Spots outside the loaded area ----------
+  // Only the spots around the map are loaded, and the library may have thousands. Anything else
+  // is looked up on the server: by id (plan stops), in a small area around a point (duplicates)
+  // or page by page (export, category usage).
+  const SPOT_DETAIL_CONCURRENCY = 4;
+  const DUPLICATE_RADIUS_KM = 0.1;
+
+  // -> the ones that exist; not every stop of someone else's plan is in our library
+  const fetchSpotsById = async (spotIds) => {
+    const found = await mapWithConcurrency(spotIds, SPOT_DETAIL_CONCURRENCY, (spotId) =>
+      api.spots.get(spotId).catch((err) => {
+        if (err instanceof ApiError && err.kind === "not_found") return null;
+        throw err;
+      })
+    );
+    return found.filter(Boolean);
+  };
+
+  // Pages through GET /spots?bbox= over `area` until it is done or stop(pageSpots) is true.
+  const scanSpots = async (area, { category = null, stop = () => false } = {}) => {
+    const found = [];
+    let cursor = null;
+    do {
+      const page = await api.spots.inBounds(area, { cursor, category });
+      found.push(...page.spots);
+      if (stop(page.spots)) break;
+      cursor = page.nextCursor;
+    } while (cursor);
+    return found;
+  };
+
+  // The spot `record` would duplicate (see findExistingSpot): from `library`, else from the
+  // server around the record's position.
+  const findDuplicateSpot = async (record, library = []) => {
+    const known = findExistingSpot(record, library);
+    if (known || record.lat === null) return known || null;
+    const nearby = await api.spots.inBounds(boundsAround(record, DUPLICATE_RADIUS_KM));
+    return findExistingSpot(record, nearby.spots) || null;
+  };
+
+  const loadPlanSpotDetailsFromPrivate = async (spotIds) => {
+    if (!API_BASE || !spotIds.length) return;
+
+    setIsLoadingSpots(true);
+    try {
+      const matched = await fetchSpotsById(spotIds);
+
+      if (!matched.length) return;
+
+      setSpots((prev) => {
+        const byId = new Map(prev.map((x) => [x.id, x]));
+        for (const spot of matched) byId.set(spot.id, spot);
+        return Array.from(byId.values());
+      });
+    } catch (err) {
+      console.error("Load private spot details for shared plan failed:", err);
+      if (err && err.code === "NO_AUTH") return;
+      alert("Failed to load spot details for this shared plan. Please sign in and try again.");
+    } finally {
+      setIsLoadingSpots(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!API_BASE) return;
+    if (isPublicView) return;
+
+    // Use id_token consistently because apiFetchAuthed uses id_token.
+    if (!hasAuthSession()) return;
+
+    loadSpotsPrivate({ refresh: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE, isPublicView, authUser]);
+
+  useEffect(() => {
+    if (!API_BASE) return;
+    if (isPublicView) return;
+    if (!authUser || !hasAuthSession()) {
+      setSavedPlans([]);
+      return;
+    }
+
+    // Show last-known list instantly while refreshing from backend.
+    readSavedPlansCache().then((cached) => {
+      if (Array.isArray(cached) && cached.length) setSavedPlans((prev) => (prev.length ? prev : cached));
+    });
     loadSavedPlansPrivate();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [API_BASE, isPublicView, authUser]);
@@ -796,7 +1806,7 @@ export default function App() {
   useEffect(() => {
     if (!API_BASE) return;
     if (!isPublicView || !sharedPlanId) return;
-    if (!authUser || !getIdToken()) return;
+    if (!authUser || !hasAuthSession()) return;
     if (!planItems.length) return;
 
     const missingSpotIds = planItems
@@ -808,6 +1818,36 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [API_BASE, isPublicView, sharedPlanId, authUser, planItems, spots]);
 
+  // Our own plan's stops stay loaded once they are (see loadSpotsPrivate), but a plan opened far
+  // from the map brings stops that never were. Each id is asked for once per session.
+  const requestedPlanSpotIdsRef = useRef(new Set());
+  useEffect(() => {
+    if (!API_BASE || isPublicView || !authUser || !hasAuthSession()) return;
+
+    const requested = requestedPlanSpotIdsRef.current;
+    const missing = [...new Set(planItems.map((x) => x.spotId))].filter(
+      (spotId) => !isLocalId(spotId) && !getSpotById(spotId) && !requested.has(spotId)
+    );
+    if (!missing.length) return;
+
+    missing.forEach((spotId) => requested.add(spotId));
+    fetchSpotsById(missing).then(
+      (found) => {
+        if (!found.length) return;
+        updatePrivateSpots((prev) => {
+          const known = new Set(prev.map((s) => s.id));
+          return [...prev, ...found.filter((s) => !known.has(s.id))];
+        });
+      },
+      (err) => {
+        // Try again on the next change once we're back online.
+        missing.forEach((spotId) => requested.delete(spotId));
+        if (!isNetworkError(err) && err.code !== "NO_AUTH") console.error(err);
+      }
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE, isPublicView, authUser, planItems, spots]);
+
   // ---------- Pan/zoom AFTER selectedSpot updates ----------
   useEffect(() => {
     if (!selectedSpot || !mapRef.current) return;
@@ -821,24 +1861,80 @@ export default function App() {
     if (!followMode) return;
     focusNextUnvisited();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [followMode, planItems]);
+  }, [followMode, planItems, activeDay]);
 
   // ---------- Plan actions ----------
   const addToPlan = (spot) => {
     if (isPublicView) return;
+    setRouteStats(null);
     setPlanItems((prev) => {
       if (prev.some((x) => x.spotId === spot.id)) return prev;
-      return [...prev, { spotId: spot.id, visited: false }];
+      return [...prev, { spotId: spot.id, visited: false, day: activeDay }];
+    });
+  };
+
+  // ---------- Trip days ----------
+  const selectDay = (day) => {
+    setActiveDay(day);
+    setRouteStats(null);
+  };
+
+  const addDay = () => {
+    setPlanDays((prev) => [...prev, { label: "" }]);
+    selectDay(planDays.length);
+  };
+
+  // Drops the day's stops and shifts later days down by one.
+  const removeDay = (day) => {
+    if (planDays.length <= 1) return;
+    const count = planItems.filter((x) => dayOf(x) === day).length;
+    if (count && !window.confirm("Remove " + dayLabel(day) + " and its " + count + " stop(s)?")) return;
+
+    setPlanItems((prev) =>
+      prev
+        .filter((x) => dayOf(x) !== day)
+        .map((x) => (dayOf(x) > day ? { ...x, day: dayOf(x) - 1 } : x))
+    );
+    setPlanDays((prev) => prev.filter((_, i) => i !== day));
+    selectDay(Math.max(0, day - 1));
+  };
+
+  const renameDay = (day, label) => {
+    setPlanDays((prev) => prev.map((d, i) => (i === day ? { ...d, label } : d)));
+  };
+
+  // Moved stops go to the end of the target day.
+  const moveItemToDay = (spotId, day) => {
+    setRouteStats(null);
+    setPlanItems((prev) => {
+      const item = prev.find((x) => x.spotId === spotId);
+      if (!item || dayOf(item) === day) return prev;
+      return [...prev.filter((x) => x.spotId !== spotId), { ...item, day }];
     });
   };
 
   const toggleVisited = (spotId) => {
+    const item = planItems.find((x) => x.spotId === spotId);
     setPlanItems((prev) =>
       prev.map((x) => (x.spotId === spotId ? { ...x, visited: !x.visited } : x))
     );
+
+    // Keep the spot's visit log in step with "Done" (shared plans are someone else's spots).
+    const spot = getSpotById(spotId);
+    if (!item || isPublicView || !spot || spot._optimistic || !hasAuthSession()) return;
+    const date = toIsoDate(new Date());
+    const planId = (savedPlan && savedPlan.planId) || null;
+    const visits = item.visited
+      ? removeAutoVisit(spot.visits, { date, planId })
+      : addVisit(spot.visits, { date, planId, planName: planName.trim(), auto: true });
+    if (visits.length === normalizeVisits(spot.visits).length) return;
+    patchSpot(spot, { visits }).then((ok) => {
+      if (!ok) alert("Couldn't update the visit log for " + spot.spotName + ".");
+    });
   };
 
   const removeFromPlan = (spotId) => {
+    setRouteStats(null);
     setPlanItems((prev) => prev.filter((x) => x.spotId !== spotId));
     if (selectedSpot && selectedSpot.id === spotId) setSelectedSpot(null);
   };
@@ -854,20 +1950,48 @@ export default function App() {
         );
       });
 
-    const start = await getStart();
-    const list = planItems
-      .map((x) => getSpotById(x.spotId))
-      .filter(Boolean)
-      .map((s) => ({ ...s, lat: s.lat, lng: s.lng }));
-
-    const orderedSpots = orderByNearest(start, list);
-
-    setPlanItems((prev) =>
-      orderedSpots.map((s) => {
-        const found = prev.find((x) => x.spotId === s.id);
-        return { spotId: s.id, visited: found ? found.visited : false };
-      })
-    );
+    if (isOptimizingRoute) return;
+    setIsOptimizingRoute(true);
+    try {
+      const start = await getStart();
+      const list = dayItems
+        .map(spotForItem)
+        .filter((s) => s && Number.isFinite(s.lat) && Number.isFinite(s.lng));
+      if (list.length < 2) return;
+
+      const result = await optimizeRouteOffThread({
+        start,
+        stops: list.map((s) => ({
+          lat: s.lat,
+          lng: s.lng,
+          openTime: s.openTime,
+          closeTime: s.closeTime,
+          visitMinutes: s.visitMinutes,
+        })),
+        startMinutes: planStartMinutes,
+        ...routeOptions,
+      });
+      const orderedIds = result.order.map((i) => list[i].id);
+
+      // Only the active day is reordered. Stops we couldn't place on the map keep their
+      // relative order at the end of the day.
+      setPlanItems((prev) => {
+        const byId = new Map(prev.map((x) => [x.spotId, x]));
+        const ordered = orderedIds.map((id) => byId.get(id)).filter(Boolean);
+        const rest = prev.filter((x) => !orderedIds.includes(x.spotId));
+        return [
+          ...rest.filter((x) => dayOf(x) !== activeDay),
+          ...ordered,
+          ...rest.filter((x) => dayOf(x) === activeDay),
+        ];
+      });
+      setRouteStats({ beforeKm: result.beforeKm, afterKm: result.afterKm });
+    } catch (err) {
+      console.error(err);
+      alert("Failed to optimize the route. Check console.");
+    } finally {
+      setIsOptimizingRoute(false);
+    }
   };
 
   // ---------- Geocode (server) ----------
@@ -892,49 +2016,148 @@ export default function App() {
       return result;
     } catch (err) {
       console.error("Geocode failed:", err);
+      // Let callers queue the spot instead of reporting a bad address.
+      if (isNetworkError(err)) throw err;
       return null;
     }
   };
 
+  const resetSpotForm = () => {
+    setSpotName("");
+    setVideoUrl("");
+    setAddress("");
+    setOpenTime("");
+    setCloseTime("");
+    setVisitMinutes("");
+    setSpotTags("");
+  };
+
   // ---------- Create spot (optimistic) ----------
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (isPublicView) return;
     if (isSaving) return;
 
-    if (!getIdToken()) {
+    if (!hasAuthSession()) {
       alert("Please sign in first.");
       return;
     }
 
-    const name = spotName.trim();
+    const rawAddr = address.trim();
+    // Maps links, plus-codes and "lat, lng" are placed directly; only plain addresses are geocoded.
+    const pasted = parseLocationInput(rawAddr, { reference: defaultCenter });
+    if (pasted && pasted.kind === "error") {
+      alert(pasted.message);
+      return;
+    }
+    const pastedLocation = pasted && pasted.kind === "coords" ? { lat: pasted.lat, lng: pasted.lng } : null;
+
+    const name = spotName.trim() || (pasted && pasted.name) || "";
     const url = videoUrl.trim();
-    const addr = address.trim();
+    const addr = !pasted
+      ? rawAddr
+      : pasted.kind === "query"
+        ? pasted.query
+        : pasted.source === "plus_code"
+          ? rawAddr
+          : pasted.name || formatLatLng(pasted);
 
     if (!name || !url || !addr) {
       alert("Please fill in Video URL, Spot Name, and Address.");
       return;
     }
 
+    const urlCheck = validateVideoUrl(url);
+    if (urlCheck.error) {
+      alert(urlCheck.error);
+      return;
+    }
+
+    // Opening hours are optional but only useful as a pair.
+    if (!!openTime !== !!closeTime) {
+      alert("Please set both opening and closing time, or leave both empty.");
+      return;
+    }
+    const scheduleFields = {};
+    if (openTime && closeTime) {
+      scheduleFields.openTime = openTime;
+      scheduleFields.closeTime = closeTime;
+    }
+    const visit = parseInt(visitMinutes, 10);
+    if (Number.isFinite(visit) && visit > 0) scheduleFields.visitMinutes = visit;
+    const tags = normalizeTags(spotTags);
+
     setIsSaving(true);
 
-    const optimisticId = "optimistic-" + crypto.randomUUID();
+    const optimisticId = LOCAL_SPOT_PREFIX + crypto.randomUUID();
+    // Sent with the create so the "Newest" sort has something to go on.
+    const createdAt = new Date().toISOString();
     const optimisticSpot = {
       id: optimisticId,
       spotName: name,
       videoUrl: url,
       address: addr,
-      lat: defaultCenter.lat,
-      lng: defaultCenter.lng,
+      lat: pastedLocation ? pastedLocation.lat : defaultCenter.lat,
+      lng: pastedLocation ? pastedLocation.lng : defaultCenter.lng,
       category: normalizedActiveCategory,
+      tags,
+      ...scheduleFields,
+      createdAt,
       _optimistic: true,
     };
 
     setSpots((prev) => [optimisticSpot, ...prev]);
     setSelectedSpot(optimisticSpot);
 
+    let location = null;
+
+    // Offline: keep the spot locally and let the queue geocode + POST it later.
+    // Without coordinates it stays off the map until then.
+    const queueCreate = async () => {
+      const lat = location ? location.lat : null;
+      const lng = location ? location.lng : null;
+      await enqueueMutation(
+        "spot.create",
+        {
+          tempId: optimisticId,
+          body: {
+            spotName: name,
+            videoUrl: url,
+            address: addr,
+            lat,
+            lng,
+            category: normalizedActiveCategory,
+            tags,
+            ...scheduleFields,
+            createdAt,
+          },
+        },
+        name
+      );
+
+      updatePrivateSpots((prev) =>
+        prev.map((s) => {
+          if (s.id !== optimisticId) return s;
+          const { _optimistic, ...rest } = s;
+          return { ...rest, lat, lng };
+        })
+      );
+      setSelectedSpot((prev) => {
+        if (!prev || prev.id !== optimisticId) return prev;
+        return location ? { ...prev, lat, lng, _optimistic: false } : null;
+      });
+      resetSpotForm();
+      refreshSyncQueue();
+    };
+
     try {
-      const location = await geocodeAddress(addr);
+      if (shouldQueue()) {
+        location = pastedLocation || geoCacheRef.current.get(addr.toLowerCase()) || null;
+        await queueCreate();
+        return;
+      }
+
+      location = pastedLocation || (await geocodeAddress(addr));
       if (!location) {
         setSpots((prev) => prev.filter((s) => s.id !== optimisticId));
         setSelectedSpot(null);
@@ -956,36 +2179,27 @@ export default function App() {
         lat: location.lat,
         lng: location.lng,
         category: normalizedActiveCategory,
+        tags,
+        ...scheduleFields,
+        createdAt,
       };
 
-      const res = await apiFetchAuthed("/spots", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const errText = await res.text();
-        throw new Error("POST /spots failed: " + res.status + " " + errText);
-      }
-
-      const createdRaw = await res.json();
-      const created = {
-        ...createdRaw,
-        category:
-          typeof createdRaw?.category === "string" && createdRaw.category.trim()
-            ? createdRaw.category.toLowerCase()
-            : normalizedActiveCategory,
-      };
+      const created = { createdAt, ...(await api.spots.create(payload)) };
 
-      setSpots((prev) => prev.map((s) => (s.id === optimisticId ? created : s)));
+      updatePrivateSpots((prev) => prev.map((s) => (s.id === optimisticId ? created : s)));
       setSelectedSpot((prev) => (prev && prev.id === optimisticId ? created : prev));
 
-      setSpotName("");
-      setVideoUrl("");
-      setAddress("");
+      resetSpotForm();
     } catch (err) {
       console.error(err);
+      if (isNetworkError(err)) {
+        try {
+          await queueCreate();
+          return;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
       setSpots((prev) => prev.filter((s) => s.id !== optimisticId));
       setSelectedSpot(null);
       alert("Failed to save spot. Check console.");
@@ -994,125 +2208,2086 @@ export default function App() {
     }
   };
 
-  const removeSpot = async (spot) => {
-    if (isPublicView) return;
-
-    if (!getIdToken()) {
-      alert("Please sign in first.");
-      return;
-    }
-
-    if (spot._optimistic) {
-      setSpots((prev) => prev.filter((s) => s.id !== spot.id));
-      setPlanItems((prev) => prev.filter((x) => x.spotId !== spot.id));
-      if (selectedSpot && selectedSpot.id === spot.id) setSelectedSpot(null);
-      return;
-    }
-
-    try {
-      const res = await apiFetchAuthed("/spots/" + spot.id, { method: "DELETE" });
-      if (!res.ok) {
-        const errText = await res.text();
-        throw new Error("DELETE /spots failed: " + res.status + " " + errText);
-      }
-
-      setSpots((prev) => prev.filter((s) => s.id !== spot.id));
-      setPlanItems((prev) => prev.filter((x) => x.spotId !== spot.id));
-      if (selectedSpot && selectedSpot.id === spot.id) setSelectedSpot(null);
-    } catch (err) {
-      console.error(err);
-      alert("Failed to delete spot. Check console.");
-    }
+  // ---------- Categories ----------
+  // Category definitions belong to the account (GET/PUT /categories) with a copy in the offline
+  // store for a quick start; spots only carry the id.
+  const readLocalCategories = async () => {
+    try {
+      return fromCacheRows(await idbGetAll("categories"));
+    } catch {
+      return [];
+    }
+  };
+
+  const writeLocalCategories = (list) => {
+    idbReplaceAll("categories", toCacheRows(list)).catch(() => {
+      // ignore cache write errors
+    });
+  };
+
+  useEffect(() => {
+    readLocalCategories().then(setCustomCategories);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Sends the whole list, queueing it when offline; a newer save replaces a queued one.
+  const pushCustomCategories = async (list) => {
+    const queueSave = async () => {
+      await enqueueMutation("categories.save", { categories: list }, "Categories");
+      refreshSyncQueue();
+    };
+
+    try {
+      if (shouldQueue()) {
+        await queueSave();
+        return;
+      }
+      await api.categories.save(list);
+    } catch (err) {
+      console.error(err);
+      if (!isNetworkError(err)) return;
+      try {
+        await queueSave();
+      } catch (queueErr) {
+        console.error(queueErr);
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (!API_BASE || isPublicView || !authUser || !hasAuthSession()) return;
+
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const remote = await api.categories.list({ signal: controller.signal });
+        // A local change still waiting to go up is newer than the server's list.
+        const queued = await listMutations().catch(() => []);
+        if (queued.some((m) => m.type === "categories.save" && m.status === "pending")) return;
+
+        // Categories made before they were kept on the server: upload them once.
+        const local = await readLocalCategories();
+        if (!remote.length && local.length) {
+          pushCustomCategories(local);
+          return;
+        }
+        setCustomCategories(remote);
+        writeLocalCategories(remote);
+      } catch (err) {
+        // Offline or an older backend without /categories: keep the local copy.
+        if (!isAbortError(err)) console.error(err);
+      }
+    })();
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE, isPublicView, authUser]);
+
+  const saveCustomCategories = (list) => {
+    setCustomCategories(list);
+    writeLocalCategories(list);
+    if (authUser && hasAuthSession()) pushCustomCategories(list);
+  };
+
+  const openCategoryDraft = (category) => {
+    setCategoryDraft(
+      category
+        ? { id: category.id, label: category.label, color: category.color, icon: category.icon }
+        : { id: null, label: "", color: CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length], icon: "📍" }
+    );
+  };
+
+  const saveCategoryDraft = () => {
+    if (!categoryDraft) return;
+    const label = categoryDraft.label.trim();
+    if (!label) {
+      alert("Please give the category a name.");
+      return;
+    }
+
+    const id = categoryDraft.id || normalizeCategoryId(label);
+    const existing = categoryById.get(id);
+    // Spots may already use an id nobody defined (e.g. from an import); claiming it is fine.
+    if (!categoryDraft.id && existing && !existing.derived) {
+      alert('There is already a category called "' + existing.label + '".');
+      return;
+    }
+
+    const entry = { id, label, color: categoryDraft.color, icon: categoryDraft.icon };
+    saveCustomCategories([...customCategories.filter((c) => c.id !== id), entry]);
+    setCategoryDraft(null);
+  };
+
+  const deleteCategory = async (category) => {
+    if (category.builtIn) return;
+    const inCategory = (s) => categoryOf(s) === category.id;
+    const used = spots.filter(inCategory).length;
+    if (used) {
+      alert(used + " spot(s) use " + category.label + ". Move them to another category first.");
+      return;
+    }
+
+    // Spots away from the map aren't loaded: ask the server until one turns up.
+    if (authUser && hasAuthSession()) {
+      try {
+        const found = await scanSpots(WORLD_BOUNDS, { category: category.id, stop: (page) => page.some(inCategory) });
+        if (found.some(inCategory)) {
+          alert("Some of your spots still use " + category.label + ". Move them to another category first.");
+          return;
+        }
+      } catch (err) {
+        console.error(err);
+        alert("Couldn't check which spots use " + category.label + ". Try again when you're online.");
+        return;
+      }
+    }
+    if (!window.confirm('Delete category "' + category.label + '"?')) return;
+    saveCustomCategories(customCategories.filter((c) => c.id !== category.id));
+    if (activeTab === category.id) {
+      setActiveTab(DEFAULT_CATEGORY);
+      if (route.name === "category") navigate(tabPath(DEFAULT_CATEGORY), { replace: true });
+    }
+    setMapLayers((prev) => ({
+      ...prev,
+      hiddenCategories: prev.hiddenCategories.filter((x) => x !== category.id),
+    }));
+  };
+
+  // ---------- Edit spot (optimistic, PATCH /spots/{id}) ----------
+  const EDITABLE_SPOT_FIELDS = [
+    "spotName",
+    "videoUrl",
+    "address",
+    "category",
+    "tags",
+    "lat",
+    "lng",
+    "openTime",
+    "closeTime",
+    "visitMinutes",
+  ];
+
+  const startEditSpot = (spot, where) => {
+    if (isPublicView || !spot) return;
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+    if (spot._optimistic) {
+      alert("This spot is still being saved. Try again in a moment.");
+      return;
+    }
+    setSpotDraft({
+      id: spot.id,
+      where,
+      spotName: spot.spotName || "",
+      videoUrl: spot.videoUrl || "",
+      address: spot.address || "",
+      category: categoryOf(spot),
+      tags: formatTags(normalizeTags(spot.tags)),
+      lat: Number.isFinite(spot.lat) ? spot.lat : null,
+      lng: Number.isFinite(spot.lng) ? spot.lng : null,
+      openTime: spot.openTime || "",
+      closeTime: spot.closeTime || "",
+      visitMinutes: spot.visitMinutes ? String(spot.visitMinutes) : "",
+    });
+    if (where === "map") setSelectedSpot(spot);
+  };
+
+  const updateSpotDraft = (patch) => setSpotDraft((prev) => (prev ? { ...prev, ...patch } : prev));
+
+  // Move the draft pin to whatever the address field now says.
+  const locateSpotDraft = async () => {
+    if (!spotDraft || !spotDraft.address.trim()) return;
+    setIsLocatingDraft(true);
+    try {
+      const pasted = parseLocationInput(spotDraft.address, { reference: defaultCenter });
+      const location =
+        pasted && pasted.kind === "coords"
+          ? pasted
+          : await geocodeAddress(pasted && pasted.kind === "query" ? pasted.query : spotDraft.address);
+      if (!location) {
+        alert("Could not find location. Please check the address.");
+        return;
+      }
+      updateSpotDraft({ lat: location.lat, lng: location.lng });
+      if (mapRef.current) mapRef.current.panTo({ lat: location.lat, lng: location.lng });
+    } catch (err) {
+      console.error(err);
+      alert(isNetworkError(err) ? "You're offline. Drag the pin instead." : "Lookup failed. Check console.");
+    } finally {
+      setIsLocatingDraft(false);
+    }
+  };
+
+  // Optimistically applies `changes` to the spot and PATCHes them, queueing when offline.
+  // Resolves false (after rolling the changed fields back) when the server refused them.
+  const patchSpot = async (original, changes) => {
+    const spotId = original.id;
+    const applyLocally = (patch) => {
+      updatePrivateSpots((prev) => prev.map((s) => (s.id === spotId ? { ...s, ...patch } : s)));
+      setSelectedSpot((prev) => (prev && prev.id === spotId ? { ...prev, ...patch } : prev));
+    };
+
+    applyLocally(changes);
+
+    const queueUpdate = async () => {
+      await enqueueMutation("spot.update", { spotId, body: changes }, original.spotName);
+      refreshSyncQueue();
+    };
+
+    try {
+      if (isLocalId(spotId) || shouldQueue()) {
+        await queueUpdate();
+        return true;
+      }
+
+      const data = await api.spots.update(spotId, toServerSpotBody(changes));
+      if (data) applyLocally(normalizeSpotResponse(data, { ...original, ...changes }));
+      return true;
+    } catch (err) {
+      console.error(err);
+      if (isNetworkError(err)) {
+        try {
+          await queueUpdate();
+          return true;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
+      applyLocally(Object.fromEntries(Object.keys(changes).map((k) => [k, original[k]])));
+      return false;
+    }
+  };
+
+  const saveSpotEdit = async () => {
+    if (!spotDraft || isSavingSpotEdit) return;
+    const draft = spotDraft;
+    const original = spots.find((s) => s.id === draft.id);
+    if (!original) {
+      setSpotDraft(null);
+      return;
+    }
+
+    const name = draft.spotName.trim();
+    const url = draft.videoUrl.trim();
+    const addr = draft.address.trim();
+    if (!name || !url || !addr) {
+      alert("Please fill in Video URL, Spot Name, and Address.");
+      return;
+    }
+    const urlCheck = validateVideoUrl(url);
+    if (urlCheck.error) {
+      alert(urlCheck.error);
+      return;
+    }
+    if (!!draft.openTime !== !!draft.closeTime) {
+      alert("Please set both opening and closing time, or leave both empty.");
+      return;
+    }
+    const visit = parseInt(draft.visitMinutes, 10);
+
+    const next = {
+      spotName: name,
+      videoUrl: url,
+      address: addr,
+      category: draft.category,
+      tags: normalizeTags(draft.tags),
+      lat: draft.lat,
+      lng: draft.lng,
+      openTime: draft.openTime,
+      closeTime: draft.closeTime,
+      visitMinutes: Number.isFinite(visit) && visit > 0 ? visit : null,
+    };
+
+    // Only send what changed; cleared hours go out as "" / null so the server drops them.
+    const changes = {};
+    for (const key of EDITABLE_SPOT_FIELDS) {
+      if (key === "tags") {
+        if (formatTags(next.tags) !== formatTags(normalizeTags(original.tags))) changes.tags = next.tags;
+        continue;
+      }
+      const before = original[key] ?? (key === "visitMinutes" || key === "lat" || key === "lng" ? null : "");
+      if (next[key] !== before) changes[key] = next[key];
+    }
+    if (!Object.keys(changes).length) {
+      setSpotDraft(null);
+      return;
+    }
+
+    setSpotDraft(null);
+    setIsSavingSpotEdit(true);
+    const ok = await patchSpot(original, changes);
+    setIsSavingSpotEdit(false);
+    if (!ok) {
+      // Reopen the editor so the changes aren't lost.
+      setSpotDraft(draft);
+      alert("Failed to update spot. Check console.");
+    }
+  };
+
+  // ---------- Rating, notes and visit log ----------
+  const canEditJournal = (spot) => !isPublicView && !!authUser && !!spot && !spot._optimistic;
+
+  const rateSpot = async (spot, rating) => {
+    if (!canEditJournal(spot)) return;
+    // Clicking the current rating clears it.
+    const next = normalizeRating(spot.rating) === rating ? null : rating;
+    if (!(await patchSpot(spot, { rating: next }))) alert("Failed to save rating. Check console.");
+  };
+
+  const openJournal = (spot, where) =>
+    setJournalDraft({ spotId: spot.id, where, notes: spot.notes || "", visitDate: toIsoDate(new Date()) });
+
+  const saveJournalNotes = async () => {
+    const spot = journalDraft && getSpotById(journalDraft.spotId);
+    if (!canEditJournal(spot)) return;
+    const notes = journalDraft.notes.trim();
+    setJournalDraft(null);
+    if (notes === (spot.notes || "")) return;
+    if (!(await patchSpot(spot, { notes }))) alert("Failed to save notes. Check console.");
+  };
+
+  const logVisit = async (spot, date) => {
+    if (!canEditJournal(spot) || !parseIsoDate(date)) return;
+    const visits = addVisit(spot.visits, { date });
+    if (!(await patchSpot(spot, { visits }))) alert("Failed to log visit. Check console.");
+  };
+
+  const deleteVisit = async (spot, visitId) => {
+    if (!canEditJournal(spot)) return;
+    if (!(await patchSpot(spot, { visits: removeVisit(spot.visits, visitId) }))) {
+      alert("Failed to remove visit. Check console.");
+    }
+  };
+
+  // ---------- Photos ----------
+  // Device-only photos need an object URL from IndexedDB before they can be shown.
+  useEffect(() => {
+    const pending = [];
+    for (const spot of spots) {
+      for (const photo of normalizePhotos(spot.photos)) {
+        for (const url of [photo.url, photo.thumbUrl]) {
+          if (isLocalPhotoUrl(url) && !(url in localPhotoUrls)) pending.push(url);
+        }
+      }
+    }
+    if (!pending.length) return;
+    Promise.all(pending.map((url) => resolveLocalPhotoUrl(url).catch(() => null))).then((resolved) =>
+      setLocalPhotoUrls((prev) => {
+        const next = { ...prev };
+        pending.forEach((url, i) => {
+          next[url] = resolved[i];
+        });
+        return next;
+      })
+    );
+  }, [spots, localPhotoUrls]);
+
+  const photoSrc = (url) => (isLocalPhotoUrl(url) ? localPhotoUrls[url] || "" : url);
+
+  // Uploads both sizes to presigned URLs from POST /spots/{id}/photos.
+  // -> { url, thumbUrl }, or null when the API has no photo endpoint yet
+  const uploadPhotoFiles = async (spotId, photoId, { full, thumb }) => {
+    const res = await apiFetchAuthed("/spots/" + encodeURIComponent(spotId) + "/photos", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ photoId, contentType: full.type, thumbContentType: thumb.type }),
+    });
+    if (res.status === 404 || res.status === 501) return null;
+    if (!res.ok) {
+      const errText = await res.text();
+      throw new Error("POST /spots/{id}/photos failed: " + res.status + " " + errText);
+    }
+
+    const target = await res.json();
+    await putToPresignedUrl(target.uploadUrl, full);
+    await putToPresignedUrl(target.thumbUploadUrl, thumb);
+    return { url: target.url, thumbUrl: target.thumbUrl };
+  };
+
+  // Resize on the device, then upload (see uploadPhotoFiles). Falls back to the local stand-in
+  // when offline, for unsynced spots, or when the API has no photo endpoint yet; with API
+  // storage those are queued and uploaded once the spot can take them.
+  const uploadSpotPhotos = async (spot, fileList) => {
+    if (!canEditJournal(spot) || uploadingPhotoSpotId) return;
+    const existing = normalizePhotos(spot.photos);
+    const files = Array.from(fileList || []).slice(0, MAX_PHOTOS_PER_SPOT - existing.length);
+    if (!files.length) {
+      if (fileList && fileList.length) alert("A spot can have up to " + MAX_PHOTOS_PER_SPOT + " photos.");
+      return;
+    }
+
+    setUploadingPhotoSpotId(spot.id);
+    const added = [];
+    const toUpload = [];
+    try {
+      for (const file of files) {
+        const prepared = await preparePhoto(file);
+        const photoId = crypto.randomUUID();
+        let stored = null;
+
+        if (PHOTO_STORAGE === "api" && !isLocalId(spot.id) && !shouldQueue()) {
+          try {
+            stored = await uploadPhotoFiles(spot.id, photoId, prepared);
+          } catch (err) {
+            if (!isNetworkError(err)) throw err;
+          }
+        }
+
+        if (!stored) {
+          stored = await saveLocalPhoto(photoId, prepared);
+          if (PHOTO_STORAGE === "api") toUpload.push(photoId);
+        }
+        added.push({
+          id: photoId,
+          ...stored,
+          width: prepared.width,
+          height: prepared.height,
+          createdAt: new Date().toISOString(),
+        });
+      }
+    } catch (err) {
+      console.error(err);
+      alert(
+        (added.length ? "Only " + added.length + " of " + files.length + " photos were uploaded. " : "") +
+        "Photo upload failed. Check console."
+      );
+    }
+
+    if (added.length && !(await patchSpot(spot, { photos: [...existing, ...added] }))) {
+      alert("Failed to save photos. Check console.");
+    } else if (toUpload.length) {
+      try {
+        for (const photo of added.filter((x) => toUpload.includes(x.id))) {
+          await enqueueMutation("photo.upload", { spotId: spot.id, photo }, spot.spotName);
+        }
+      } catch (err) {
+        console.error(err);
+      }
+      refreshSyncQueue();
+    }
+    setUploadingPhotoSpotId(null);
+  };
+
+  const deleteSpotPhoto = async (spot, photo) => {
+    if (!canEditJournal(spot)) return;
+    if (!window.confirm("Delete this photo?")) return;
+
+    const photos = normalizePhotos(spot.photos).filter((p) => p.id !== photo.id);
+    if (!(await patchSpot(spot, { photos }))) {
+      alert("Failed to delete photo. Check console.");
+      return;
+    }
+    setPhotoViewer((prev) => (prev && photos.length ? { ...prev, index: Math.min(prev.index, photos.length - 1) } : null));
+
+    if (isLocalPhotoUrl(photo.url)) {
+      const queued = await listMutations().catch(() => []);
+      const upload = queued.find((m) => m.type === "photo.upload" && m.payload.photo.id === photo.id);
+      if (upload) {
+        await removeMutation(upload.id).catch((err) => console.error(err));
+        refreshSyncQueue();
+      }
+      deleteLocalPhoto(photo.id).catch(() => {
+        // ignore cache delete errors
+      });
+    } else if (!shouldQueue()) {
+      // The spot no longer lists it; removing the stored files is best effort.
+      apiFetchAuthed(
+        "/spots/" + encodeURIComponent(spot.id) + "/photos/" + encodeURIComponent(photo.id),
+        { method: "DELETE" }
+      ).catch((err) => console.error(err));
+    }
+  };
+
+  const removeSpot = async (spot) => {
+    if (isPublicView) return;
+
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+
+    if (spot._optimistic) {
+      setSpots((prev) => prev.filter((s) => s.id !== spot.id));
+      setPlanItems((prev) => prev.filter((x) => x.spotId !== spot.id));
+      if (selectedSpot && selectedSpot.id === spot.id) setSelectedSpot(null);
+      return;
+    }
+
+    const removeLocally = () => {
+      updatePrivateSpots((prev) => prev.filter((s) => s.id !== spot.id));
+      setPlanItems((prev) => prev.filter((x) => x.spotId !== spot.id));
+      if (selectedSpot && selectedSpot.id === spot.id) setSelectedSpot(null);
+    };
+
+    // Deleting a spot that was only created offline just cancels its queued create.
+    const queueDelete = async () => {
+      await enqueueMutation("spot.delete", { spotId: spot.id }, spot.spotName);
+      removeLocally();
+      refreshSyncQueue();
+    };
+
+    try {
+      if (isLocalId(spot.id) || shouldQueue()) {
+        await queueDelete();
+        return;
+      }
+
+      await api.spots.delete(spot.id);
+      removeLocally();
+    } catch (err) {
+      console.error(err);
+      if (isNetworkError(err)) {
+        try {
+          await queueDelete();
+          return;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
+      alert("Failed to delete spot. Check console.");
+    }
+  };
+
+  // ---------- Bulk import ----------
+  // Rows are geocoded and created a few at a time so 200 rows don't flood /geocode.
+  const IMPORT_CONCURRENCY = 3;
+
+  const openImport = () => {
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+    setImportFile(null);
+    setImportMapping({});
+    setImportResults([]);
+    setImportCategory(normalizedActiveCategory);
+    setIsImportOpen(true);
+  };
+
+  const closeImport = () => {
+    if (isImporting) return;
+    setIsImportOpen(false);
+  };
+
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = await readImportFile(file);
+      if (!parsed.rows.length) {
+        alert("No places found in this file.");
+        return;
+      }
+      setImportFile({ name: file.name, ...parsed });
+      setImportMapping(guessColumnMapping(parsed.columns));
+      setImportResults([]);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Failed to read the file.");
+    }
+  };
+
+  const importRecords = importFile
+    ? importFile.rows.map((row) =>
+      toImportRecord(row, importMapping, { defaultCategory: importCategory, reference: defaultCenter })
+    )
+    : [];
+
+  // Same name within ~50 m (or same address) as a spot in `library`.
+  const findExistingSpot = (record, library) =>
+    library.find((s) => {
+      if ((s.spotName || "").trim().toLowerCase() !== record.spotName.toLowerCase()) return false;
+      if (record.lat !== null && isValidSpotForMap(s)) return haversineKm(s, record) < 0.05;
+      return (s.address || "").trim().toLowerCase() === record.address.toLowerCase();
+    });
+
+  const runImport = async () => {
+    if (isImporting || !importRecords.length) return;
+    if (!isOnline) {
+      alert("Importing needs a connection. Try again when you're back online.");
+      return;
+    }
+
+    const initial = importRecords.map((r) =>
+      r.error
+        ? { status: "skipped", message: r.error }
+        : findExistingSpot(r, spots)
+          ? { status: "skipped", message: "Already in your spots" }
+          : { status: "pending", message: "" }
+    );
+    setImportResults(initial);
+
+    const setRow = (i, patch) =>
+      setImportResults((prev) => prev.map((x, j) => (j === i ? { ...x, ...patch } : x)));
+
+    const todo = importRecords
+      .map((record, index) => ({ record, index }))
+      .filter((x) => initial[x.index].status === "pending");
+
+    // `spots` only covers the map's area: each row is also checked against the server around its
+    // position (once geocoded) and against rows of this file that were already added.
+    const added = [];
+    setIsImporting(true);
+    try {
+      await mapWithConcurrency(todo, IMPORT_CONCURRENCY, async ({ record, index }) => {
+        try {
+          let position = { lat: record.lat, lng: record.lng };
+          if (position.lat === null) {
+            setRow(index, { status: "working", message: "Looking up address..." });
+            const location = await geocodeAddress(record.address);
+            if (!location) {
+              setRow(index, { status: "failed", message: "Could not find location. Please check the address." });
+              return;
+            }
+            position = { lat: location.lat, lng: location.lng };
+          }
+
+          setRow(index, { status: "working", message: "Checking your spots..." });
+          if (await findDuplicateSpot({ ...record, ...position }, added)) {
+            setRow(index, { status: "skipped", message: "Already in your spots" });
+            return;
+          }
+
+          setRow(index, { status: "working", message: "Saving..." });
+          const body = {
+            spotName: record.spotName,
+            videoUrl: record.videoUrl,
+            address: record.address,
+            ...position,
+            category: record.category,
+            tags: record.tags,
+            createdAt: new Date().toISOString(),
+          };
+          // Same path as a queued offline create.
+          const result = await sendMutation({ type: "spot.create", payload: { body } });
+          if (!result.ok) {
+            setRow(index, { status: "failed", message: result.message || "HTTP " + result.status });
+            return;
+          }
+          const created = normalizeSpotResponse(result.data, body);
+          added.push(created);
+          updatePrivateSpots((prev) => [created, ...prev]);
+          setRow(index, { status: "ok", message: "" });
+        } catch (err) {
+          console.error(err);
+          setRow(index, {
+            status: "failed",
+            message: isNetworkError(err) ? "Network error" : (err && err.message) || "Unknown error",
+          });
+        }
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const importCounts = importResults.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const unvisitedCount = dayItems.filter((x) => !x.visited).length;
+
+  // ---------- Navigate (hand off to a maps app) ----------
+  // Unvisited stops of the active day in plan order, split into legs per provider limit.
+  const navigationLegs = (() => {
+    if (!isNavigateOpen) return [];
+    const stops = dayItems
+      .filter((x) => !x.visited)
+      .map(spotForItem)
+      .filter((s) => s && isValidSpotForMap(s))
+      .map((s) => ({ lat: s.lat, lng: s.lng, name: s.spotName }));
+    if (!stops.length) return [];
+    const fromNext = navigateOptions.startFrom === "next" && stops.length > 1;
+    return buildNavigationLinks(navigateOptions.provider, {
+      stops: fromNext ? stops.slice(1) : stops,
+      origin: fromNext ? stops[0] : null,
+      travelMode: navigateOptions.travelMode,
+    });
+  })();
+
+  // ---------- Map markers ----------
+  // Plan stops are drawn on top and never clustered, so the route stays readable. They are on the
+  // map whatever the spot filters say; otherwise a stop in another category than the open tab
+  // would leave a gap in the route.
+  const planItemById = new Map(planItems.map((x) => [x.spotId, x]));
+  const stopNumberById = new Map(dayItems.map((x, i) => [x.spotId, i + 1]));
+  const visibleSpotIds = new Set(visibleSpots.map((s) => s.id));
+  const hiddenPlanSpots = [...planItemById.values()]
+    .map(spotForItem)
+    .filter((s) => s && !visibleSpotIds.has(s.id));
+  const mapSpots = [...visibleSpots, ...hiddenPlanSpots].filter((s) => {
+    if (!isValidSpotForMap(s)) return false;
+    const item = planItemById.get(s.id);
+    if (mapLayers.onlyPlan && !item) return false;
+    if (mapLayers.hideVisited && item && item.visited) return false;
+    return !mapLayers.hiddenCategories.includes(categoryOf(s));
+  });
+  // The spot being edited is drawn as a separate draggable pin instead.
+  const draftSpotId = spotDraft ? spotDraft.id : null;
+  const clusteredSpots = mapSpots.filter((s) => !planItemById.has(s.id) && s.id !== draftSpotId);
+  const planMapSpots = mapSpots.filter((s) => planItemById.has(s.id) && s.id !== draftSpotId);
+
+  const markerIconFor = (spot) => {
+    const item = planItemById.get(spot.id);
+    return spotMarkerIcon({
+      color: categoryStyle(categoryOf(spot)).color,
+      stopNumber: stopNumberById.get(spot.id) || null,
+      inPlan: !!item,
+      visited: !!(item && item.visited),
+    });
+  };
+
+  const toggleMapLayer = (key) => setMapLayers((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  const toggleMapCategory = (id) =>
+    setMapLayers((prev) => ({
+      ...prev,
+      hiddenCategories: prev.hiddenCategories.includes(id)
+        ? prev.hiddenCategories.filter((x) => x !== id)
+        : [...prev.hiddenCategories, id],
+    }));
+
+  const updateSpotFilters = (patch) => setSpotFilters((prev) => ({ ...prev, ...patch }));
+
+  const mapCenter = () => {
+    const c = mapRef.current && mapRef.current.getCenter();
+    return c ? { lat: c.lat(), lng: c.lng() } : defaultCenter;
+  };
+
+  // Distance sorts need an origin: the device location or wherever the map is looking.
+  const changeSpotSort = (sortBy) => {
+    if (sortBy === "near_map") setSortOrigin(mapCenter());
+    if (sortBy !== "near_me") {
+      updateSpotFilters({ sortBy });
+      return;
+    }
+    if (!navigator.geolocation) {
+      alert("Your browser can't share its location.");
+      return;
+    }
+    setIsLocatingUser(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setSortOrigin({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+        updateSpotFilters({ sortBy });
+        setIsLocatingUser(false);
+      },
+      () => {
+        setIsLocatingUser(false);
+        alert("Couldn't get your location. Check the browser's location permission.");
+      },
+      { enableHighAccuracy: true, timeout: 8000 }
+    );
+  };
+
+  const clearSpotFilters = () => {
+    updateSpotFilters({ query: "", plan: "any", visited: "any", minRating: 0 });
+    setActiveTags([]);
+  };
+
+  const toggleTagFilter = (tag) =>
+    setActiveTags((prev) => (prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]));
+
+  // ---------- Calendar export ----------
+  // One event per stop, using the same estimated times the plan shows. Day i is startDate + i.
+  const exportPlanIcs = () => {
+    const firstDay = parseIsoDate(planStartDate) || new Date();
+    const name = planName.trim() || "AnChoi plan";
+    const uidBase = (savedPlan && savedPlan.planId) || sharedPlanId || "plan";
+
+    const events = planDays.flatMap((_, day) => {
+      const items = planItems.filter((x) => dayOf(x) === day);
+      const timeline = timelineForDay(day);
+      const at = (minutes) =>
+        new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + day, 0, minutes);
+
+      return items
+        .map((item, i) => {
+          const spot = spotForItem(item);
+          if (!spot) return null;
+          const t = timeline[i];
+          const hours = formatOpeningHours(spot);
+          const notes = [
+            planDays.length > 1 ? dayLabel(day) : "",
+            hours ? "Opening hours: " + hours : "",
+            t.closedOnArrival ? "Warning: likely closed at this time." : "",
+            spot.videoUrl || "",
+          ];
+          return {
+            uid: uidBase + "-" + day + "-" + item.spotId + "@anchoi",
+            title: spot.spotName,
+            start: at(t.start),
+            end: at(t.departure),
+            location: spot.address,
+            description: notes.filter(Boolean).join("\n"),
+            url: spot.videoUrl || "",
+          };
+        })
+        .filter(Boolean);
+    });
+
+    if (!events.length) {
+      alert("Your plan is empty. Add some spots first.");
+      return;
+    }
+
+    downloadTextFile(toFileSlug(name) + ".ics", buildIcs({ name, events }), "text/calendar");
+  };
+
+  // ---------- GPX / KML / GeoJSON export ----------
+  const toExportPlace = (spot) => ({
+    spotName: spot.spotName || "",
+    address: spot.address || "",
+    videoUrl: spot.videoUrl || "",
+    category: categoryOf(spot),
+    tags: normalizeTags(spot.tags),
+    lat: spot.lat,
+    lng: spot.lng,
+  });
+
+  const downloadGeoExport = (format, name, data) => {
+    const { text, extension, mimeType } = buildGeoExport(format, { name, ...data });
+    downloadTextFile(toFileSlug(name) + "." + extension, text, mimeType);
+  };
+
+  // Plan stops in visiting order with their visited flags; one route line per day.
+  const exportPlanAs = (format) => {
+    const name = planName.trim() || "AnChoi plan";
+    const days = planDays.map((_, day) =>
+      planItems
+        .filter((x) => dayOf(x) === day)
+        .map((item, i) => {
+          const spot = spotForItem(item);
+          if (!spot) return null;
+          return { ...toExportPlace(spot), order: i + 1, day: day + 1, visited: !!item.visited };
+        })
+        .filter(Boolean)
+    );
+
+    if (!days.some((d) => d.length)) {
+      alert("Your plan is empty. Add some spots first.");
+      return;
+    }
+
+    downloadGeoExport(format, name, {
+      places: days.flat(),
+      routes: days.map((places, day) => ({
+        name: planDays.length > 1 ? name + " - " + dayLabel(day) : name,
+        places,
+      })),
+    });
+  };
+
+  // Only the spots around the map are loaded; page through the whole library when we can reach it.
+  const exportSpotsAs = async (format) => {
+    let library = spots;
+    try {
+      library = [...(await scanSpots(WORLD_BOUNDS)), ...spots.filter((s) => isLocalId(s.id))];
+    } catch (err) {
+      if (!isNetworkError(err)) console.error(err);
+    }
+    const places = library.filter(isValidSpotForMap).map(toExportPlace);
+    if (!places.length) {
+      alert("No spots to export yet.");
+      return;
+    }
+    downloadGeoExport(format, "AnChoi spots", { places, routes: [] });
+  };
+
+  // ---------- Save plan ----------
+  // Updates the plan we are editing (PUT /plans/{id}) unless asNew is set or nothing is open yet.
+  // Body of POST/PUT /plans. order counts within each day; single-day plans look exactly like before.
+  const buildPlanPayload = ({ name, items, visibility, spotOf = spotForItem }) => ({
+    name,
+    days: planDays.map((d, i) => ({ day: i, label: d.label || "" })),
+    items: planDays.flatMap((_, day) => items.filter((x) => dayOf(x) === day)).map((x) => {
+      const spot = spotOf(x) || {};
+      const sameDay = items.filter((y) => dayOf(y) === dayOf(x));
+      return {
+        spotId: x.spotId,
+        visited: !!x.visited,
+        day: dayOf(x),
+        order: sameDay.indexOf(x),
+        ...planSpotSnapshot(spot),
+      };
+    }),
+    startDate: planStartDate,
+    startTime: planStartTime,
+    visibility,
+    // Kept for backends that only understand the boolean flag.
+    isPublic: visibility !== "private",
+  });
+
+  const savePlan = async ({ asNew = false } = {}) => {
+    if (isPublicView) return;
+
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+
+    if (!API_BASE) {
+      alert("Missing API base URL.");
+      return;
+    }
+    if (!planItems.length) {
+      alert("Your plan is empty. Add some spots first.");
+      return;
+    }
+
+    const name = planName.trim() || "My Plan (" + new Date().toLocaleDateString() + ")";
+    const payload = buildPlanPayload({ name, items: planItems, visibility: planVisibility });
+
+    const editingId = !asNew && savedPlan && savedPlan.planId ? savedPlan.planId : null;
+
+    const upsertSavedPlanEntry = (planId, shareUrl) => {
+      setSavedPlans((prev) => {
+        const entry = {
+          planId,
+          name,
+          visibility: planVisibility,
+          isPublic: planVisibility !== "private",
+          updatedAt: new Date().toISOString(),
+          shareUrl,
+        };
+        const next = prev.some((x) => x.planId === planId)
+          ? prev.map((x) => (x.planId === planId ? { ...x, ...entry } : x))
+          : [{ ...entry, role: "owner" }, ...prev];
+        writeSavedPlansCache(next);
+        return next;
+      });
+    };
+
+    // Offline: a new plan gets a local id (and no share link) until the queue replays it.
+    const queueSave = async () => {
+      // Re-saving a plan that only exists locally just updates its queued create.
+      const localId = !editingId
+        ? LOCAL_PLAN_PREFIX + crypto.randomUUID()
+        : isLocalId(editingId)
+          ? editingId
+          : null;
+      const planId = localId || editingId;
+      await enqueueMutation(
+        "plan.save",
+        localId ? { tempPlanId: localId, body: payload } : { planId, body: payload },
+        name
+      );
+
+      const shareUrl = localId ? null : savedPlan.shareUrl;
+      if (localId) {
+        setPlanRole("owner");
+        setPlanMembers([]);
+      }
+      setSavedPlan({
+        ...(editingId ? savedPlan : {}),
+        planId,
+        shareUrl,
+        name,
+        visibility: planVisibility,
+      });
+      upsertSavedPlanEntry(planId, shareUrl);
+      refreshSyncQueue();
+    };
+
+    setIsSavingPlan(true);
+    try {
+      if (shouldQueue() || isLocalId(editingId)) {
+        await queueSave();
+        return;
+      }
+
+      // PUT may answer 204 or a partial body; keep the id and share link we already have.
+      const data = await api.plans.save({ planId: editingId, body: payload });
+      const planId = data.planId;
+      const shareUrl =
+        toAbsoluteShareUrl(data.shareUrl, null) ||
+        (editingId && savedPlan.shareUrl) ||
+        toAbsoluteShareUrl(null, planId);
+
+      const saved = {
+        ...(editingId ? savedPlan : {}),
+        ...data,
+        planId,
+        shareUrl,
+        name,
+        visibility: planVisibility,
+      };
+      setSavedPlan(saved);
+      if (!editingId) {
+        setPlanRole("owner");
+        setPlanMembers([]);
+        navigate(routePath({ name: "editPlan", planId }));
+      }
+      upsertSavedPlanEntry(saved.planId, saved.shareUrl);
+      loadSavedPlansPrivate();
+
+      // A private link is useless to anyone else, so only copy shareable ones.
+      if (
+        saved &&
+        saved.shareUrl &&
+        planVisibility !== "private" &&
+        navigator.clipboard &&
+        navigator.clipboard.writeText
+      ) {
+        try {
+          await navigator.clipboard.writeText(saved.shareUrl);
+        } catch {
+          // ignore
+        }
+      }
+    } catch (err) {
+      console.error(err);
+      if (isNetworkError(err)) {
+        try {
+          await queueSave();
+          return;
+        } catch (queueErr) {
+          console.error(queueErr);
+        }
+      }
+      alert("Failed to save plan. Check console.");
+    } finally {
+      setIsSavingPlan(false);
+    }
+  };
+
+  // Public view: copy someone else's plan into our account. Stops we don't have yet are added to our
+  // spots from the plan's snapshots, then the copy opens in edit mode.
+  const savePlanCopy = async () => {
+    if (!isPublicView || isForkingPlan) return;
+    if (!hasAuthSession()) {
+      alert("Please sign in first.");
+      return;
+    }
+    if (!planItems.length) {
+      alert("This plan has no stops to copy.");
+      return;
+    }
+    if (!isOnline) {
+      alert("Saving a copy needs a connection. Try again when you're back online.");
+      return;
+    }
+
+    setIsForkingPlan(true);
+    try {
+      // In public view `spots` holds the shared plan's stops: look each one up in our own library,
+      // by id (plans we were shared ourselves) or by name and position.
+      const ownSpotFor = new Map(); // shared spot id -> spot in our library
+      const missing = [];
+      const stops = [...new Set(planItems.map((x) => x.spotId))]
+        .map((spotId) => ({ spotId, spot: sharedSpotDetailsById[spotId] || getSpotById(spotId) }))
+        .filter((x) => x.spot);
+      const libraryById = new Map((await fetchSpotsById(stops.map((x) => x.spotId))).map((s) => [s.id, s]));
+      await mapWithConcurrency(stops, SPOT_DETAIL_CONCURRENCY, async ({ spotId, spot }) => {
+        const record = {
+          spotName: (spot.spotName || "").trim(),
+          address: (spot.address || "").trim(),
+          lat: Number.isFinite(spot.lat) ? spot.lat : null,
+          lng: Number.isFinite(spot.lng) ? spot.lng : null,
+        };
+        const own = libraryById.get(spotId) || (await findDuplicateSpot(record));
+        if (own) ownSpotFor.set(spotId, own);
+        else missing.push({ spotId, spot, record });
+      });
+
+      const failed = [];
+      await mapWithConcurrency(missing, IMPORT_CONCURRENCY, async ({ spotId, spot, record }) => {
+        const body = {
+          ...record,
+          videoUrl: spot.videoUrl || "",
+          // Custom categories belong to the plan's owner; ones we don't have land in the default.
+          category: categoryById.has(spot.category) ? spot.category : DEFAULT_CATEGORY,
+          tags: normalizeTags(spot.tags),
+          openTime: spot.openTime || "",
+          closeTime: spot.closeTime || "",
+          visitMinutes: spot.visitMinutes || null,
+          createdAt: new Date().toISOString(),
+        };
+        const result = await sendMutation({ type: "spot.create", payload: { body } });
+        if (result.ok) ownSpotFor.set(spotId, normalizeSpotResponse(result.data, body));
+        else failed.push(record.spotName || spotId);
+      });
+
+      if (
+        failed.length &&
+        !window.confirm(
+          failed.length + " stop(s) could not be added to your spots (" + failed.join(", ") + "). Save the copy without them?"
+        )
+      ) {
+        return;
+      }
+
+      const ownById = new Map([...ownSpotFor.values()].map((s) => [s.id, s]));
+      const seen = new Set();
+      const items = planItems
+        .filter((x) => ownSpotFor.has(x.spotId))
+        .map((x) => ({ spotId: ownSpotFor.get(x.spotId).id, visited: false, day: dayOf(x) }))
+        .filter((x) => !seen.has(x.spotId) && seen.add(x.spotId));
+      const name = "Copy of " + (planName.trim() || "shared plan");
+      const payload = buildPlanPayload({
+        name,
+        items,
+        visibility: DEFAULT_PLAN_VISIBILITY,
+        spotOf: (x) => ownById.get(x.spotId),
+      });
+
+      const saved = await api.plans.save({ body: payload });
+      const planId = saved.planId;
+
+      // Leave public view onto the copy; our own spots load back in as usual.
+      navigate(routePath({ name: "editPlan", planId }));
+      setSharedPlanError(null);
+      setSharedSpotDetailsById(toDetailsMap([...ownById.values()]));
+      setPlanItems(items);
+      setPlanName(name);
+      setPlanVisibility(DEFAULT_PLAN_VISIBILITY);
+      setSavedPlan({
+        planId,
+        name,
+        visibility: DEFAULT_PLAN_VISIBILITY,
+        role: "owner",
+        shareUrl: toAbsoluteShareUrl(saved.shareUrl, planId),
+      });
+      setPlanRole("owner");
+      setPlanMembers([]);
+      setRouteStats(null);
+      setSelectedSpot(null);
+      setFollowMode(true);
+      planSectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (err) {
+      console.error(err);
+      if (err && err.code === "NO_AUTH") return;
+      alert(
+        isNetworkError(err)
+          ? "Lost the connection while copying. Try again when you're back online."
+          : "Failed to save a copy. Check console."
+      );
+    } finally {
+      setIsForkingPlan(false);
+    }
+  };
+
+  // ---------- Offline sync queue ----------
+  const SYNC_LABELS = {
+    "spot.create": "Add spot",
+    "spot.update": "Edit spot",
+    "spot.delete": "Delete spot",
+    "photo.upload": "Upload photo",
+    "plan.save": "Save plan",
+    "plan.delete": "Delete plan",
+    "categories.save": "Save categories",
+  };
+
+  const refreshSyncQueue = async () => {
+    try {
+      setSyncQueue(await listMutations());
+    } catch {
+      setSyncQueue([]);
+    }
+  };
+
+  // Once something is queued, later writes queue behind it so the server sees them in order.
+  const shouldQueue = () => !navigator.onLine || syncQueue.some((m) => m.status === "pending");
+
+  // Worst status per spot/plan id, for the badges on cards and saved plans.
+  const syncStatusById = {};
+  for (const m of syncQueue) {
+    const target = mutationTarget(m);
+    if (target && (!syncStatusById[target] || m.status !== "pending")) {
+      syncStatusById[target] = m.status;
+    }
+  }
+
+  // The queue wants { ok, status, message, data }. Refusals from the server become failed results;
+  // anything without a response (offline, signed out) still throws so the change stays queued.
+  const readMutationResult = async (call) => {
+    try {
+      return { ok: true, data: await call() };
+    } catch (err) {
+      if (!(err instanceof ApiError) || !err.status) throw err;
+      return { ok: false, status: err.status, message: err.message };
+    }
+  };
+
+  const sendMutation = async (m) => {
+    const p = m.payload;
+
+    if (m.type === "spot.create") {
+      let body = p.body;
+      if (!Number.isFinite(body.lat) || !Number.isFinite(body.lng)) {
+        const location = await geocodeAddress(body.address);
+        if (!location) {
+          return { ok: false, status: 422, message: "Could not find location. Please check the address." };
+        }
+        body = { ...body, lat: location.lat, lng: location.lng };
+      }
+
+      const result = await readMutationResult(() => api.spots.create(toServerSpotBody(body)));
+      return result.ok ? { ...result, id: result.data.id } : result;
+    }
+
+    if (m.type === "spot.update") {
+      return readMutationResult(() => api.spots.update(p.spotId, toServerSpotBody(p.body)));
+    }
+
+    // Upload a photo kept on the device, then add it to the server's list for the spot.
+    if (m.type === "photo.upload") {
+      const local = await readLocalPhoto(p.photo.id);
+      if (!local) return { ok: false, status: 410, message: "The photo is no longer on this device." };
+
+      const stored = await uploadPhotoFiles(p.spotId, p.photo.id, local);
+      if (!stored) return { ok: false, status: 422, message: "The server can't store photos yet." };
+
+      const photo = { ...p.photo, ...stored };
+      const result = await readMutationResult(async () => {
+        const remote = await api.spots.get(p.spotId);
+        return api.spots.update(p.spotId, { photos: [...withoutLocalPhotos(remote).photos, photo] });
+      });
+      if (!result.ok) return result;
+      // Edits queued after this one still list the device-only urls.
+      return {
+        ok: true,
+        data: photo,
+        remap: { [p.photo.url]: photo.url, [p.photo.thumbUrl]: photo.thumbUrl },
+      };
+    }
+
+    if (m.type === "spot.delete") {
+      return readMutationResult(() => api.spots.delete(p.spotId));
+    }
+
+    if (m.type === "plan.save") {
+      const result = await readMutationResult(() => api.plans.save({ planId: p.planId, body: p.body }));
+      return result.ok ? { ...result, id: result.data.planId } : result;
+    }
+
+    if (m.type === "plan.delete") {
+      return readMutationResult(() => api.plans.delete(p.planId));
+    }
+
+    if (m.type === "categories.save") {
+      return readMutationResult(() => api.categories.save(p.categories));
+    }
+
+    return { ok: false, status: 400, message: "Unknown change type: " + m.type };
+  };
+
+  // Swap local ids for the server's once a queued create lands.
+  const applySyncedMutation = (m, result) => {
+    if (m.type === "spot.create" && result.data && result.data.id) {
+      const localId = m.payload.tempId;
+      const created = normalizeSpotResponse(result.data, m.payload.body);
+      updatePrivateSpots((prev) => prev.map((s) => (s.id === localId ? created : s)));
+      setPlanItems((prev) =>
+        prev.map((x) => (x.spotId === localId ? { ...x, spotId: created.id } : x))
+      );
+      setSelectedSpot((prev) => (prev && prev.id === localId ? created : prev));
+    }
+
+    if (m.type === "spot.update" && result.data && result.data.id) {
+      const updated = result.data;
+      updatePrivateSpots((prev) =>
+        prev.map((s) =>
+          s.id === m.payload.spotId ? { ...s, ...normalizeSpotResponse(updated, s) } : s
+        )
+      );
+    }
+
+    if (m.type === "photo.upload") {
+      const uploaded = result.data;
+      const swap = (s) =>
+        s && s.id === m.payload.spotId
+          ? { ...s, photos: normalizePhotos(s.photos).map((x) => (x.id === uploaded.id ? uploaded : x)) }
+          : s;
+      updatePrivateSpots((prev) => prev.map(swap));
+      setSelectedSpot(swap);
+      deleteLocalPhoto(uploaded.id).catch(() => {
+        // ignore cache delete errors
+      });
+    }
+
+    if (m.type === "plan.save" && result.id) {
+      const localId = m.payload.tempPlanId || m.payload.planId;
+      const planId = result.id;
+      const serverShareUrl = toAbsoluteShareUrl(result.data && result.data.shareUrl, null);
+      const withServerId = (x) => ({
+        ...x,
+        planId,
+        shareUrl: serverShareUrl || x.shareUrl || toAbsoluteShareUrl(null, planId),
+      });
+
+      setSavedPlans((prev) => {
+        const next = prev.map((x) => (x.planId === localId ? withServerId(x) : x));
+        writeSavedPlansCache(next);
+        return next;
+      });
+      setSavedPlan((prev) => (prev && prev.planId === localId ? withServerId(prev) : prev));
+    }
+  };
+
+  const runSyncQueue = async () => {
+    if (!navigator.onLine || !hasAuthSession()) return;
+
+    let appliedCount = 0;
+    try {
+      await replayMutations({
+        send: sendMutation,
+        onApplied: (m, result) => {
+          appliedCount++;
+          applySyncedMutation(m, result);
+        },
+      });
+    } catch (err) {
+      console.error("Offline sync failed:", err);
+    } finally {
+      await refreshSyncQueue();
+    }
+
+    if (appliedCount) loadSavedPlansPrivate();
+  };
+
+  const retrySyncItem = async (m) => {
+    try {
+      await updateMutation({ ...m, status: "pending", error: null });
+      // Changes that were set aside because this create failed go back in line with it.
+      const localId = m.payload.tempId || m.payload.tempPlanId;
+      if (localId) {
+        const waiting = (await listMutations()).filter(
+          (x) => x.id !== m.id && x.status === "conflict" && mutationTarget(x) === localId
+        );
+        for (const x of waiting) await updateMutation({ ...x, status: "pending", error: null });
+      }
+    } catch (err) {
+      console.error(err);
+    }
+    await refreshSyncQueue();
+    runSyncQueue();
+  };
+
+  const discardSyncItem = async (m) => {
+    const ok = window.confirm("Discard this change? It will not be sent to the server.");
+    if (!ok) return;
+
+    try {
+      await removeMutation(m.id);
+    } catch (err) {
+      console.error(err);
+    }
+
+    const target = mutationTarget(m);
+    if (m.type === "spot.create") {
+      updatePrivateSpots((prev) => prev.filter((s) => s.id !== target));
+      setPlanItems((prev) => prev.filter((x) => x.spotId !== target));
+      if (selectedSpot && selectedSpot.id === target) setSelectedSpot(null);
+    }
+    if (m.type === "plan.save" && isLocalId(target)) {
+      setSavedPlans((prev) => {
+        const next = prev.filter((x) => x.planId !== target);
+        writeSavedPlansCache(next);
+        return next;
+      });
+      if (savedPlan && savedPlan.planId === target) setSavedPlan(null);
+    }
+    // A dropped delete/edit means the server copy is the truth again: reload it.
+    if (m.type === "photo.upload") {
+      const withoutPhoto = (s) =>
+        s && s.id === target
+          ? { ...s, photos: normalizePhotos(s.photos).filter((x) => x.id !== m.payload.photo.id) }
+          : s;
+      updatePrivateSpots((prev) => prev.map(withoutPhoto));
+      setSelectedSpot(withoutPhoto);
+      deleteLocalPhoto(m.payload.photo.id).catch(() => {
+        // ignore cache delete errors
+      });
+    }
+    if (m.type === "spot.delete" || m.type === "spot.update") loadSpotsPrivate({ refresh: true });
+    if (m.type === "plan.delete") loadSavedPlansPrivate();
+
+    refreshSyncQueue();
+  };
+
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOnline(true);
+      if (!isPublicView && authUser) runSyncQueue();
+    };
+    const goOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isPublicView, authUser]);
+
+  // Replay whatever was left in the queue from a previous session.
+  useEffect(() => {
+    if (isPublicView || !authUser) return;
+    refreshSyncQueue().then(runSyncQueue);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isPublicView, authUser]);
+
+  // A write can fail on flaky mobile data while navigator.onLine stays true, so no "online" event
+  // will come to replay it. While anything is pending, retry on a timer that backs off (5s, 10s,
+  // 20s ... up to 5 min) and starts over once the queue drains.
+  const SYNC_RETRY_BASE_MS = 5000;
+  const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+  const syncRetryAttemptRef = useRef(0);
+  useEffect(() => {
+    if (!syncQueue.some((m) => m.status === "pending")) {
+      syncRetryAttemptRef.current = 0;
+      return;
+    }
+    if (isPublicView || !authUser || !isOnline) return;
+
+    const delay = Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * 2 ** syncRetryAttemptRef.current);
+    const timer = setTimeout(() => {
+      syncRetryAttemptRef.current++;
+      runSyncQueue();
+    }, delay);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncQueue, isOnline, isPublicView, authUser]);
+
+  const renderSyncBadge = (status) => {
+    if (!status) return null;
+    const styles = {
+      pending: "bg-yellow-100 text-yellow-800",
+      failed: "bg-red-100 text-red-700",
+      conflict: "bg-orange-100 text-orange-800",
+    };
+    const labels = { pending: "Pending sync", failed: "Sync failed", conflict: "Conflict" };
+    return (
+      <span className={`text-xs px-2 py-0.5 rounded-full shrink-0 ${styles[status] || styles.pending}`}>
+        {labels[status] || status}
+      </span>
+    );
+  };
+
+  const renderAvatar = (person, size = "w-7 h-7") =>
+    person.picture ? (
+      <img
+        src={person.picture}
+        alt={person.name}
+        title={person.name}
+        className={`${size} rounded-full border-2 border-white object-cover`}
+        referrerPolicy="no-referrer"
+      />
+    ) : (
+      <span
+        title={person.name}
+        className={`${size} rounded-full border-2 border-white bg-gray-200 text-gray-700 text-xs font-semibold inline-flex items-center justify-center`}
+      >
+        {(person.name || "?").trim().charAt(0).toUpperCase()}
+      </span>
+    );
+
+  // Who else has the live plan open, plus whether our changes are getting through.
+  const renderPlanPresence = () => (
+    <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+      {planPresence.length > 0 && (
+        <div className="flex -space-x-2">
+          {planPresence.slice(0, 5).map((p) => (
+            <span key={p.key}>{renderAvatar(p)}</span>
+          ))}
+          {planPresence.length > 5 && (
+            <span className="w-7 h-7 rounded-full border-2 border-white bg-gray-100 text-gray-600 inline-flex items-center justify-center">
+              +{planPresence.length - 5}
+            </span>
+          )}
+        </div>
+      )}
+      <span>
+        {planPresence.length === 1
+          ? planPresence[0].name + " is here too"
+          : planPresence.length > 1
+            ? planPresence.length + " others are here"
+            : "Nobody else here right now"}
+      </span>
+      {planSyncStatus === "offline" ? (
+        <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Reconnecting...</span>
+      ) : planSyncStatus === "live" ? (
+        <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-700">Live</span>
+      ) : null}
+    </div>
+  );
+
+  // Owners invite and manage members; editors only see who else is in the plan.
+  const renderPlanMembers = () => {
+    const isOwner = planRole === "owner";
+    return (
+      <div className="border rounded-2xl p-4 bg-gray-50 space-y-3 text-xs text-gray-700">
+        {planMembers.length === 0 ? (
+          <p className="text-gray-500">
+            {isOwner ? "Only you can see this plan's edits. Invite people to plan together." : "No other members yet."}
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {planMembers.map((m) => (
+              <li key={m.memberId} className="flex items-center gap-2">
+                {renderAvatar({ name: m.name || m.email, picture: m.picture })}
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-gray-900">{m.name || m.email}</p>
+                  {m.name && <p className="truncate text-gray-500">{m.email}</p>}
+                </div>
+                {m.status === "invited" && (
+                  <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Invited</span>
+                )}
+                {isOwner ? (
+                  <>
+                    <select
+                      value={m.role}
+                      onChange={(e) => updateMember(m, e.target.value)}
+                      className="border rounded-lg px-2 py-1 bg-white"
+                    >
+                      {PLAN_MEMBER_ROLES.map((r) => (
+                        <option key={r.value} value={r.value}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => updateMember(m, null)}
+                      className="px-2 py-1 rounded-lg border bg-white text-red-600 hover:bg-red-50"
+                    >
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-gray-500">
+                    {(PLAN_MEMBER_ROLES.find((r) => r.value === m.role) || PLAN_MEMBER_ROLES[0]).label}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isOwner && (
+          <form
+            className="flex flex-col sm:flex-row gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              inviteMember();
+            }}
+          >
+            <input
+              type="email"
+              value={memberInvite.email}
+              onChange={(e) => {
+                const email = e.target.value;
+                setMemberInvite((prev) => ({ ...prev, email }));
+              }}
+              placeholder="friend@example.com"
+              className="flex-1 border rounded-lg px-2 py-1 bg-white"
+            />
+            <select
+              value={memberInvite.role}
+              onChange={(e) => {
+                const role = e.target.value;
+                setMemberInvite((prev) => ({ ...prev, role }));
+              }}
+              className="border rounded-lg px-2 py-1 bg-white"
+            >
+              {PLAN_MEMBER_ROLES.map((r) => (
+                <option key={r.value} value={r.value}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={isInvitingMember || !memberInvite.email.trim()}
+              className="px-3 py-1 rounded-lg border bg-red-500 text-white hover:bg-red-600 disabled:opacity-60"
+            >
+              {isInvitingMember ? "Inviting..." : "Invite"}
+            </button>
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  // Tag chips shared by the spots grid and the map; a spot must carry every selected tag.
+  const renderTagFilter = () => {
+    if (!availableTags.length) return null;
+    return (
+      <div className="flex flex-wrap items-center gap-1.5 text-xs">
+        <span className="text-gray-500">Tags:</span>
+        {availableTags.map(({ tag, count }) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggleTagFilter(tag)}
+            className={`px-2 py-0.5 rounded-full border transition ${activeTags.includes(tag)
+                ? "bg-red-500 border-red-500 text-white"
+                : "bg-white text-gray-600 hover:bg-gray-50"
+              }`}
+          >
+            #{tag} <span className="opacity-60">{count}</span>
+          </button>
+        ))}
+        {activeTags.length > 0 && (
+          <button type="button" onClick={() => setActiveTags([])} className="text-gray-500 underline">
+            Clear
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Stars, notes and visit summary; the notes/visit editor opens in place (card or InfoWindow).
+  const renderSpotJournal = (spot, where) => {
+    const rating = normalizeRating(spot.rating);
+    const visits = normalizeVisits(spot.visits);
+    const last = lastVisitDate(spot);
+    const editable = canEditJournal(spot);
+    const isOpen = journalDraft && journalDraft.spotId === spot.id && journalDraft.where === where;
+
+    if (!editable && !rating && !visits.length && !spot.notes) return null;
+
+    return (
+      <div onClick={(e) => e.stopPropagation()} className="space-y-1 text-xs text-left">
+        <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+          <span className="inline-flex">
+            {RATING_VALUES.map((n) => (
+              <button
+                key={n}
+                type="button"
+                onClick={() => rateSpot(spot, n)}
+                disabled={!editable}
+                title={editable ? "Rate " + n + "/5" : ""}
+                className={`text-base leading-none ${n <= (rating || 0) ? "text-yellow-500" : "text-gray-300"} ${editable ? "hover:text-yellow-400" : "cursor-default"
+                  }`}
+              >
+                ★
+              </button>
+            ))}
+          </span>
+          {last && (
+            <span className="text-gray-500">
+              Visited {visits.length}× · last {formatVisitDate(last)}
+            </span>
+          )}
+          {editable && !isOpen && (
+            <button type="button" onClick={() => openJournal(spot, where)} className="text-gray-500 underline">
+              Notes & visits
+            </button>
+          )}
+        </div>
+
+        {!isOpen && spot.notes && (
+          <p className="text-gray-600 whitespace-pre-wrap line-clamp-3">{spot.notes}</p>
+        )}
+
+        {isOpen && (
+          <div className="space-y-2 border rounded-lg p-2 bg-gray-50">
+            <textarea
+              value={journalDraft.notes}
+              onChange={(e) => setJournalDraft((prev) => ({ ...prev, notes: e.target.value }))}
+              rows={3}
+              placeholder="What did you order? Worth coming back?"
+              className="w-full border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-red-400"
+            />
+            <div className="space-y-1">
+              {[...visits].reverse().map((v) => (
+                <div key={v.id} className="flex items-center gap-2 text-gray-600">
+                  <span>{formatVisitDate(v.date)}</span>
+                  {v.planName && <span className="text-gray-400 truncate">· {v.planName}</span>}
+                  <button
+                    type="button"
+                    onClick={() => deleteVisit(spot, v.id)}
+                    title="Remove visit"
+                    className="ml-auto text-gray-400 hover:text-red-500"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={journalDraft.visitDate}
+                  onChange={(e) => setJournalDraft((prev) => ({ ...prev, visitDate: e.target.value }))}
+                  className="border rounded-lg px-2 py-0.5 bg-white"
+                />
+                <button
+                  type="button"
+                  onClick={() => logVisit(spot, journalDraft.visitDate)}
+                  className="text-gray-600 underline"
+                >
+                  Log visit
+                </button>
+              </div>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setJournalDraft(null)}
+                className="px-3 py-1 rounded-lg border bg-white hover:bg-gray-50"
+              >
+                Close
+              </button>
+              <button
+                type="button"
+                onClick={saveJournalNotes}
+                className="px-3 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600"
+              >
+                Save notes
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Thumbnail strip with an "Add photos" picker; tapping a thumbnail opens the viewer.
+  const renderPhotoStrip = (spot, { max = 4 } = {}) => {
+    const photos = normalizePhotos(spot.photos);
+    const editable = canEditJournal(spot);
+    if (!photos.length && !editable) return null;
+    const isUploading = uploadingPhotoSpotId === spot.id;
+
+    return (
+      <div onClick={(e) => e.stopPropagation()} className="flex flex-wrap items-center gap-1.5">
+        {photos.slice(0, max).map((photo, i) => (
+          <button
+            key={photo.id}
+            type="button"
+            onClick={() => setPhotoViewer({ spotId: spot.id, index: i })}
+            className="relative w-14 h-14 rounded-lg overflow-hidden border bg-gray-100"
+          >
+            {photoSrc(photo.thumbUrl) && (
+              <img src={photoSrc(photo.thumbUrl)} alt="" loading="lazy" className="w-full h-full object-cover" />
+            )}
+            {i === max - 1 && photos.length > max && (
+              <span className="absolute inset-0 bg-black/50 text-white text-xs font-semibold flex items-center justify-center">
+                +{photos.length - max}
+              </span>
+            )}
+          </button>
+        ))}
+        {editable && photos.length < MAX_PHOTOS_PER_SPOT && (
+          <label
+            className={`w-14 h-14 rounded-lg border border-dashed flex items-center justify-center text-xs text-center ${isUploading ? "text-gray-400" : "text-gray-500 hover:bg-gray-50 cursor-pointer"
+              }`}
+          >
+            {isUploading ? "Uploading..." : "+ Photo"}
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={!!uploadingPhotoSpotId}
+              onChange={(e) => {
+                uploadSpotPhotos(spot, e.target.files);
+                e.target.value = "";
+              }}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+    );
   };
 
-  const unvisitedCount = planItems.filter((x) => !x.visited).length;
+  // Full-size viewer for one spot's photos (opened from a thumbnail strip).
+  const renderPhotoViewer = () => {
+    if (!photoViewer) return null;
+    const spot = getSpotById(photoViewer.spotId);
+    const photos = normalizePhotos(spot && spot.photos);
+    const photo = photos[photoViewer.index];
+    if (!photo) return null;
+    const step = (d) =>
+      setPhotoViewer((prev) => ({ ...prev, index: (prev.index + d + photos.length) % photos.length }));
+    return (
+      <div
+        className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4"
+        onClick={() => setPhotoViewer(null)}
+      >
+        <div className="w-full max-w-3xl space-y-3" onClick={(e) => e.stopPropagation()}>
+          <div className="flex items-center justify-between gap-3 text-white">
+            <span className="text-sm font-semibold truncate">
+              {spot.spotName} · {photoViewer.index + 1}/{photos.length}
+              {isLocalPhotoUrl(photo.url) && (
+                <span className="ml-2 text-xs font-normal text-gray-300">Only on this device</span>
+              )}
+            </span>
+            <div className="flex items-center gap-3 text-sm">
+              {canEditJournal(spot) && (
+                <button type="button" onClick={() => deleteSpotPhoto(spot, photo)} className="hover:text-red-300">
+                  Delete
+                </button>
+              )}
+              <button type="button" onClick={() => setPhotoViewer(null)} className="hover:text-gray-300">
+                Close
+              </button>
+            </div>
+          </div>
+          <div className="relative">
+            {photoSrc(photo.url) ? (
+              <img
+                src={photoSrc(photo.url)}
+                alt={spot.spotName}
+                className="w-full max-h-[75vh] object-contain rounded-xl bg-black"
+              />
+            ) : (
+              <div className="h-64 flex items-center justify-center text-gray-300 text-sm">
+                This photo isn&apos;t available on this device.
+              </div>
+            )}
+            {photos.length > 1 && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => step(-1)}
+                  className="absolute left-2 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white/80 text-gray-900"
+                >
+                  &lsaquo;
+                </button>
+                <button
+                  type="button"
+                  onClick={() => step(1)}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white/80 text-gray-900"
+                >
+                  &rsaquo;
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
 
-  // ---------- Save plan ----------
-  const savePlan = async () => {
-    if (isPublicView) return;
+  // Inline edit form, shown in the spot card or the InfoWindow depending on spotDraft.where.
+  const renderSpotEditor = () => {
+    if (!spotDraft) return null;
+    const d = spotDraft;
+    const urlCheck = validateVideoUrl(d.videoUrl);
+    const inputClass = "mt-0.5 w-full border rounded-lg px-2 py-1 text-sm outline-none focus:ring-2 focus:ring-red-400";
+
+    return (
+      <div onClick={(e) => e.stopPropagation()} className="space-y-2 text-left">
+        <label className="block text-xs text-gray-600">
+          Spot name
+          <input
+            type="text"
+            value={d.spotName}
+            onChange={(e) => updateSpotDraft({ spotName: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-xs text-gray-600">
+          Video URL
+          <input
+            type="url"
+            value={d.videoUrl}
+            onChange={(e) => updateSpotDraft({ videoUrl: e.target.value })}
+            className={inputClass}
+          />
+          {urlCheck.error && <span className="block mt-0.5 text-red-600">{urlCheck.error}</span>}
+          {urlCheck.warning && <span className="block mt-0.5 text-yellow-700">{urlCheck.warning}</span>}
+        </label>
+        <label className="block text-xs text-gray-600">
+          Address
+          <div className="flex gap-1">
+            <input
+              type="text"
+              value={d.address}
+              onChange={(e) => updateSpotDraft({ address: e.target.value })}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={locateSpotDraft}
+              disabled={isLocatingDraft || !d.address.trim()}
+              className="mt-0.5 shrink-0 text-xs px-2 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              {isLocatingDraft ? "..." : "Find"}
+            </button>
+          </div>
+        </label>
+        <p className="text-xs text-gray-500">
+          {Number.isFinite(d.lat) && Number.isFinite(d.lng)
+            ? "Pin at " + formatLatLng(d) + ". Drag it on the map to move the spot."
+            : "No pin yet. Use Find to place it."}
+        </p>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block text-xs text-gray-600">
+            Category
+            <select
+              value={d.category}
+              onChange={(e) => updateSpotDraft({ category: e.target.value })}
+              className={inputClass + " bg-white"}
+            >
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.icon} {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-xs text-gray-600">
+            Visit (min)
+            <input
+              type="number"
+              min={5}
+              step={5}
+              value={d.visitMinutes}
+              onChange={(e) => updateSpotDraft({ visitMinutes: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-xs text-gray-600">
+            Opens
+            <input
+              type="time"
+              value={d.openTime}
+              onChange={(e) => updateSpotDraft({ openTime: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-xs text-gray-600">
+            Closes
+            <input
+              type="time"
+              value={d.closeTime}
+              onChange={(e) => updateSpotDraft({ closeTime: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <label className="block text-xs text-gray-600">
+          Tags
+          <input
+            type="text"
+            value={d.tags}
+            onChange={(e) => updateSpotDraft({ tags: e.target.value })}
+            placeholder="vegetarian, late night"
+            className={inputClass}
+          />
+        </label>
+        <div className="flex justify-end gap-2 pt-1">
+          <button
+            type="button"
+            onClick={() => setSpotDraft(null)}
+            className="text-xs px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={saveSpotEdit}
+            disabled={isSavingSpotEdit || !!urlCheck.error}
+            className="text-xs px-3 py-1.5 rounded-lg bg-red-500 text-white hover:bg-red-600 disabled:opacity-50"
+          >
+            {isSavingSpotEdit ? "Saving..." : "Save changes"}
+          </button>
+        </div>
+      </div>
+    );
+  };
 
-    if (!getIdToken()) {
-      alert("Please sign in first.");
-      return;
+  // Embedded player (after a tap) or thumbnail card for known video hosts; plain link otherwise.
+  // `key` tells the InfoWindow and spot card copies of the same spot apart.
+  const renderVideoPreview = (spot, key) => {
+    const video = parseVideoUrl(spot && spot.videoUrl);
+    if (!video) return null;
+
+    const platform = video.platform ? VIDEO_PLATFORMS[video.platform] : null;
+    if (!platform || !video.embedUrl) {
+      return (
+        <a
+          href={video.url}
+          target="_blank"
+          rel="noreferrer"
+          onClick={(e) => e.stopPropagation()}
+          className="text-sm text-red-500 underline break-all"
+        >
+          {platform ? "Watch on " + platform.label : "Watch"}
+        </a>
+      );
     }
 
-    if (!API_BASE) {
-      alert("Missing API base URL.");
-      return;
-    }
-    if (!planItems.length) {
-      alert("Your plan is empty. Add some spots first.");
-      return;
+    const frameClass = video.vertical ? "w-full max-w-[325px] h-[560px]" : "w-full aspect-video";
+
+    if (playingVideoKey === key) {
+      return (
+        <div onClick={(e) => e.stopPropagation()} className="space-y-1">
+          <iframe
+            src={video.embedUrl + (video.platform === "youtube" ? "?autoplay=1" : "")}
+            title={(spot.spotName || "Spot") + " video"}
+            className={`${frameClass} rounded-xl border-0 bg-black`}
+            allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+            allowFullScreen
+            loading="lazy"
+          />
+          <button
+            type="button"
+            onClick={() => setPlayingVideoKey(null)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Close player
+          </button>
+        </div>
+      );
     }
 
-    const name = planName.trim() || "My Plan (" + new Date().toLocaleDateString() + ")";
-
-    const payload = {
-      name,
-      items: planItems.map((x, idx) => {
-        const spot = getSpotById(x.spotId) || sharedSpotDetailsById[x.spotId] || {};
-        return {
-          spotId: x.spotId,
-          visited: !!x.visited,
-          order: idx,
-          spotName: spot.spotName || "",
-          address: spot.address || "",
-          videoUrl: spot.videoUrl || "",
-          lat: Number.isFinite(spot.lat) ? spot.lat : null,
-          lng: Number.isFinite(spot.lng) ? spot.lng : null,
-        };
-      }),
-      isPublic: true,
-    };
-
-    setIsSavingPlan(true);
-    try {
-      const res = await apiFetchAuthed("/plans", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const errText = await res.text();
-        throw new Error("POST /plans failed: " + res.status + " " + errText);
-      }
-
-      const data = await res.json();
-      const planId = data && data.planId;
-      const shareUrl = toAbsoluteShareUrl(data && data.shareUrl, planId);
+    return (
+      <div className="space-y-1">
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            setPlayingVideoKey(key);
+          }}
+          className="relative w-full aspect-video rounded-xl overflow-hidden border bg-gray-900 text-white text-left"
+        >
+          {video.thumbnailUrl && (
+            <img
+              src={video.thumbnailUrl}
+              alt=""
+              loading="lazy"
+              className="absolute inset-0 w-full h-full object-cover"
+            />
+          )}
+          <span className="absolute inset-0 flex items-center justify-center">
+            <span className="w-12 h-12 rounded-full bg-black/60 flex items-center justify-center text-xl">
+              &#9654;
+            </span>
+          </span>
+          <span
+            className="absolute left-2 bottom-2 text-xs font-semibold px-2 py-0.5 rounded-full"
+            style={{ backgroundColor: platform.color }}
+          >
+            {platform.label}
+          </span>
+        </button>
+        <a
+          href={video.url}
+          target="_blank"
+          rel="noreferrer"
+          onClick={(e) => e.stopPropagation()}
+          className="text-xs text-red-500 underline"
+        >
+          Open on {platform.label}
+        </a>
+      </div>
+    );
+  };
 
-      const saved = { ...data, planId, shareUrl };
-      setSavedPlan(saved);
-      setSavedPlans((prev) => {
-        const next = [
-          {
-            planId: saved.planId,
-            name,
-            isPublic: true,
-            updatedAt: new Date().toISOString(),
-            shareUrl: saved.shareUrl,
-          },
-          ...prev.filter((x) => x.planId !== saved.planId),
-        ];
-        writeSavedPlansCache(next);
-        return next;
-      });
-      loadSavedPlansPrivate();
+  const videoUrlCheck = validateVideoUrl(videoUrl);
+  const addressInput = parseLocationInput(address, { reference: defaultCenter });
 
-      if (saved && saved.shareUrl && navigator.clipboard && navigator.clipboard.writeText) {
-        try {
-          await navigator.clipboard.writeText(saved.shareUrl);
-        } catch {
-          // ignore
-        }
-      }
-    } catch (err) {
-      console.error(err);
-      alert("Failed to save plan. Check console.");
-    } finally {
-      setIsSavingPlan(false);
-    }
+  const handleAddressChange = (value) => {
+    setAddress(value);
+    const pasted = parseLocationInput(value, { reference: defaultCenter });
+    if (pasted && pasted.name && !spotName.trim()) setSpotName(pasted.name);
   };
 
   // ========================
@@ -1139,6 +4314,15 @@ export default function App() {
               </span>
             )}
 
+            {!isOnline && (
+              <span className="text-xs bg-gray-900 text-white px-2 py-1 rounded-full">Offline</span>
+            )}
+            {!isPublicView && syncQueue.length > 0 && (
+              <span className="text-xs bg-yellow-50 text-yellow-800 border border-yellow-200 px-2 py-1 rounded-full">
+                {syncQueue.length} unsynced
+              </span>
+            )}
+
             <span>{isLoadingSpots ? "Loading..." : `${spots.length} spots`}</span>
 
             {/* AUTH UI */}
@@ -1188,33 +4372,33 @@ export default function App() {
           <div className="bg-white rounded-2xl shadow-md p-4 sm:p-6 relative">
             <div className="flex items-start justify-between gap-3">
               <div>
-                <div className="mt-3 inline-flex w-full sm:w-auto rounded-xl border border-gray-200 bg-gray-50 p-1 gap-1">
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setActiveTab("eat");
-                    }}
-                    className={`px-3 py-2 text-xs sm:text-sm rounded-lg transition ${activeTab === "eat" ? "bg-white text-red-600 shadow-sm border border-red-100" : "text-gray-600 hover:text-gray-900"
-                      }`}
-                  >
-                    Eat
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setActiveTab("explore");
-                    }}
-                    className={`px-3 py-2 text-xs sm:text-sm rounded-lg transition ${activeTab === "explore"
-                        ? "bg-white text-red-600 shadow-sm border border-red-100"
-                        : "text-gray-600 hover:text-gray-900"
-                      }`}
-                  >
-                    Play
-                  </button>
+                <div className="mt-3 inline-flex flex-wrap w-full sm:w-auto rounded-xl border border-gray-200 bg-gray-50 p-1 gap-1">
+                  {categories.map((c) => (
+                    <button
+                      key={c.id}
+                      type="button"
+                      onClick={() => selectTab(c.id)}
+                      className={`px-3 py-2 text-xs sm:text-sm rounded-lg transition ${activeTab === c.id ? "bg-white text-red-600 shadow-sm border border-red-100" : "text-gray-600 hover:text-gray-900"
+                        }`}
+                    >
+                      <span className="mr-1">{c.icon}</span>
+                      {c.label}
+                    </button>
+                  ))}
+                  {!isPublicView && (
+                    <button
+                      type="button"
+                      onClick={() => setIsCategoryManagerOpen((v) => !v)}
+                      title="Manage categories"
+                      className="px-3 py-2 text-xs sm:text-sm rounded-lg text-gray-500 hover:text-gray-900"
+                    >
+                      +
+                    </button>
+                  )}
                   <button
                     type="button"
                     onClick={() => {
-                      setActiveTab("plan");
+                      selectTab("plan");
                       planSectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
                     }}
                     className={`px-3 py-2 text-xs sm:text-sm rounded-lg transition ${activeTab === "plan" ? "bg-white text-red-600 shadow-sm border border-red-100" : "text-gray-600 hover:text-gray-900"
@@ -1229,6 +4413,114 @@ export default function App() {
                     You're viewing a shared plan. Editing is disabled.
                   </p>
                 )}
+
+                {isCategoryManagerOpen && !isPublicView && (
+                  <div className="mt-3 border rounded-xl p-3 space-y-2 text-sm bg-white">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">Categories</span>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setIsCategoryManagerOpen(false);
+                          setCategoryDraft(null);
+                        }}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                      >
+                        Close
+                      </button>
+                    </div>
+
+                    {categories.map((c) => (
+                      <div key={c.id} className="flex items-center gap-2">
+                        <span className="inline-block w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: c.color }} />
+                        <span className="flex-1 min-w-0 truncate">
+                          {c.icon} {c.label}
+                          <span className="text-xs text-gray-400 ml-1">
+                            {spots.filter((s) => categoryOf(s) === c.id).length}
+                          </span>
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => openCategoryDraft(c)}
+                          className="text-xs text-gray-500 hover:text-gray-800"
+                        >
+                          Edit
+                        </button>
+                        {!c.builtIn && (
+                          <button
+                            type="button"
+                            onClick={() => deleteCategory(c)}
+                            className="text-xs text-gray-400 hover:text-red-500"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    ))}
+
+                    {categoryDraft ? (
+                      <div className="border-t pt-2 space-y-2">
+                        <input
+                          type="text"
+                          value={categoryDraft.label}
+                          onChange={(e) => setCategoryDraft((prev) => ({ ...prev, label: e.target.value }))}
+                          placeholder="Category name, e.g. Cafe"
+                          className="w-full border rounded-lg px-2 py-1 outline-none focus:ring-2 focus:ring-red-400"
+                        />
+                        <div className="flex flex-wrap gap-1">
+                          {CATEGORY_COLORS.map((color) => (
+                            <button
+                              key={color}
+                              type="button"
+                              onClick={() => setCategoryDraft((prev) => ({ ...prev, color }))}
+                              title={color}
+                              className={`w-6 h-6 rounded-full border-2 ${categoryDraft.color === color ? "border-gray-900" : "border-white"
+                                }`}
+                              style={{ backgroundColor: color }}
+                            />
+                          ))}
+                        </div>
+                        <div className="flex flex-wrap gap-1">
+                          {CATEGORY_ICONS.map((icon) => (
+                            <button
+                              key={icon}
+                              type="button"
+                              onClick={() => setCategoryDraft((prev) => ({ ...prev, icon }))}
+                              className={`w-8 h-8 rounded-lg border ${categoryDraft.icon === icon ? "border-red-400 bg-red-50" : "bg-white"
+                                }`}
+                            >
+                              {icon}
+                            </button>
+                          ))}
+                        </div>
+                        <div className="flex justify-end gap-2">
+                          <button
+                            type="button"
+                            onClick={() => setCategoryDraft(null)}
+                            className="text-xs px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            type="button"
+                            onClick={saveCategoryDraft}
+                            className="text-xs px-3 py-1.5 rounded-lg bg-red-500 text-white hover:bg-red-600"
+                          >
+                            {categoryDraft.id ? "Save category" : "Add category"}
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => openCategoryDraft(null)}
+                        className="text-xs text-red-600 hover:text-red-700"
+                      >
+                        + New category
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
 
             </div>
@@ -1252,9 +4544,13 @@ export default function App() {
                   disabled={isPublicView}
                   className={`mt-1 w-full border rounded-xl p-3 outline-none ${isPublicView
                       ? "bg-gray-100 text-gray-500"
-                      : "focus:ring-2 focus:ring-red-400"
+                      : videoUrlCheck.error
+                        ? "border-red-400 focus:ring-2 focus:ring-red-400"
+                        : "focus:ring-2 focus:ring-red-400"
                     }`}
                 />
+                {videoUrlCheck.error && <p className="mt-1 text-xs text-red-600">{videoUrlCheck.error}</p>}
+                {videoUrlCheck.warning && <p className="mt-1 text-xs text-yellow-700">{videoUrlCheck.warning}</p>}
               </div>
 
               <div>
@@ -1276,13 +4572,73 @@ export default function App() {
                 <input
                   type="text"
                   value={address}
-                  onChange={(e) => setAddress(e.target.value)}
+                  onChange={(e) => handleAddressChange(e.target.value)}
+                  placeholder="Address, Google Maps link, plus-code or lat, lng"
+                  disabled={isPublicView}
+                  className={`mt-1 w-full border rounded-xl p-3 outline-none ${isPublicView
+                      ? "bg-gray-100 text-gray-500"
+                      : "focus:ring-2 focus:ring-red-400"
+                    }`}
+                />
+                {addressInput && addressInput.kind === "coords" && (
+                  <p className="mt-1 text-xs text-green-700">
+                    Placed at {formatLatLng(addressInput)}
+                    {addressInput.source === "maps_link" ? " from the Google Maps link" : ""}. No lookup needed.
+                  </p>
+                )}
+                {addressInput && addressInput.kind === "query" && (
+                  <p className="mt-1 text-xs text-gray-500">Will look up &quot;{addressInput.query}&quot;.</p>
+                )}
+                {addressInput && addressInput.kind === "error" && (
+                  <p className="mt-1 text-xs text-red-600">{addressInput.message}</p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                {[
+                  { label: "Opens", type: "time", value: openTime, onChange: setOpenTime },
+                  { label: "Closes", type: "time", value: closeTime, onChange: setCloseTime },
+                  { label: "Visit (min)", type: "number", value: visitMinutes, onChange: setVisitMinutes },
+                ].map((f) => (
+                  <div key={f.label}>
+                    <label className="text-xs font-medium uppercase tracking-wide text-gray-600">
+                      {f.label}
+                    </label>
+                    <input
+                      type={f.type}
+                      min={f.type === "number" ? 5 : undefined}
+                      step={f.type === "number" ? 5 : undefined}
+                      placeholder={f.type === "number" ? "45" : ""}
+                      value={f.value}
+                      onChange={(e) => f.onChange(e.target.value)}
+                      disabled={isPublicView}
+                      className={`mt-1 w-full border rounded-xl p-3 outline-none ${isPublicView
+                          ? "bg-gray-100 text-gray-500"
+                          : "focus:ring-2 focus:ring-red-400"
+                        }`}
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400 -mt-2">Optional. Used to time your plan around opening hours.</p>
+
+              <div>
+                <label className="text-xs font-medium uppercase tracking-wide text-gray-600">Tags</label>
+                <input
+                  type="text"
+                  value={spotTags}
+                  onChange={(e) => setSpotTags(e.target.value)}
+                  placeholder="vegetarian, late night, rooftop"
                   disabled={isPublicView}
                   className={`mt-1 w-full border rounded-xl p-3 outline-none ${isPublicView
                       ? "bg-gray-100 text-gray-500"
                       : "focus:ring-2 focus:ring-red-400"
                     }`}
                 />
+                <p className="mt-1 text-xs text-gray-400">
+                  Saved to {categoryStyle(normalizedActiveCategory).icon} {categoryStyle(normalizedActiveCategory).label}.
+                  Separate tags with commas.
+                </p>
               </div>
 
               <button
@@ -1307,9 +4663,62 @@ export default function App() {
 
           {/* MAP */}
           <div className="bg-white rounded-2xl shadow-md overflow-hidden">
-            <div className="px-5 pt-5 pb-3 flex items-center justify-between">
+            <div className="px-5 pt-5 pb-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
               <h2 className="text-lg font-semibold text-gray-900">Map</h2>
+              <span className="text-xs text-gray-500">
+                {mapSpots.length} of {spots.filter(isValidSpotForMap).length} spots shown
+              </span>
+            </div>
+
+            {/* Legend + layer toggles */}
+            <div className="px-5 pb-3 flex flex-wrap items-center gap-2 text-xs">
+              {categories.map((c) => (
+                <button
+                  key={c.id}
+                  type="button"
+                  onClick={() => toggleMapCategory(c.id)}
+                  className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border transition ${mapLayers.hiddenCategories.includes(c.id)
+                      ? "bg-gray-100 text-gray-400 line-through"
+                      : "bg-white text-gray-700"
+                    }`}
+                >
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: c.color }} />
+                  {c.label}
+                </button>
+              ))}
+              <span className="inline-flex items-center gap-1 text-gray-500">
+                <span className="inline-block w-3 h-3 rounded-full border-2 border-gray-900" />
+                In plan (number = stop on this day)
+              </span>
+              <span className="inline-flex items-center gap-1 text-gray-500">
+                <span className="inline-block w-3 h-3 rounded-full bg-green-600 opacity-60" />
+                Visited
+              </span>
+              <label className="inline-flex items-center gap-1 cursor-pointer sm:ml-auto">
+                <input
+                  type="checkbox"
+                  checked={mapLayers.onlyPlan}
+                  onChange={() => toggleMapLayer("onlyPlan")}
+                />
+                Only plan stops
+              </label>
+              <label className="inline-flex items-center gap-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={mapLayers.hideVisited}
+                  onChange={() => toggleMapLayer("hideVisited")}
+                />
+                Hide visited
+              </label>
             </div>
+            {hasSpotFilters && (
+              <div className="px-5 pb-3 text-xs text-gray-500">
+                Showing spots that match the library search and filters.{" "}
+                <button type="button" onClick={clearSpotFilters} className="underline">
+                  Clear filters
+                </button>
+              </div>
+            )}
 
             {isLoaded ? (
               <div className="px-5 pb-5">
@@ -1321,53 +4730,162 @@ export default function App() {
                     onLoad={(map) => {
                       mapRef.current = map;
                     }}
+                    onIdle={() => {
+                      if (spotFilters.sortBy === "near_map") setSortOrigin(mapCenter());
+                      scheduleViewLoad();
+                    }}
                   >
-                    {spots
-                      .filter((s) => Number.isFinite(s.lat) && Number.isFinite(s.lng))
-                      .map((spot) => (
-                        <Marker
-                          key={spot.id}
-                          position={{ lat: spot.lat, lng: spot.lng }}
-                          onClick={() => setSelectedSpot(spot)}
-                        />
-                      ))}
+                    <MarkerClusterer styles={CLUSTER_STYLES} gridSize={50} maxZoom={16} averageCenter>
+                      {(clusterer) => (
+                        <>
+                          {clusteredSpots.map((spot) => (
+                            <Marker
+                              key={spot.id}
+                              clusterer={clusterer}
+                              position={{ lat: spot.lat, lng: spot.lng }}
+                              icon={markerIconFor(spot)}
+                              title={spot.spotName}
+                              onClick={() => setSelectedSpot(spot)}
+                            />
+                          ))}
+                        </>
+                      )}
+                    </MarkerClusterer>
+
+                    {planMapSpots.map((spot) => (
+                      <Marker
+                        key={spot.id}
+                        position={{ lat: spot.lat, lng: spot.lng }}
+                        icon={markerIconFor(spot)}
+                        title={spot.spotName}
+                        zIndex={stopNumberById.has(spot.id) ? 1000 - stopNumberById.get(spot.id) : 500}
+                        onClick={() => setSelectedSpot(spot)}
+                      />
+                    ))}
+
+                    {spotDraft && Number.isFinite(spotDraft.lat) && Number.isFinite(spotDraft.lng) && (
+                      <Marker
+                        position={{ lat: spotDraft.lat, lng: spotDraft.lng }}
+                        title={"Drag to move " + (spotDraft.spotName || "spot")}
+                        draggable
+                        zIndex={2000}
+                        onDragEnd={(e) => updateSpotDraft({ lat: e.latLng.lat(), lng: e.latLng.lng() })}
+                      />
+                    )}
+
+                    {selectedSpot &&
+                      Number.isFinite(selectedSpot.lat) &&
+                      Number.isFinite(selectedSpot.lng) && (
+                        <InfoWindow
+                          position={
+                            spotDraft && spotDraft.id === selectedSpot.id && Number.isFinite(spotDraft.lat)
+                              ? { lat: spotDraft.lat, lng: spotDraft.lng }
+                              : { lat: selectedSpot.lat, lng: selectedSpot.lng }
+                          }
+                          onCloseClick={() => {
+                            setSelectedSpot(null);
+                            if (spotDraft && spotDraft.where === "map") setSpotDraft(null);
+                          }}
+                        >
+                          {spotDraft && spotDraft.where === "map" && spotDraft.id === selectedSpot.id ? (
+                            <div className="w-[260px] max-w-full">{renderSpotEditor()}</div>
+                          ) : (
+                            <div className="text-sm">
+                              <div className="flex items-center gap-2">
+                                <h3 className="font-bold">{selectedSpot.spotName}</h3>
+                                {selectedSpot._optimistic && (
+                                  <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">
+                                    Saving...
+                                  </span>
+                                )}
+                              </div>
+                              <p className="text-gray-600">{selectedSpot.address}</p>
+                              <div className="mt-1 w-[260px] max-w-full">{renderSpotJournal(selectedSpot, "map")}</div>
+                              <div className="mt-2 w-[260px] max-w-full">{renderPhotoStrip(selectedSpot, { max: 3 })}</div>
+                              <div className="mt-2 w-[260px] max-w-full">
+                                {renderVideoPreview(selectedSpot, "map:" + selectedSpot.id)}
+                              </div>
+                              {!isPublicView && authUser && !selectedSpot._optimistic && (
+                                <button
+                                  type="button"
+                                  onClick={() => startEditSpot(selectedSpot, "map")}
+                                  className="mt-2 text-xs text-gray-500 hover:text-gray-800 underline"
+                                >
+                                  Edit spot
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </InfoWindow>
+                      )}
+                  </GoogleMap>
+                </div>
+              </div>
+            ) : (
+              <div className="p-6">Loading map...</div>
+            )}
+          </div>
+        </div>
+
+        {/* OFFLINE CHANGES */}
+        {!isPublicView && syncQueue.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-md p-5 space-y-3">
+            <div className="flex items-center justify-between gap-3">
+              <h2 className="text-lg font-semibold text-gray-900">Offline changes</h2>
+              <button
+                className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 disabled:opacity-60"
+                onClick={runSyncQueue}
+                disabled={!isOnline}
+              >
+                Sync now
+              </button>
+            </div>
+            <p className="text-sm text-gray-500">
+              {isOnline
+                ? "These changes are sent to the server in order."
+                : "You're offline. These changes will be sent when the connection returns."}
+            </p>
+
+            <div className="space-y-2">
+              {syncQueue.map((m) => (
+                <div
+                  key={m.id}
+                  className="border rounded-xl p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-3"
+                >
+                  <div className="min-w-0 w-full">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <p className="text-sm font-semibold text-gray-900 truncate">
+                        {SYNC_LABELS[m.type] || m.type}
+                        {m.label ? ": " + m.label : ""}
+                      </p>
+                      {renderSyncBadge(m.status)}
+                    </div>
+                    {m.error && <p className="text-xs text-red-600 mt-1 break-all">{m.error}</p>}
+                  </div>
 
-                    {selectedSpot &&
-                      Number.isFinite(selectedSpot.lat) &&
-                      Number.isFinite(selectedSpot.lng) && (
-                        <InfoWindow
-                          position={{ lat: selectedSpot.lat, lng: selectedSpot.lng }}
-                          onCloseClick={() => setSelectedSpot(null)}
+                  {m.status !== "pending" && (
+                    <div className="flex flex-row items-stretch sm:items-center gap-2 shrink-0 w-full sm:w-auto">
+                      {m.status === "failed" && (
+                        <button
+                          className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 flex-1 sm:flex-none"
+                          onClick={() => retrySyncItem(m)}
                         >
-                          <div className="text-sm">
-                            <div className="flex items-center gap-2">
-                              <h3 className="font-bold">{selectedSpot.spotName}</h3>
-                              {selectedSpot._optimistic && (
-                                <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">
-                                  Saving...
-                                </span>
-                              )}
-                            </div>
-                            <p className="text-gray-600">{selectedSpot.address}</p>
-                            <a
-                              href={selectedSpot.videoUrl}
-                              target="_blank"
-                              rel="noreferrer"
-                              className="text-red-500 underline"
-                            >
-                              Watch video
-                            </a>
-                          </div>
-                        </InfoWindow>
+                          Retry
+                        </button>
                       )}
-                  </GoogleMap>
+                      <button
+                        className="text-xs px-3 py-2 rounded-xl border bg-red-50 text-red-600 hover:bg-red-100 flex-1 sm:flex-none"
+                        onClick={() => discardSyncItem(m)}
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  )}
                 </div>
-              </div>
-            ) : (
-              <div className="p-6">Loading map...</div>
-            )}
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* SAVED PLANS */}
         {!isPublicView && (
@@ -1389,8 +4907,30 @@ export default function App() {
                     className="border rounded-xl p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-3"
                   >
                     <div className="min-w-0 w-full">
-                      <p className="text-sm font-semibold text-gray-900 truncate">{p.name}</p>
-                      {p.shareUrl && (
+                      <div className="flex items-center gap-2 min-w-0">
+                        <p className="text-sm font-semibold text-gray-900 truncate">{p.name}</p>
+                        {savedPlan?.planId === p.planId && (
+                          <span className="text-xs bg-red-50 text-red-600 border border-red-100 px-2 py-0.5 rounded-full shrink-0">
+                            Editing
+                          </span>
+                        )}
+                        {renderSyncBadge(syncStatusById[p.planId])}
+                        {p.role !== "owner" && (
+                          <span className="text-xs bg-blue-50 text-blue-700 border border-blue-100 px-2 py-0.5 rounded-full shrink-0">
+                            {p.role === "editor" ? "Shared with you · can edit" : "Shared with you · view only"}
+                          </span>
+                        )}
+                      </div>
+                      {p.role !== "owner" && p.ownerName && (
+                        <p className="text-xs text-gray-500">By {p.ownerName}</p>
+                      )}
+                      {p.visibility === "private" ? (
+                        <p className="text-xs text-gray-500">
+                          {p.role === "owner"
+                            ? "Private - only you and the people you invite can open this plan."
+                            : "Private - only invited members can open this plan."}
+                        </p>
+                      ) : p.shareUrl && (
                         <a
                           className="text-xs text-red-500 underline break-all"
                           href={p.shareUrl}
@@ -1403,7 +4943,20 @@ export default function App() {
                     </div>
 
                     <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2 shrink-0 w-full sm:w-auto">
-                      {p.shareUrl && (
+                      <select
+                        value={p.visibility || DEFAULT_PLAN_VISIBILITY}
+                        onChange={(e) => updatePlanVisibility(p.planId, e.target.value)}
+                        disabled={updatingVisibilityPlanId === p.planId || isLocalId(p.planId) || p.role !== "owner"}
+                        title={p.role === "owner" ? "Who can open this plan" : "Only the owner can change this"}
+                        className="text-xs px-3 py-2 rounded-xl border bg-white disabled:opacity-60 w-full sm:w-auto"
+                      >
+                        {PLAN_VISIBILITY_OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </select>
+                      {p.shareUrl && p.visibility !== "private" && (
                         <button
                           className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 w-full sm:w-auto"
                           onClick={async () => {
@@ -1418,19 +4971,32 @@ export default function App() {
                           Copy link
                         </button>
                       )}
-                      <button
-                        className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 w-full sm:w-auto"
-                        onClick={() => openSharedPlan(p.planId)}
-                      >
-                        Open
-                      </button>
-                      <button
-                        className="text-xs px-3 py-2 rounded-xl border bg-red-50 text-red-600 hover:bg-red-100 disabled:opacity-60 w-full sm:w-auto"
-                        onClick={() => deleteSavedPlan(p.planId)}
-                        disabled={deletingPlanId === p.planId}
-                      >
-                        {deletingPlanId === p.planId ? "Deleting..." : "Delete"}
-                      </button>
+                      {p.role !== "viewer" && (
+                        <button
+                          className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 disabled:opacity-60 w-full sm:w-auto"
+                          onClick={() => openSavedPlan(p)}
+                          disabled={openingPlanId === p.planId}
+                        >
+                          {openingPlanId === p.planId ? "Opening..." : "Edit"}
+                        </button>
+                      )}
+                      {!isLocalId(p.planId) && (
+                        <button
+                          className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 w-full sm:w-auto"
+                          onClick={() => openSharedPlan(p.planId)}
+                        >
+                          View
+                        </button>
+                      )}
+                      {p.role === "owner" && (
+                        <button
+                          className="text-xs px-3 py-2 rounded-xl border bg-red-50 text-red-600 hover:bg-red-100 disabled:opacity-60 w-full sm:w-auto"
+                          onClick={() => deleteSavedPlan(p.planId)}
+                          disabled={deletingPlanId === p.planId}
+                        >
+                          {deletingPlanId === p.planId ? "Deleting..." : "Delete"}
+                        </button>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -1443,16 +5009,38 @@ export default function App() {
         <div ref={planSectionRef} className="bg-white rounded-2xl shadow-md p-5 space-y-4">
           <div className="flex items-start justify-between gap-3">
             <div>
-              <h2 className="text-lg font-semibold text-gray-900">Today's plan</h2>
+              <h2 className="text-lg font-semibold text-gray-900">
+                {planDays.length > 1 ? "Trip plan" : "Today's plan"}
+              </h2>
               <p className="text-sm text-gray-500 mt-1">
                 {isPublicView
-                  ? "Public viewers can optimize, follow, mark done, and remove locally (changes are not saved)."
-                  : "Add spots, optimize, then tick them off as you go."}
+                  ? livePlanId
+                    ? "You can follow this plan; changes from its editors show up here as they happen."
+                    : "Optimize, follow, mark done and remove stops for yourself; the shared plan stays as it is."
+                  : livePlanId && canPushPlanOps
+                    ? "Shared plan. Your changes reach the other members as you make them."
+                    : livePlanId
+                      ? "You can view this plan; only its editors can change it."
+                      : savedPlan?.planId
+                        ? "Editing a saved plan. Saving updates it and keeps the same share link."
+                        : "Add spots, optimize, then tick them off as you go."}
               </p>
+              {livePlanId && renderPlanPresence()}
+              {isPublicView && !sharedPlanError && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                  <span>Your progress is saved on this device.</span>
+                  {authUser && (
+                    <label className="inline-flex items-center gap-1">
+                      <input type="checkbox" checked={syncViewerProgress} onChange={toggleViewerProgressSync} />
+                      Sync it to my account
+                    </label>
+                  )}
+                </div>
+              )}
               {sharedPlanId && (
                 <div className="mt-2 flex items-center gap-3">
                   <a
-                    href={window.location.origin + "/?plan=" + encodeURIComponent(sharedPlanId)}
+                    href={window.location.origin + routePath({ name: "share", planId: sharedPlanId })}
                     target="_blank"
                     rel="noreferrer"
                     className="text-xs text-red-500 underline"
@@ -1466,13 +5054,47 @@ export default function App() {
             <div className="flex flex-col gap-2 items-stretch sm:items-end w-full sm:w-auto">
               <button
                 onClick={autoOrderPlan}
-                className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 w-full sm:w-auto"
-                disabled={planItems.length < 2}
-                title={planItems.length < 2 ? "Add at least 2 spots" : "Optimize by distance"}
+                className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 disabled:opacity-60 w-full sm:w-auto"
+                disabled={dayItems.length < 2 || isOptimizingRoute}
+                title={
+                  dayItems.length < 2
+                    ? "Add at least 2 spots"
+                    : "Optimize this day by distance and opening hours"
+                }
+              >
+                {isOptimizingRoute ? "Optimizing..." : "Optimize"}
+              </button>
+
+              <button
+                onClick={() => setIsNavigateOpen((v) => !v)}
+                className={`text-xs px-3 py-2 rounded-xl border w-full sm:w-auto disabled:opacity-60 ${isNavigateOpen ? "bg-red-100 text-red-600" : "bg-gray-50 hover:bg-gray-100"
+                  }`}
+                disabled={unvisitedCount === 0}
+                title={unvisitedCount === 0 ? "No unvisited stops on this day" : "Open directions in a maps app"}
               >
-                Optimize
+                Navigate
               </button>
 
+              {isPublicView && (planRole === "owner" || planRole === "editor") && (
+                <button
+                  onClick={editSharedPlan}
+                  className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100 w-full sm:w-auto"
+                >
+                  Edit plan
+                </button>
+              )}
+
+              {!isPublicView && savedPlan?.planId && !isLocalId(savedPlan.planId) && (
+                <button
+                  onClick={() => setIsMembersOpen((v) => !v)}
+                  className={`text-xs px-3 py-2 rounded-xl border w-full sm:w-auto ${isMembersOpen ? "bg-red-100 text-red-600" : "bg-gray-50 hover:bg-gray-100"
+                    }`}
+                  title={planRole === "owner" ? "Invite people to edit or view this plan" : "People in this plan"}
+                >
+                  {planMembers.length ? "Members (" + planMembers.length + ")" : planRole === "owner" ? "Invite" : "Members"}
+                </button>
+              )}
+
               {isPublicView && (
                 <button
                   onClick={closeSharedPlan}
@@ -1484,10 +5106,253 @@ export default function App() {
             </div>
           </div>
 
-          {planItems.length === 0 ? (
+          {isMembersOpen && !isPublicView && savedPlan?.planId && renderPlanMembers()}
+
+          {isNavigateOpen && unvisitedCount > 0 && (
+            <div className="border rounded-2xl p-4 bg-gray-50 space-y-3 text-xs text-gray-700">
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+                <label className="inline-flex items-center gap-1">
+                  App
+                  <select
+                    value={navigateOptions.provider}
+                    onChange={(e) => {
+                      const provider = e.target.value;
+                      setNavigateOptions((prev) => ({ ...prev, provider }));
+                    }}
+                    className="border rounded-lg px-2 py-1 bg-white"
+                  >
+                    {NAV_PROVIDERS.map((p) => (
+                      <option key={p.value} value={p.value}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="inline-flex items-center gap-1">
+                  Start from
+                  <select
+                    value={navigateOptions.startFrom}
+                    onChange={(e) => {
+                      const startFrom = e.target.value;
+                      setNavigateOptions((prev) => ({ ...prev, startFrom }));
+                    }}
+                    className="border rounded-lg px-2 py-1 bg-white"
+                  >
+                    <option value="current">My current location</option>
+                    <option value="next">Next unvisited stop</option>
+                  </select>
+                </label>
+                {navigateOptions.provider !== "waze" && (
+                  <label className="inline-flex items-center gap-1">
+                    Mode
+                    <select
+                      value={navigateOptions.travelMode}
+                      onChange={(e) => {
+                        const travelMode = e.target.value;
+                        setNavigateOptions((prev) => ({ ...prev, travelMode }));
+                      }}
+                      className="border rounded-lg px-2 py-1 bg-white"
+                    >
+                      {NAV_TRAVEL_MODES.map((m) => (
+                        <option key={m.value} value={m.value}>
+                          {m.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              {navigationLegs.length === 0 ? (
+                <p className="text-gray-500">None of the remaining stops have a location on the map yet.</p>
+              ) : (
+                <>
+                  {navigationLegs.length > 1 && (
+                    <p className="text-gray-500">
+                      {NAV_PROVIDERS.find((p) => p.value === navigateOptions.provider).label} takes up to{" "}
+                      {NAV_PROVIDERS.find((p) => p.value === navigateOptions.provider).maxStops} stop(s) per route, so
+                      the trip is split into {navigationLegs.length} legs. Open the next one when you finish a leg.
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-2">
+                    {navigationLegs.map((leg, i) => (
+                      <a
+                        key={leg.url}
+                        href={leg.url}
+                        target="_blank"
+                        rel="noreferrer"
+                        title={leg.stops.map((s) => s.name).join(" → ")}
+                        className="px-3 py-2 rounded-xl bg-red-500 text-white hover:bg-red-600"
+                      >
+                        {navigationLegs.length > 1 ? "Leg " + (i + 1) + ": " : "Go: "}
+                        {leg.stops.length === 1
+                          ? leg.stops[0].name
+                          : leg.stops[0].name + " → " + leg.stops[leg.stops.length - 1].name}
+                      </a>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Day tabs */}
+          {(planDays.length > 1 || !isPublicView) && (
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="inline-flex flex-wrap rounded-xl border border-gray-200 bg-gray-50 p-1 gap-1">
+                {planDays.map((_, i) => {
+                  const count = planItems.filter((x) => dayOf(x) === i).length;
+                  return (
+                    <button
+                      key={i}
+                      type="button"
+                      onClick={() => selectDay(i)}
+                      className={`px-3 py-2 text-xs rounded-lg transition ${activeDay === i
+                          ? "bg-white text-red-600 shadow-sm border border-red-100"
+                          : "text-gray-600 hover:text-gray-900"
+                        }`}
+                    >
+                      {dayLabel(i)} <span className="text-gray-400">({count})</span>
+                    </button>
+                  );
+                })}
+              </div>
+              {!isPublicView && (
+                <>
+                  <button
+                    type="button"
+                    onClick={addDay}
+                    className="text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100"
+                  >
+                    + Add day
+                  </button>
+                  {planDays.length > 1 && (
+                    <>
+                      <input
+                        value={planDays[activeDay]?.label || ""}
+                        onChange={(e) => renameDay(activeDay, e.target.value)}
+                        placeholder={"Day " + (activeDay + 1) + " name"}
+                        className="text-xs border rounded-xl px-3 py-2 outline-none focus:ring-2 focus:ring-red-400 w-40"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeDay(activeDay)}
+                        className="text-xs text-red-500 hover:text-red-600"
+                      >
+                        Remove day
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {planItems.length > 0 && (
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-600">
+              <label className="inline-flex items-center gap-1">
+                Start
+                <input
+                  type="date"
+                  value={planStartDate}
+                  onChange={(e) => setPlanStartDate(e.target.value)}
+                  className="border rounded-lg px-2 py-1 outline-none focus:ring-2 focus:ring-red-400"
+                />
+              </label>
+              <label className="inline-flex items-center gap-1">
+                at
+                <input
+                  type="time"
+                  value={planStartTime}
+                  onChange={(e) => setPlanStartTime(e.target.value)}
+                  className="border rounded-lg px-2 py-1 outline-none focus:ring-2 focus:ring-red-400"
+                />
+              </label>
+              {dayTimeline.length > 0 && (
+                <span>
+                  Done around <b>{formatTimeOfDay(dayTimeline[dayTimeline.length - 1].departure)}</b>
+                </span>
+              )}
+              {closedStopsCount > 0 && (
+                <span className="text-red-600">
+                  {closedStopsCount} {closedStopsCount === 1 ? "stop" : "stops"} closed on arrival
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={exportPlanIcs}
+                className="sm:ml-auto text-xs px-3 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100"
+              >
+                Export .ics
+              </button>
+              <select
+                value=""
+                onChange={(e) => {
+                  if (e.target.value) exportPlanAs(e.target.value);
+                }}
+                className="text-xs px-2 py-2 rounded-xl border bg-gray-50 hover:bg-gray-100"
+              >
+                <option value="">Export route...</option>
+                {EXPORT_FORMATS.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {dayItems.length >= 2 && (
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-600">
+              {[
+                { key: "fixFirst", label: "Keep first stop" },
+                { key: "fixLast", label: "Keep last stop" },
+                { key: "roundTrip", label: "Round trip back to start" },
+              ].map((o) => (
+                <label key={o.key} className="inline-flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={routeOptions[o.key]}
+                    onChange={(e) => {
+                      const checked = e.target.checked;
+                      setRouteOptions((prev) => ({ ...prev, [o.key]: checked }));
+                    }}
+                  />
+                  {o.label}
+                </label>
+              ))}
+              {routeStats && (
+                <span className="sm:ml-auto text-gray-700">
+                  Route: {routeStats.beforeKm.toFixed(1)} km &rarr;{" "}
+                  <b>{routeStats.afterKm.toFixed(1)} km</b>
+                </span>
+              )}
+            </div>
+          )}
+
+          {isPublicView && sharedPlanError === "private" ? (
+            <div className="text-sm text-gray-600 bg-gray-50 border rounded-2xl p-4">
+              <p className="font-semibold text-gray-900">This plan is private</p>
+              <p className="mt-1 text-gray-500">
+                Only its owner can open it.{" "}
+                {authUser
+                  ? "If it's yours, close this view and open it from Saved plans."
+                  : "If it's yours, log in and open it from Saved plans."}
+              </p>
+            </div>
+          ) : isPublicView && sharedPlanError === "not_found" ? (
+            <div className="text-sm text-gray-600 bg-gray-50 border rounded-2xl p-4">
+              <p className="font-semibold text-gray-900">Plan not found</p>
+              <p className="mt-1 text-gray-500">The link may be wrong or the plan was deleted.</p>
+            </div>
+          ) : dayItems.length === 0 ? (
             <div className="text-sm text-gray-400">
               {isPublicView ? (
-                "This shared plan has no items."
+                planDays.length > 1 ? "No stops on this day." : "This shared plan has no items."
+              ) : planDays.length > 1 ? (
+                <>
+                  No spots on {dayLabel(activeDay)} yet. Tap <b>Add</b> from your spots list.
+                </>
               ) : (
                 <>
                   No spots in plan yet. Tap <b>Add</b> from your spots list.
@@ -1496,7 +5361,7 @@ export default function App() {
             </div>
           ) : (
               <div className="space-y-3">
-              {planItems.map((item, index) => {
+              {dayItems.map((item, index) => {
                 const spot = getSpotById(item.spotId) || sharedSpotDetailsById[item.spotId];
 
                 if (!spot) {
@@ -1527,12 +5392,39 @@ export default function App() {
                       }`}
                   >
                     <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
-                      <div className="min-w-0">
+                      {photoSrc(coverPhotoUrl(spot)) && (
+                        <img
+                          src={photoSrc(coverPhotoUrl(spot))}
+                          alt=""
+                          loading="lazy"
+                          className="w-full sm:w-20 h-32 sm:h-20 rounded-xl object-cover shrink-0 bg-gray-100"
+                        />
+                      )}
+                      <div className="min-w-0 sm:flex-1">
                         <p className="text-sm font-semibold text-gray-900 truncate">
                           {index + 1}. {spot.spotName}
                         </p>
                         <p className="text-xs text-gray-500 mt-1 truncate">{spot.address}</p>
 
+                        {dayTimeline[index] && (
+                          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                            <span className="text-gray-700">
+                              {formatTimeOfDay(dayTimeline[index].start)} &ndash;{" "}
+                              {formatTimeOfDay(dayTimeline[index].departure)}
+                            </span>
+                            {dayTimeline[index].closedOnArrival && (
+                              <span className="bg-red-100 text-red-700 px-2 py-0.5 rounded-full">
+                                Closed on arrival (open {formatOpeningHours(spot)})
+                              </span>
+                            )}
+                            {dayTimeline[index].waitMinutes > 0 && (
+                              <span className="bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">
+                                Waits {Math.round(dayTimeline[index].waitMinutes)} min for opening
+                              </span>
+                            )}
+                          </div>
+                        )}
+
                         <div className="mt-3 flex items-center gap-2">
                           <a
                             href={spot.videoUrl}
@@ -1565,6 +5457,22 @@ export default function App() {
                           {item.visited ? "Visited" : "Done"}
                         </button>
 
+                        {planDays.length > 1 && (
+                          <select
+                            value={dayOf(item)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) => moveItemToDay(item.spotId, Number(e.target.value))}
+                            title="Move to another day"
+                            className="text-xs px-2 py-2 rounded-xl border bg-white flex-1 sm:flex-none"
+                          >
+                            {planDays.map((_, i) => (
+                              <option key={i} value={i}>
+                                {dayLabel(i)}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -1595,7 +5503,32 @@ export default function App() {
                 className={`mt-1 w-full border rounded-xl p-3 outline-none ${isPublicView ? "bg-gray-100 text-gray-500" : "focus:ring-2 focus:ring-red-400"
                   }`}
               />
-              {savedPlan?.shareUrl && (
+              {!isPublicView && (
+                <div className="mt-3">
+                  <label className="text-xs font-medium text-gray-600">Visibility</label>
+                  <div className="mt-1 inline-flex w-full sm:w-auto rounded-xl border border-gray-200 bg-gray-50 p-1 gap-1">
+                    {PLAN_VISIBILITY_OPTIONS.map((o) => (
+                      <button
+                        key={o.value}
+                        type="button"
+                        onClick={() => setPlanVisibility(o.value)}
+                        className={`px-3 py-2 text-xs rounded-lg transition ${planVisibility === o.value
+                            ? "bg-white text-red-600 shadow-sm border border-red-100"
+                            : "text-gray-600 hover:text-gray-900"
+                          }`}
+                      >
+                        {o.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {savedPlan?.shareUrl && planVisibility === "private" && (
+                <p className="mt-2 text-xs text-gray-500">
+                  This plan is private. Choose Unlisted or Public and save to share it.
+                </p>
+              )}
+              {savedPlan?.shareUrl && planVisibility !== "private" && (
                 <div className="mt-2 text-xs text-gray-600">
                   <div className="flex flex-wrap items-center gap-2">
                     <span className="font-medium">Share link:</span>
@@ -1625,17 +5558,46 @@ export default function App() {
               )}
             </div>
 
-            <button
-              onClick={savePlan}
-              disabled={isPublicView || isSavingPlan || planItems.length === 0}
-              title={isPublicView || !authUser ? "Login required" : ""}
-              className={`w-full lg:w-auto py-3 px-6 rounded-xl font-semibold transition ${isPublicView || isSavingPlan || planItems.length === 0
-                  ? "bg-gray-200 text-gray-500 cursor-not-allowed"
-                  : "bg-red-500 text-white hover:bg-red-600"
-                }`}
-            >
-              {isPublicView ? "Login to save" : isSavingPlan ? "Saving plan..." : "Save plan"}
-            </button>
+            <div className="flex flex-col sm:flex-row gap-2 w-full lg:w-auto">
+              {!isPublicView && savedPlan?.planId && (
+                <button
+                  onClick={() => savePlan({ asNew: true })}
+                  disabled={isSavingPlan || planItems.length === 0}
+                  className="w-full lg:w-auto py-3 px-6 rounded-xl font-semibold transition border bg-white hover:bg-gray-50 disabled:opacity-60"
+                >
+                  Save as new
+                </button>
+              )}
+              {isPublicView && authUser && (
+                <button
+                  onClick={savePlanCopy}
+                  disabled={isForkingPlan || planItems.length === 0}
+                  title="Copy this plan and its spots into your account"
+                  className="w-full lg:w-auto py-3 px-6 rounded-xl font-semibold transition bg-red-500 text-white hover:bg-red-600 disabled:opacity-60"
+                >
+                  {isForkingPlan ? "Saving a copy..." : "Save a copy"}
+                </button>
+              )}
+              {!(isPublicView && authUser) && (
+                <button
+                  onClick={() => savePlan()}
+                  disabled={isPublicView || isSavingPlan || planItems.length === 0}
+                  title={isPublicView || !authUser ? "Login required" : ""}
+                  className={`w-full lg:w-auto py-3 px-6 rounded-xl font-semibold transition ${isPublicView || isSavingPlan || planItems.length === 0
+                      ? "bg-gray-200 text-gray-500 cursor-not-allowed"
+                      : "bg-red-500 text-white hover:bg-red-600"
+                    }`}
+                >
+                  {isPublicView
+                    ? "Login to save"
+                    : isSavingPlan
+                      ? "Saving plan..."
+                      : savedPlan?.planId
+                        ? "Save changes"
+                        : "Save plan"}
+                </button>
+              )}
+            </div>
           </div>
 
           <div className="flex flex-col sm:flex-row gap-3">
@@ -1649,21 +5611,10 @@ export default function App() {
             </button>
 
             <button
-              onClick={() => {
-                if (isPublicView) {
-                  if (sharedPlanId) loadSharedPlan(sharedPlanId);
-                  return;
-                }
-                setPlanItems([]);
-                setFollowMode(true);
-                setSelectedSpot(null);
-                setSavedPlan(null);
-                setPlanName("");
-                setSharedSpotDetailsById({});
-              }}
+              onClick={isPublicView ? resetSharedPlan : startNewPlan}
               disabled={!isPublicView && planItems.length === 0}
-              title={isPublicView ? "Reset back to the shared plan" : ""}
-              className={`w-full py-3 rounded-xl font-semibold transition ${isPublicView || planItems.length === 0
+              title={isPublicView ? "Drop your progress and start over from the shared plan" : ""}
+              className={`w-full py-3 rounded-xl font-semibold transition ${!isPublicView && planItems.length === 0
                   ? "bg-gray-200 text-gray-500 cursor-not-allowed"
                   : "border bg-white hover:bg-gray-50"
                 }`}
@@ -1678,21 +5629,127 @@ export default function App() {
           <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-2">
             <div>
               <h2 className="text-lg font-semibold text-gray-900">
-                {isPublicView
+                {isPublicView || activeTab === "plan" || spotFilters.allCategories
                   ? "Your spots"
-                  : activeTab === "explore"
-                    ? "Play spots"
-                    : activeTab === "plan"
-                      ? "Your spots"
-                      : "Eat spots"}
+                  : categoryStyle(normalizedActiveCategory).label + " spots"}
               </h2>
+              <p className="text-xs text-gray-500">
+                {visibleSpots.length} spot{visibleSpots.length === 1 ? "" : "s"}
+                {hasSpotFilters ? " match" : ""}
+                {!isPublicView && authUser ? " around the map" : ""}
+                {!isPublicView && isSpotViewTruncated ? " · zoom in to load the rest" : ""}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              {isLoadingSpots && <span className="text-sm text-gray-500">Loading...</span>}
+              {!isPublicView && authUser && (
+                <>
+                  <select
+                    value=""
+                    onChange={(e) => {
+                      if (e.target.value) exportSpotsAs(e.target.value);
+                    }}
+                    className="text-xs px-2 py-2 rounded-xl border bg-white hover:bg-gray-50"
+                  >
+                    <option value="">Export spots...</option>
+                    {EXPORT_FORMATS.map((f) => (
+                      <option key={f.value} value={f.value}>
+                        {f.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={openImport}
+                    className="text-xs px-3 py-2 rounded-xl border bg-white hover:bg-gray-50"
+                  >
+                    Import spots
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-md p-3 space-y-2">
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="search"
+                value={spotFilters.query}
+                onChange={(e) => updateSpotFilters({ query: e.target.value })}
+                placeholder="Search name or address (e.g. pho, quan 1)"
+                className="flex-1 border rounded-xl px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-red-400"
+              />
+              <select
+                value={spotFilters.sortBy}
+                onChange={(e) => changeSpotSort(e.target.value)}
+                disabled={isLocatingUser}
+                className="text-sm border rounded-xl px-2 py-2 bg-white"
+              >
+                {SPOT_SORTS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {isLocatingUser && o.value === "near_me" ? "Locating..." : o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              {!isPublicView && (
+                <label className="inline-flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={spotFilters.allCategories}
+                    onChange={(e) => updateSpotFilters({ allCategories: e.target.checked })}
+                  />
+                  All categories
+                </label>
+              )}
+              <select
+                value={spotFilters.plan}
+                onChange={(e) => updateSpotFilters({ plan: e.target.value })}
+                className="border rounded-lg px-2 py-1 bg-white"
+              >
+                <option value="any">In plan or not</option>
+                <option value="in">In plan</option>
+                <option value="out">Not in plan</option>
+              </select>
+              <select
+                value={spotFilters.visited}
+                onChange={(e) => updateSpotFilters({ visited: e.target.value })}
+                className="border rounded-lg px-2 py-1 bg-white"
+              >
+                <option value="any">Visited or not</option>
+                <option value="visited">Visited</option>
+                <option value="unvisited">Not visited</option>
+              </select>
+              <select
+                value={spotFilters.minRating}
+                onChange={(e) => updateSpotFilters({ minRating: Number(e.target.value) })}
+                className="border rounded-lg px-2 py-1 bg-white"
+              >
+                <option value={0}>Any rating</option>
+                {[3, 4, 5].map((n) => (
+                  <option key={n} value={n}>
+                    {"★".repeat(n)}
+                    {n < 5 ? " & up" : ""}
+                  </option>
+                ))}
+              </select>
+              {hasSpotFilters && (
+                <button type="button" onClick={clearSpotFilters} className="text-gray-500 underline">
+                  Clear filters
+                </button>
+              )}
             </div>
-            {isLoadingSpots && <span className="text-sm text-gray-500">Loading...</span>}
+            {renderTagFilter()}
           </div>
 
           {visibleSpots.length === 0 ? (
             <div className="text-gray-500 text-center py-10 bg-white rounded-2xl shadow-md">
-              {isPublicView ? "No spots yet." : `No ${normalizedActiveCategory} spots yet.`}
+              {hasSpotFilters
+                ? "No spots match these filters."
+                : isPublicView
+                  ? "No spots yet."
+                  : `No ${categoryStyle(normalizedActiveCategory).label.toLowerCase()} spots yet.`}
             </div>
           ) : (
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
@@ -1708,8 +5765,42 @@ export default function App() {
                   >
                     <div className="flex items-start justify-between gap-3">
                       <div className="min-w-0">
-                        <h3 className="font-semibold text-gray-900 truncate">{spot.spotName}</h3>
+                        <div className="flex items-center gap-2 min-w-0">
+                          <h3 className="font-semibold text-gray-900 truncate">{spot.spotName}</h3>
+                          {renderSyncBadge(syncStatusById[spot.id])}
+                        </div>
                         <p className="text-sm text-gray-500 mt-1 line-clamp-2">{spot.address}</p>
+                        {(spotFilters.sortBy === "near_me" || spotFilters.sortBy === "near_map") &&
+                          sortOrigin &&
+                          isValidSpotForMap(spot) && (
+                            <p className="text-xs text-gray-400 mt-1">
+                              {formatDistanceKm(haversineKm(sortOrigin, spot))} from{" "}
+                              {spotFilters.sortBy === "near_me" ? "you" : "map centre"}
+                            </p>
+                          )}
+                        {formatOpeningHours(spot) && (
+                          <p className="text-xs text-gray-400 mt-1">Open {formatOpeningHours(spot)}</p>
+                        )}
+                        {normalizeTags(spot.tags).length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {normalizeTags(spot.tags).map((tag) => (
+                              <button
+                                key={tag}
+                                type="button"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  toggleTagFilter(tag);
+                                }}
+                                className={`text-xs px-2 py-0.5 rounded-full ${activeTags.includes(tag)
+                                    ? "bg-red-500 text-white"
+                                    : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                  }`}
+                              >
+                                #{tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
 
                       <button
@@ -1730,17 +5821,29 @@ export default function App() {
                       </button>
                     </div>
 
-                    <div className="flex items-center justify-between pt-2">
-                      <a
-                        href={spot.videoUrl}
-                        target="_blank"
-                        rel="noreferrer"
-                        onClick={(e) => e.stopPropagation()}
-                        className="text-sm text-red-500 underline"
-                      >
-                        Watch
-                      </a>
+                    {renderSpotJournal(spot, "card")}
+
+                    {renderPhotoStrip(spot)}
 
+                    {spotDraft && spotDraft.where === "card" && spotDraft.id === spot.id
+                      ? renderSpotEditor()
+                      : renderVideoPreview(spot, "card:" + spot.id)}
+
+                    <div className="flex items-center justify-end gap-4 pt-2">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          startEditSpot(spot, "card");
+                        }}
+                        disabled={isPublicView || spot._optimistic || (spotDraft && spotDraft.id === spot.id)}
+                        title={isPublicView || !authUser ? "Login required" : ""}
+                        className={`text-sm ${isPublicView || spot._optimistic
+                            ? "text-gray-300 cursor-not-allowed"
+                            : "text-gray-400 hover:text-gray-700"
+                          }`}
+                      >
+                        Edit
+                      </button>
                       <button
                         onClick={(e) => {
                           e.stopPropagation();
@@ -1767,6 +5870,158 @@ export default function App() {
           )}
         </div>
 
+        {/* IMPORT DIALOG */}
+        {renderPhotoViewer()}
+
+        {isImportOpen && (
+          <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4" onClick={closeImport}>
+            <div
+              className="bg-white rounded-2xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-5 space-y-4"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-center justify-between gap-3">
+                <h2 className="text-lg font-semibold text-gray-900">Import spots</h2>
+                <button
+                  type="button"
+                  onClick={closeImport}
+                  disabled={isImporting}
+                  className="text-sm text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                >
+                  Close
+                </button>
+              </div>
+
+              <div>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.json,.geojson,.kml,.kmz"
+                  disabled={isImporting}
+                  onChange={(e) => handleImportFile(e.target.files && e.target.files[0])}
+                  className="text-sm"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  CSV, GeoJSON, KML/KMZ (Google My Maps) or Google Takeout &quot;Saved Places.json&quot;. Rows
+                  without coordinates are looked up by address.
+                </p>
+              </div>
+
+              {importFile && (
+                <>
+                  <p className="text-sm text-gray-700">
+                    <b>{importFile.name}</b> &middot; {importFile.format} &middot; {importFile.rows.length} rows
+                  </p>
+
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    {IMPORT_FIELDS.map((f) => (
+                      <label key={f.key} className="text-xs text-gray-600">
+                        {f.label}
+                        {f.required ? " *" : ""}
+                        <select
+                          value={importMapping[f.key] || ""}
+                          disabled={isImporting || importResults.length > 0}
+                          onChange={(e) => {
+                            const value = e.target.value;
+                            setImportMapping((prev) => ({ ...prev, [f.key]: value }));
+                          }}
+                          className="mt-1 w-full border rounded-lg px-2 py-1 bg-white"
+                        >
+                          <option value="">(none)</option>
+                          {importFile.columns.map((c) => (
+                            <option key={c} value={c}>
+                              {c}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                    <label className="text-xs text-gray-600">
+                      Default category
+                      <select
+                        value={importCategory}
+                        disabled={isImporting || importResults.length > 0}
+                        onChange={(e) => setImportCategory(e.target.value)}
+                        className="mt-1 w-full border rounded-lg px-2 py-1 bg-white"
+                      >
+                        {categories.map((c) => (
+                          <option key={c.id} value={c.id}>
+                            {c.icon} {c.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+
+                  <div className="border rounded-xl overflow-auto max-h-80">
+                    <table className="w-full text-xs">
+                      <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                        <tr>
+                          <th className="text-left p-2">#</th>
+                          <th className="text-left p-2">Name</th>
+                          <th className="text-left p-2">Address</th>
+                          <th className="text-left p-2">Location</th>
+                          <th className="text-left p-2">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importRecords.map((r, i) => {
+                          const result = importResults[i];
+                          const status = result ? result.status : r.error ? "skipped" : "ready";
+                          const statusClass = {
+                            ok: "text-green-700",
+                            failed: "text-red-600",
+                            skipped: "text-gray-400",
+                            working: "text-yellow-700",
+                          }[status] || "text-gray-600";
+                          return (
+                            <tr key={i} className="border-t">
+                              <td className="p-2 text-gray-400">{i + 1}</td>
+                              <td className="p-2">{r.spotName || <span className="text-gray-400">-</span>}</td>
+                              <td className="p-2 text-gray-600">{r.address}</td>
+                              <td className="p-2 text-gray-600 whitespace-nowrap">
+                                {r.lat !== null ? formatLatLng(r) : "Look up"}
+                              </td>
+                              <td className={`p-2 ${statusClass}`}>
+                                {{
+                                  ok: "Created",
+                                  failed: "Failed",
+                                  skipped: "Skipped",
+                                  working: "Working",
+                                  pending: "Waiting",
+                                  ready: "Ready",
+                                }[status]}
+                                {(result ? result.message : r.error) && (
+                                  <span className="text-gray-500"> &middot; {result ? result.message : r.error}</span>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <p className="text-xs text-gray-600">
+                      {importResults.length
+                        ? `${importCounts.ok || 0} created, ${importCounts.failed || 0} failed, ${importCounts.skipped || 0} skipped` +
+                          (isImporting ? ` (${(importCounts.pending || 0) + (importCounts.working || 0)} to go)` : "")
+                        : `${importRecords.filter((r) => !r.error).length} of ${importRecords.length} rows ready`}
+                    </p>
+                    <button
+                      type="button"
+                      onClick={runImport}
+                      disabled={isImporting || !importRecords.some((r) => !r.error) || importResults.length > 0}
+                      className="py-2 px-5 rounded-xl font-semibold bg-red-500 text-white hover:bg-red-600 disabled:bg-gray-200 disabled:text-gray-500"
+                    >
+                      {isImporting ? "Importing..." : importResults.length ? "Done" : "Import"}
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         <footer className="text-center text-xs text-gray-400 py-6">
           (c) {new Date().getFullYear()} AnChoi | AWS (Lambda + API Gateway + DynamoDB)
         </footer>
@@ -0,0 +1,192 @@
+import {
+  CATEGORY_LIST_FROM,
+  CategorySchema,
+  PLAN_LIST_FROM,
+  PlanSaveSchema,
+  PlanSchema,
+  PlanSummarySchema,
+  SPOT_LIST_FROM,
+  SpotPageSchema,
+  SpotSchema,
+  parseList,
+  parseObject,
+} from "./apiSchemas";
+import { isAbortError } from "./apiClient";
+import { isNetworkError } from "./mutationQueue";
+import { SPOT_PAGE_SIZE, bboxParam } from "./spotIndex";
+
+// Typed client for the spots, plans and categories routes. Every call resolves to parsed data (see
+// apiSchemas.js) or rejects with an ApiError, so callers branch on err.kind instead of
+// re-reading res.status. A cancelled request (see createRequestSlot) rejects with the plain
+// AbortError rather than an ApiError. Reads take { signal }.
+
+/**
+ * ApiError
+ * - kind: "auth" (signed out, 401, 403) | "not_found" | "validation" (response didn't match
+ *   its schema) | "network" | "http" (any other non-2xx)
+ * - status: HTTP status, or null when no response came back
+ * - issues: what failed validation
+ * code keeps the values the app already checks: "NO_AUTH" when there is no session and
+ * "NETWORK" for isNetworkError().
+ */
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, issues = [], code = null, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.issues = issues;
+    this.code = code || (kind === "network" ? "NETWORK" : kind.toUpperCase());
+    if (cause) this.cause = cause;
+  }
+}
+
+const kindForStatus = (status) =>
+  status === 401 || status === 403 ? "auth" : status === 404 ? "not_found" : "http";
+
+const jsonBody = (body) => ({
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+/**
+ * createApiClient({ authedFetch, publicFetch })
+ * - authedFetch(path, init): fetch with the user's token; throws { code: "NO_AUTH" } when signed out
+ * - publicFetch(path, init): fetch without credentials (shared plan links)
+ */
+export function createApiClient({ authedFetch, publicFetch }) {
+  // -> parsed JSON body, or null for 204 / empty bodies
+  const send = async (fetcher, label, path, init = {}) => {
+    let res;
+    try {
+      res = await fetcher(path, init);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (err && err.code === "NO_AUTH") {
+        throw new ApiError("auth", label + ": not signed in", { code: "NO_AUTH", cause: err });
+      }
+      if (isNetworkError(err)) throw new ApiError("network", label + ": network error", { cause: err });
+      throw err;
+    }
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new ApiError(kindForStatus(res.status), label + " failed: " + res.status + (text ? " " + text : ""), {
+        status: res.status,
+      });
+    }
+    return res.status === 204 ? null : res.json().catch(() => null);
+  };
+
+  const validated = (label, { value, issues }) => {
+    if (value) return value;
+    throw new ApiError("validation", label + ": unexpected response (" + issues.join("; ") + ")", { issues });
+  };
+
+  // Entries that don't match the schema are left out (see parseList); only a missing list fails.
+  const list = (label, schema, from) => (data) => validated(label, parseList(schema, data, { from }));
+
+  const planPath = (planId) => "/plans/" + encodeURIComponent(planId);
+  const spotPath = (spotId) => "/spots/" + encodeURIComponent(spotId);
+
+  return {
+    spots: {
+      list: ({ signal } = {}) => send(authedFetch, "GET /spots", "/spots", { method: "GET", signal }).then(
+        list("GET /spots", SpotSchema, SPOT_LIST_FROM)
+      ),
+
+      // One page of spots inside bounds (see spotIndex.js). -> { spots, nextCursor }
+      // category narrows the page on the server; older backends ignore it, so callers still check.
+      inBounds: async (bounds, { cursor = null, limit = SPOT_PAGE_SIZE, category = null, signal } = {}) => {
+        const query = new URLSearchParams({ bbox: bboxParam(bounds), limit: String(limit) });
+        if (category) query.set("category", category);
+        if (cursor) query.set("cursor", cursor);
+        const data = await send(authedFetch, "GET /spots?bbox", "/spots?" + query, { method: "GET", signal });
+        const page = Array.isArray(data) ? null : parseObject(SpotPageSchema, data || {}).value;
+        return {
+          spots: list("GET /spots?bbox", SpotSchema, SPOT_LIST_FROM)(data),
+          nextCursor: page ? page.nextCursor : null,
+        };
+      },
+
+      get: async (spotId, { signal } = {}) =>
+        validated(
+          "GET /spots/{id}",
+          parseObject(SpotSchema, await send(authedFetch, "GET /spots/{id}", spotPath(spotId), { method: "GET", signal }))
+        ),
+
+      // Fields the server leaves out of its answer fall back to what we sent.
+      create: async (body) => {
+        const data = await send(authedFetch, "POST /spots", "/spots", { method: "POST", ...jsonBody(body) });
+        return validated("POST /spots", parseObject(SpotSchema, { ...body, ...(data || {}) }));
+      },
+
+      // -> the updated spot when the server sends one back, else null
+      update: async (spotId, changes) => {
+        const data = await send(authedFetch, "PATCH /spots/{id}", spotPath(spotId), {
+          method: "PATCH",
+          ...jsonBody(changes),
+        });
+        return data && typeof data === "object" && data.id ? data : null;
+      },
+
+      delete: (spotId) => send(authedFetch, "DELETE /spots/{id}", spotPath(spotId), { method: "DELETE" }),
+    },
+
+    plans: {
+      list: ({ signal } = {}) => send(authedFetch, "GET /plans", "/plans", { method: "GET", signal }).then(
+        list("GET /plans", PlanSummarySchema, PLAN_LIST_FROM)
+      ),
+
+      get: async (planId, { signal } = {}) =>
+        validated(
+          "GET /plans/{id}",
+          parseObject(
+            PlanSchema,
+            await send(authedFetch, "GET /plans/{id}", planPath(planId), { method: "GET", signal })
+          )
+        ),
+
+      // POST without planId, PUT with one. -> { planId, shareUrl, ...rest of the answer }
+      save: async ({ planId = null, body }) => {
+        const label = planId ? "PUT /plans/{id}" : "POST /plans";
+        const data = await send(authedFetch, label, planId ? planPath(planId) : "/plans", {
+          method: planId ? "PUT" : "POST",
+          ...jsonBody(body),
+        });
+        const saved = parseObject(PlanSaveSchema, data || {}).value || {};
+        const result = { ...saved, planId: saved.planId || planId };
+        if (!result.planId) {
+          throw new ApiError("validation", label + ": no planId in response", { issues: ["planId is missing"] });
+        }
+        return result;
+      },
+
+      delete: (planId) => send(authedFetch, "DELETE /plans/{id}", planPath(planId), { method: "DELETE" }),
+    },
+
+    // The user's own categories, always sent whole: PUT replaces the list.
+    categories: {
+      list: ({ signal } = {}) => send(authedFetch, "GET /categories", "/categories", { method: "GET", signal }).then(
+        list("GET /categories", CategorySchema, CATEGORY_LIST_FROM)
+      ),
+
+      save: (categories) =>
+        send(authedFetch, "PUT /categories", "/categories", { method: "PUT", ...jsonBody({ categories }) }),
+    },
+
+    publicPlans: {
+      get: async (planId, { signal } = {}) =>
+        validated(
+          "GET /public/plans/{id}",
+          parseObject(
+            PlanSchema,
+            await send(publicFetch, "GET /public/plans/{id}", "/public" + planPath(planId), {
+              method: "GET",
+              signal,
+            })
+          )
+        ),
+    },
+  };
+}
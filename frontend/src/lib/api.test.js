@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { ApiError, createApiClient } from "./api";
+import plansList from "./__fixtures__/api/plans-list.json";
+import spotsList from "./__fixtures__/api/spots-list.json";
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+// A client whose every request answers with respond(path, init).
+const clientFor = (respond) => {
+  const fetcher = async (path, init) => respond(path, init);
+  return createApiClient({ authedFetch: fetcher, publicFetch: fetcher });
+};
+
+const errorOf = (promise) =>
+  promise.then(
+    () => {
+      throw new Error("expected the request to fail");
+    },
+    (err) => err
+  );
+
+describe("createApiClient", () => {
+  it("returns parsed spots and plans", async () => {
+    const api = clientFor((path) => json(path === "/spots" ? spotsList.aliases : plansList.dataPlans));
+    expect((await api.spots.list()).map((s) => s.id)).toEqual(["s1", "s2", "s3", "s4"]);
+    expect(await api.plans.list()).toEqual([expect.objectContaining({ planId: "p1", role: "viewer" })]);
+  });
+
+  it("asks for one bbox page and returns its cursor", async () => {
+    let requested = null;
+    const api = clientFor((path) => {
+      requested = path;
+      return json(spotsList.wrapped);
+    });
+    const page = await api.spots.inBounds({ south: 15.8, west: 108.2, north: 15.9, east: 108.4 }, { limit: 50 });
+    expect(requested).toBe("/spots?bbox=108.20000%2C15.80000%2C108.40000%2C15.90000&limit=50");
+    expect(page).toEqual({ spots: [expect.objectContaining({ id: "s1" })], nextCursor: "eyJzayI6IlNQT1QjczEifQ" });
+
+    await api.spots.inBounds({ south: -90, west: -180, north: 90, east: 180 }, { category: "cafe", cursor: "abc" });
+    expect(requested).toBe(
+      "/spots?bbox=-180.00000%2C-90.00000%2C180.00000%2C90.00000&limit=200&category=cafe&cursor=abc"
+    );
+  });
+
+  it("falls back to the planId it sent when PUT answers 204", async () => {
+    const api = clientFor(() => new Response(null, { status: 204 }));
+    expect(await api.plans.save({ planId: "p1", body: { name: "x" } })).toEqual({ planId: "p1", shareUrl: null });
+  });
+});
+
+describe("ApiError kinds", () => {
+  it.each([
+    [401, "auth"],
+    [403, "auth"],
+    [404, "not_found"],
+    [409, "http"],
+    [500, "http"],
+  ])("HTTP %i is %s", async (status, kind) => {
+    const api = clientFor(() => new Response("nope", { status }));
+    const err = await errorOf(api.plans.get("p1"));
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ kind, status });
+    expect(err.message).toBe("GET /plans/{id} failed: " + status + " nope");
+  });
+
+  it("auth with code NO_AUTH when signed out", async () => {
+    const api = clientFor(() => {
+      throw Object.assign(new Error("Not signed in"), { code: "NO_AUTH" });
+    });
+    expect(await errorOf(api.spots.list())).toMatchObject({ kind: "auth", code: "NO_AUTH", status: null });
+  });
+
+  it("network with code NETWORK when no response came back", async () => {
+    const api = clientFor(() => {
+      throw new TypeError("Failed to fetch");
+    });
+    const err = await errorOf(api.spots.create({ spotName: "x" }));
+    expect(err).toMatchObject({ kind: "network", code: "NETWORK", status: null });
+    expect(err.cause).toBeInstanceOf(TypeError);
+  });
+
+  it("validation when the answer doesn't match the schema", async () => {
+    const api = clientFor(() => json({ message: "ok" }));
+    const err = await errorOf(api.spots.list());
+    expect(err).toMatchObject({ kind: "validation", issues: ["response has no list"] });
+
+    const single = await errorOf(clientFor(() => json([])).publicPlans.get("p1"));
+    expect(single).toMatchObject({ kind: "validation", issues: ["response is not an object"] });
+  });
+
+  it("validation when a new plan comes back without an id", async () => {
+    const api = clientFor(() => json({}));
+    expect(await errorOf(api.plans.save({ body: { name: "x" } }))).toMatchObject({
+      kind: "validation",
+      issues: ["planId is missing"],
+    });
+  });
+
+  it("cancelled requests reject with the plain AbortError", async () => {
+    const api = clientFor(() => {
+      throw new DOMException("The request was cancelled", "AbortError");
+    });
+    const err = await errorOf(api.spots.list());
+    expect(err).not.toBeInstanceOf(ApiError);
+    expect(err.name).toBe("AbortError");
+  });
+});
@@ -2,19 +2,182 @@ import { fetchAuthSession } from "aws-amplify/auth";
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
+const DEFAULT_TIMEOUT_MS = 15000; // per attempt, until the response headers arrive
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 500; // 500ms, 1s, 2s ... plus jitter
+const DEFAULT_CACHE_MS = 5000;
+const MAX_CACHED_RESPONSES = 50;
+
+// Safe to send twice: a retry can't create a second spot or plan.
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+
+export const isAbortError = (err) => !!err && err.name === "AbortError";
+
+const abortError = () => new DOMException("The request was cancelled", "AbortError");
+
+// Counts as a network error (code "NETWORK", see isNetworkError) so offline handling applies.
+const timeoutError = (timeoutMs) => {
+  const e = new Error("Request timed out after " + timeoutMs + "ms");
+  e.name = "TimeoutError";
+  e.code = "NETWORK";
+  return e;
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const outer = init.signal;
+  const onAbort = () => controller.abort();
+  if (outer) {
+    if (outer.aborted) controller.abort();
+    else outer.addEventListener("abort", onAbort, { once: true });
+  }
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  return fetch(url, { ...init, signal: controller.signal })
+    .catch((err) => {
+      throw timedOut ? timeoutError(timeoutMs) : err;
+    })
+    .finally(() => {
+      clearTimeout(timer);
+      if (outer) outer.removeEventListener("abort", onAbort);
+    });
+}
+
+// Retries 5xx answers and requests that never got one; a cancelled request stops right away.
+async function fetchWithRetry(url, init, { timeoutMs, retries }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetchWithTimeout(url, init, timeoutMs);
+      if (res.status < 500 || attempt >= retries) return res;
+    } catch (err) {
+      if (isAbortError(err) || attempt >= retries) throw err;
+    }
+    const backoff = RETRY_BASE_MS * 2 ** attempt;
+    await wait(backoff + Math.random() * backoff * 0.5, init.signal);
+  }
+}
+
+// ---------- GET de-duplication ----------
+// key: url + Authorization -> { promise, controller, waiting }
+const inflight = new Map();
+// key -> { body, status, statusText, headers, expires }; only ok answers. The body is kept as
+// text and each caller gets a fresh Response built from it.
+const responseCache = new Map();
+// Bumped when a write starts and when it ends: a GET that overlapped one may have read the
+// old data, so its answer isn't cached.
+let cacheGeneration = 0;
+
+const invalidateGets = () => {
+  cacheGeneration++;
+  responseCache.clear();
+  // Requests already running finish for their callers, but new GETs don't join them.
+  inflight.clear();
+};
+
+const cachedResponse = (key) => {
+  const hit = responseCache.get(key);
+  if (!hit) return null;
+  if (hit.expires <= Date.now()) {
+    responseCache.delete(key);
+    return null;
+  }
+  const { body, status, statusText, headers } = hit;
+  return new Response(body, { status, statusText, headers });
+};
+
+async function cacheResponse(key, res, cacheMs) {
+  const body = await res.clone().text();
+  const now = Date.now();
+  for (const [k, hit] of responseCache) {
+    if (hit.expires <= now) responseCache.delete(k);
+  }
+  // Maps iterate in insertion order: the first key is the oldest entry.
+  while (responseCache.size >= MAX_CACHED_RESPONSES) responseCache.delete(responseCache.keys().next().value);
+  responseCache.set(key, {
+    body,
+    status: res.status,
+    statusText: res.statusText,
+    headers: [...res.headers],
+    expires: now + cacheMs,
+  });
+}
+
+// One caller's view of a shared request: it can give up on its own signal, and the request
+// itself is only aborted once every caller waiting on it has.
+function joinRequest(key, entry, signal) {
+  entry.waiting++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortError());
+      if (--entry.waiting === 0) {
+        if (inflight.get(key) === entry) inflight.delete(key);
+        entry.controller.abort();
+      }
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    entry.promise.then(
+      (res) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve(res.clone());
+      },
+      (err) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
 /**
  * apiFetch(path, init, opts)
  * - path: "/spots"
+ * - init.signal: cancels the request, including retries still waiting
  * - opts.auth: default true (attach Authorization Bearer <access_token>)
+ * - opts.timeoutMs: per attempt, default 15s
+ * - opts.retries: extra attempts for idempotent methods on 5xx / network errors, default 2
+ * - opts.cacheMs: how long an ok GET answer is reused, default 5s; 0 always asks the server
+ *
+ * Identical GETs in flight share one request and every caller gets its own copy of the
+ * response. Any other method clears the GET cache, since it may change what those return,
+ * and GETs that overlap it aren't cached.
  */
-export async function apiFetch(path, init = {}, opts = { auth: true }) {
+export async function apiFetch(path, init = {}, opts = {}) {
   if (!API_BASE_URL) {
     throw new Error("Missing VITE_API_BASE_URL");
   }
 
+  const {
+    auth = true,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    cacheMs = DEFAULT_CACHE_MS,
+  } = opts;
   const headers = new Headers(init.headers || {});
 
-  if (opts.auth) {
+  if (auth) {
     const session = await fetchAuthSession();
     const token = session.tokens?.accessToken?.toString?.();
     if (!token) throw new Error("Not signed in (missing access token)");
@@ -26,5 +189,67 @@ export async function apiFetch(path, init = {}, opts = { auth: true }) {
     headers.set("Content-Type", "application/json");
   }
 
-  return fetch(`${API_BASE_URL}${path}`, { ...init, headers });
-}
\ No newline at end of file
+  const url = `${API_BASE_URL}${path}`;
+  const method = (init.method || "GET").toUpperCase();
+  const retryCount = IDEMPOTENT_METHODS.has(method) ? retries : 0;
+
+  if (method !== "GET") {
+    invalidateGets();
+    try {
+      return await fetchWithRetry(url, { ...init, headers }, { timeoutMs, retries: retryCount });
+    } finally {
+      invalidateGets();
+    }
+  }
+
+  const key = url + "\n" + (headers.get("Authorization") || "");
+  const cached = cacheMs > 0 ? cachedResponse(key) : null;
+  if (cached) return cached;
+
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = fetchWithRetry(
+      url,
+      { ...init, headers, signal: controller.signal },
+      { timeoutMs, retries: retryCount }
+    );
+    entry = { promise, controller, waiting: 0 };
+    inflight.set(key, entry);
+
+    const created = entry;
+    const generation = cacheGeneration;
+    promise
+      .then((res) => {
+        if (res.ok && cacheMs > 0 && generation === cacheGeneration) return cacheResponse(key, res, cacheMs);
+      })
+      .catch(() => {
+        // each caller sees the error through joinRequest
+      })
+      .finally(() => {
+        if (inflight.get(key) === created) inflight.delete(key);
+      });
+  }
+
+  return joinRequest(key, entry, init.signal);
+}
+
+/**
+ * createRequestSlot() -> { next(), cancel() }
+ * For loads where only the newest answer matters: next() cancels the request started by the
+ * previous call and returns the AbortSignal for the new one. cancel() is for unmount.
+ */
+export function createRequestSlot() {
+  let controller = null;
+  return {
+    next() {
+      if (controller) controller.abort();
+      controller = new AbortController();
+      return controller.signal;
+    },
+    cancel() {
+      if (controller) controller.abort();
+      controller = null;
+    },
+  };
+}
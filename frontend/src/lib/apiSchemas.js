@@ -0,0 +1,273 @@
+import { normalizeCategoryId, normalizeTags } from "./categories";
+import { coverPhotoUrl, normalizePhotos } from "./photos";
+import { parseIsoDate, parseTimeOfDay } from "./schedule";
+import { normalizeRating, normalizeVisits } from "./spotJournal";
+
+// Shapes of what the API sends back, declared once instead of re-read at every call site.
+// A schema is { fields: { key: spec }, passthrough?, finish? }; each spec says where the value
+// may come from (older backends used other keys), its type and whether it is required:
+//
+//   spec: { type: "string" | "number" | "any", from?: [key | (raw) => value], required?,
+//           default?, trim? }  or  { type: "custom", parse(value, raw), from? }
+//
+// parseObject() returns { value, issues }; value is null when a required field is missing.
+
+export const field = {
+  string: (opts = {}) => ({ type: "string", ...opts }),
+  number: (opts = {}) => ({ type: "number", ...opts }),
+  any: (opts = {}) => ({ type: "any", ...opts }),
+  custom: (parse, opts = {}) => ({ type: "custom", parse, ...opts }),
+};
+
+// DynamoDB sort keys ("SPOT#abc") double as ids on some older responses.
+const fromSortKey = (prefix) => (raw) =>
+  typeof raw.sk === "string" && raw.sk.startsWith(prefix) ? raw.sk.slice(prefix.length) : undefined;
+
+const pick = (raw, from) => {
+  for (const source of from) {
+    const v = typeof source === "function" ? source(raw) : raw[source];
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return undefined;
+};
+
+function readField(key, spec, raw, issues, path) {
+  const value = pick(raw, spec.from || [key]);
+  if (spec.type === "custom") return spec.parse(value, raw);
+
+  let out;
+  if (spec.type === "any") out = value;
+  if (spec.type === "string" && typeof value === "string") out = spec.trim ? value.trim() : value;
+  if (spec.type === "number") {
+    const n = typeof value === "string" ? parseFloat(value) : value;
+    if (typeof n === "number" && Number.isFinite(n)) out = n;
+  }
+
+  const blank = typeof out === "string" && !out.trim();
+  if (out === undefined || (spec.required && blank)) {
+    if (spec.required) issues.push(path + key + (value === undefined ? " is missing" : " is invalid"));
+    return "default" in spec ? spec.default : null;
+  }
+  return out;
+}
+
+/**
+ * parseObject(schema, raw, path) -> { value, issues }
+ * - passthrough: keep fields the schema doesn't declare
+ * - finish(value, raw): final shaping once every field is read
+ */
+export function parseObject(schema, raw, path = "") {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, issues: [(path || "response") + " is not an object"] };
+  }
+  const issues = [];
+  const value = schema.passthrough ? { ...raw } : {};
+  for (const [key, spec] of Object.entries(schema.fields)) {
+    value[key] = readField(key, spec, raw, issues, path);
+  }
+  if (issues.length) return { value: null, issues };
+  return { value: schema.finish ? schema.finish(value, raw) : value, issues };
+}
+
+/**
+ * parseList(itemSchema, raw, { from }) -> { value, issues, skipped }
+ * - from: where the array may sit in the response; the first array found wins
+ * One bad entry doesn't fail the whole list: it is left out and reported in `skipped`.
+ */
+export function parseList(itemSchema, raw, { from = [(x) => x] } = {}) {
+  const list = from.map((source) => (raw == null ? undefined : source(raw))).find(Array.isArray);
+  if (!list) return { value: null, issues: ["response has no list"], skipped: [] };
+
+  const value = [];
+  const skipped = [];
+  list.forEach((item, i) => {
+    const parsed = parseObject(itemSchema, item, "[" + i + "].");
+    if (parsed.value) value.push(parsed.value);
+    else skipped.push(...parsed.issues);
+  });
+  return { value, issues: [], skipped };
+}
+
+// ---------- Plans: visibility and roles ----------
+export const PLAN_VISIBILITIES = ["private", "unlisted", "public"];
+export const PLAN_ROLES = ["owner", "editor", "viewer"];
+
+// Older plans only carry isPublic; treat those as public so their links keep working.
+export const parsePlanVisibility = (x) => {
+  const v = typeof x?.visibility === "string" ? x.visibility.toLowerCase() : "";
+  if (PLAN_VISIBILITIES.includes(v)) return v;
+  return x && x.isPublic === false ? "private" : "public";
+};
+
+export const parsePlanRole = (x) => (x && PLAN_ROLES.includes(x.role) ? x.role : "owner");
+
+// ---------- Spots ----------
+const spotIdField = field.string({ from: ["id", "spotId", "spotID", fromSortKey("SPOT#")], required: true });
+
+// A spot in the signed-in user's library: everything needed to show it on the map.
+export const SpotSchema = {
+  passthrough: true,
+  fields: {
+    id: spotIdField,
+    spotName: field.string({ required: true }),
+    address: field.string({ required: true }),
+    lat: field.number({ required: true }),
+    lng: field.number({ required: true }),
+    category: field.custom((v) => normalizeCategoryId(v)),
+    tags: field.custom((v) => normalizeTags(v)),
+    rating: field.custom((v) => normalizeRating(v)),
+    notes: field.string({ default: "" }),
+    visits: field.custom((v) => normalizeVisits(v)),
+    photos: field.custom((v) => normalizePhotos(v)),
+  },
+};
+
+// The copy of a spot saved inside a plan. Shared plans may lack coordinates (lat/lng come back
+// as null and the stop stays off the map).
+export const PlanSpotSchema = {
+  fields: {
+    id: spotIdField,
+    spotName: field.string({ from: ["spotName", "name", "title"], required: true }),
+    address: field.string({ from: ["address", "formattedAddress"], required: true }),
+    videoUrl: field.string({ from: ["videoUrl", "videoURL", "url"], default: "" }),
+    lat: field.number({ from: ["lat", "latitude", (x) => x.location?.lat] }),
+    lng: field.number({ from: ["lng", "longitude", (x) => x.location?.lng] }),
+    openTime: field.string({ default: "" }),
+    closeTime: field.string({ default: "" }),
+    visitMinutes: field.custom((v) => {
+      const n = typeof v === "string" ? parseFloat(v) : v;
+      return Number.isFinite(n) && n > 0 ? n : null;
+    }),
+    // Plans saved before snapshots carried these have neither: null / [].
+    category: field.custom((v) => (typeof v === "string" && v.trim() ? normalizeCategoryId(v) : null)),
+    tags: field.custom((v) => normalizeTags(v)),
+    coverPhotoUrl: field.custom((v, raw) => (typeof v === "string" ? v : coverPhotoUrl(raw))),
+  },
+};
+
+// ---------- Plans ----------
+const planIdField = (opts = {}) => field.string({ from: ["planId", "id", fromSortKey("PLAN#")], ...opts });
+
+// A row of GET /plans.
+export const PlanSummarySchema = {
+  fields: {
+    planId: planIdField({ required: true }),
+    name: field.string({ trim: true, default: "" }),
+    visibility: field.custom((v, raw) => parsePlanVisibility(raw)),
+    updatedAt: field.any({ from: ["updatedAt", "createdAt"], default: null }),
+    // Plans other people shared with us come back in the same list with our role.
+    role: field.custom((v, raw) => parsePlanRole(raw)),
+    ownerName: field.string({ default: "" }),
+    shareUrl: field.string({ from: ["shareUrl", "publicUrl", "url"], default: null }),
+  },
+  finish: (plan) => ({
+    ...plan,
+    name: plan.name || "Untitled plan",
+    isPublic: plan.visibility !== "private",
+  }),
+};
+
+// The list has come back in every one of these wrappers over time.
+export const PLAN_LIST_FROM = [
+  (x) => x,
+  (x) => x.items,
+  (x) => x.plans,
+  (x) => x.data && x.data.items,
+  (x) => x.data && x.data.plans,
+];
+
+export const SPOT_LIST_FROM = [(x) => x, (x) => x.items];
+
+// ---------- Categories ----------
+// A user category of GET/PUT /categories (see categories.js).
+export const CategorySchema = {
+  fields: {
+    id: field.custom((v) => normalizeCategoryId(v)),
+    label: field.string({ trim: true, default: "" }),
+    color: field.string({ default: "" }),
+    icon: field.string({ default: "" }),
+  },
+};
+
+export const CATEGORY_LIST_FROM = [(x) => x, (x) => x.items, (x) => x.categories];
+
+// Paging token of GET /spots?bbox=...; absent (or a bare array) on the last page.
+export const SpotPageSchema = {
+  fields: {
+    nextCursor: field.string({ from: ["nextCursor", "nextToken", "cursor"], default: null }),
+  },
+};
+
+// Stops of a plan, in visiting order per day. Single-day plans have no day field: everything
+// lands on day 0.
+function parsePlanItems(rawItems) {
+  return rawItems
+    .map((x) => ({
+      spotId: x && x.spotId,
+      visited: !!(x && x.visited),
+      day: typeof x?.day === "number" && x.day >= 0 ? Math.floor(x.day) : 0,
+      order: typeof x?.order === "number" ? x.order : 0,
+    }))
+    .filter((x) => typeof x.spotId === "string" && x.spotId.length > 0)
+    .sort((a, b) => a.day - b.day || a.order - b.order)
+    .map((x) => ({ spotId: x.spotId, visited: x.visited, day: x.day }));
+}
+
+/**
+ * parsePlanDetails(rawSpots, rawItems) -> spot snapshots of a plan, one per spot id
+ */
+export function parsePlanDetails(rawSpots, rawItems = []) {
+  // Snapshots come either in data.spots or inline on data.items.
+  const derivedFromItems = rawItems.filter(
+    (x) => x && (x.spotName || x.name || x.address || x.formattedAddress)
+  );
+  const byId = new Map();
+  for (const raw of [...rawSpots, ...derivedFromItems]) {
+    const { value } = parseObject(PlanSpotSchema, raw);
+    if (value) byId.set(value.id, value);
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * GET /plans/{id} and GET /public/plans/{id}.
+ * visibility and role are null when the response doesn't say; callers fall back to what the
+ * saved-plans list knows.
+ */
+export const PlanSchema = {
+  fields: {
+    planId: planIdField({ default: null }),
+    name: field.string({ default: "" }),
+    visibility: field.custom((v, raw) =>
+      typeof raw.visibility === "string" || typeof raw.isPublic === "boolean" ? parsePlanVisibility(raw) : null
+    ),
+    role: field.custom((v, raw) => (raw.role ? parsePlanRole(raw) : null)),
+    shareUrl: field.string({ default: null }),
+    // Where the live sync picks up after this snapshot (see planSync.js).
+    syncCursor: field.any({ default: null }),
+    spots: field.custom((v) => (Array.isArray(v) ? v : [])),
+    items: field.custom((v) => (Array.isArray(v) ? v : [])),
+    days: field.custom((v) => (Array.isArray(v) ? v : [])),
+    startDate: field.custom((v) => (parseIsoDate(v) ? v : "")),
+    startTime: field.custom((v) => (parseTimeOfDay(v) !== null ? v : "")),
+  },
+  finish: ({ spots, items: rawItems, days: rawDays, ...plan }) => {
+    const items = parsePlanItems(rawItems);
+    const dayCount = Math.max(1, rawDays.length, ...items.map((x) => x.day + 1));
+    const days = Array.from({ length: dayCount }, (_, i) => {
+      const d = rawDays[i];
+      const label = typeof d?.label === "string" ? d.label : typeof d?.name === "string" ? d.name : "";
+      return { label };
+    });
+    return { ...plan, details: parsePlanDetails(spots, rawItems), items, days };
+  },
+};
+
+// POST/PUT /plans. PUT may answer 204 or a partial body.
+export const PlanSaveSchema = {
+  passthrough: true,
+  fields: {
+    planId: planIdField({ default: null }),
+    shareUrl: field.string({ default: null }),
+  },
+};
@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import { PLAN_LIST_FROM, PlanSchema, PlanSummarySchema, SPOT_LIST_FROM, SpotSchema, parseList, parseObject } from "./apiSchemas";
+import plansList from "./__fixtures__/api/plans-list.json";
+import spotsList from "./__fixtures__/api/spots-list.json";
+import planGet from "./__fixtures__/api/plan-get.json";
+
+const parsePlans = (raw) => parseList(PlanSummarySchema, raw, { from: PLAN_LIST_FROM });
+const parseSpots = (raw) => parseList(SpotSchema, raw, { from: SPOT_LIST_FROM });
+
+describe("PlanSummarySchema", () => {
+  it.each(["bare", "items", "plans", "dataItems", "dataPlans"])("finds the list in the %s wrapper", (name) => {
+    const { value, issues } = parsePlans(plansList[name]);
+    expect(issues).toEqual([]);
+    expect(value[0]).toMatchObject({ planId: "p1", name: "Hoi An weekend" });
+  });
+
+  it("reads ids from PLAN# sort keys and fills in names and visibility", () => {
+    const [, plan] = parsePlans(plansList.bare).value;
+    expect(plan).toMatchObject({
+      planId: "p2",
+      name: "Untitled plan",
+      visibility: "private",
+      isPublic: false,
+      updatedAt: "2025-02-01T10:00:00Z",
+      role: "owner",
+    });
+  });
+
+  it("keeps the role and share url of plans shared with us", () => {
+    expect(parsePlans(plansList.dataItems).value[0]).toMatchObject({ role: "editor", ownerName: "Linh" });
+    expect(parsePlans(plansList.plans).value[0]).toMatchObject({
+      visibility: "public",
+      shareUrl: "https://anchoi.app/share/p1",
+    });
+  });
+
+  it("skips entries it can't read instead of failing the list", () => {
+    const { value, skipped } = parsePlans(plansList.withBadEntry);
+    expect(value.map((p) => p.planId)).toEqual(["p1"]);
+    expect(skipped).toEqual(["[1].planId is missing", "[2]. is not an object"]);
+  });
+
+  it("fails when there is no list at all", () => {
+    expect(parsePlans({ message: "Internal server error" })).toMatchObject({ value: null });
+  });
+});
+
+describe("SpotSchema", () => {
+  it("accepts every id alias", () => {
+    const { value } = parseSpots(spotsList.aliases);
+    expect(value.map((s) => s.id)).toEqual(["s1", "s2", "s3", "s4"]);
+  });
+
+  it("normalizes categories, tags and numeric strings", () => {
+    const [eat, cafe, explore] = parseSpots(spotsList.aliases).value;
+    expect(eat).toMatchObject({ category: "eat", tags: ["banh mi", "breakfast"], notes: "", photos: [] });
+    expect(cafe).toMatchObject({ lat: 16.4716, lng: 107.5889, category: "eat" });
+    expect(explore.category).toBe("explore");
+  });
+
+  it("reads the items wrapper", () => {
+    expect(parseSpots(spotsList.wrapped).value.map((s) => s.id)).toEqual(["s1"]);
+  });
+
+  it("leaves out spots without an address or coordinates", () => {
+    const { value, skipped } = parseSpots(spotsList.withBadEntries);
+    expect(value.map((s) => s.id)).toEqual(["s1"]);
+    expect(skipped).toEqual(["[1].address is missing", "[2].lat is missing", "[2].lng is missing"]);
+  });
+});
+
+describe("PlanSchema", () => {
+  it("reads stops from data.spots with their aliases", () => {
+    const { value } = parseObject(PlanSchema, planGet.spotsList);
+    expect(value).toMatchObject({
+      planId: "p1",
+      visibility: "public",
+      role: "owner",
+      startDate: "2025-04-12",
+      startTime: "08:30",
+      days: [{ label: "Saturday" }],
+    });
+    expect(value.details).toEqual([
+      expect.objectContaining({ id: "s1", coverPhotoUrl: "https://cdn/ph1-t.jpg", lat: 15.8775 }),
+      expect.objectContaining({ id: "s2", spotName: "Cà phê Muối", address: "10 Nguyễn Thái Học, Huế", lat: 16.4716 }),
+    ]);
+    // Forking a plan keeps the stops' categories; older snapshots have none.
+    expect(value.details.map(({ category, tags }) => ({ category, tags }))).toEqual([
+      { category: "eat", tags: ["banh mi", "breakfast"] },
+      { category: null, tags: [] },
+    ]);
+    expect(value.items).toEqual([
+      { spotId: "s1", visited: true, day: 0 },
+      { spotId: "s2", visited: false, day: 0 },
+    ]);
+  });
+
+  it("reads snapshots inlined on the items", () => {
+    const { value } = parseObject(PlanSchema, planGet.inlineItems);
+    expect(value).toMatchObject({ planId: "p2", visibility: "private", role: null });
+    expect(value.details.map((s) => s.id)).toEqual(["s4", "s7"]);
+    expect(value.details[0]).toMatchObject({ visitMinutes: 45, lat: 10.7725 });
+    expect(value.details[1]).toMatchObject({ spotName: "Phở Hoà", lat: null, lng: null, openTime: "06:00" });
+  });
+
+  it("orders items per day and makes room for every day used", () => {
+    const { value } = parseObject(PlanSchema, planGet.inlineItems);
+    expect(value.items.map((x) => [x.spotId, x.day])).toEqual([
+      ["s7", 0],
+      ["s8", 0],
+      ["s4", 1],
+    ]);
+    expect(value.days).toEqual([{ label: "" }, { label: "" }]);
+  });
+});
@@ -0,0 +1,159 @@
+// Refresh a little before the real expiry so in-flight requests don't race the clock.
+const REFRESH_SKEW_MS = 60 * 1000;
+// Cognito's default token lifetime, for a response that says neither expires_in nor exp.
+const DEFAULT_LIFETIME_MS = 60 * 60 * 1000;
+
+const authError = (code, message) => {
+  const e = new Error(message || code);
+  e.code = code;
+  return e;
+};
+
+// The exp claim (seconds) of a JWT, or null when the token can't be read.
+const jwtExpiry = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const exp = JSON.parse(atob(payload)).exp;
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * tokenExpiresAt(data)
+ * - data: a /oauth2/token response
+ *
+ * Uses expires_in, then the id token's exp, then Cognito's default lifetime; a missing
+ * expires_in must not read as "expired now" or the refresh timer would fire in a loop.
+ */
+export function tokenExpiresAt(data) {
+  const seconds = Number(data.expires_in);
+  if (Number.isFinite(seconds) && seconds > 0) return Date.now() + seconds * 1000;
+  const exp = typeof data.id_token === "string" ? jwtExpiry(data.id_token) : null;
+  if (exp && exp > Date.now()) return exp;
+  return Date.now() + DEFAULT_LIFETIME_MS;
+}
+
+/**
+ * createTokenManager({ domain, clientId, storageKey, onSessionExpired })
+ * - domain: Cognito Hosted UI domain without scheme ("xxx.auth.region.amazoncognito.com")
+ * - storageKey: localStorage key holding { access_token, id_token, refresh_token, expires_at }
+ * - onSessionExpired: called once when Cognito rejects the refresh token
+ *
+ * getIdToken()/getAccessToken() refresh silently when the stored tokens are about to expire.
+ * Concurrent callers share a single /oauth2/token request.
+ */
+export function createTokenManager({ domain, clientId, storageKey, onSessionExpired }) {
+  let inflight = null;
+
+  const read = () => {
+    try {
+      const raw = localStorage.getItem(storageKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const save = (tokens) => {
+    localStorage.setItem(storageKey, JSON.stringify(tokens));
+  };
+
+  const clear = () => {
+    localStorage.removeItem(storageKey);
+  };
+
+  const isFresh = (t) =>
+    !!(t && t.id_token && (!t.expires_at || Date.now() < t.expires_at - REFRESH_SKEW_MS));
+
+  // A session survives an expired id_token as long as we still hold a refresh_token.
+  const hasSession = () => {
+    const t = read();
+    return !!(t && (isFresh(t) || t.refresh_token));
+  };
+
+  const requestRefresh = async () => {
+    const current = read();
+    if (!current || !current.refresh_token) throw authError("NO_AUTH");
+    if (!domain || !clientId) throw authError("NO_AUTH", "Missing Cognito config");
+
+    const res = await fetch("https://" + domain + "/oauth2/token", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: clientId,
+        refresh_token: current.refresh_token,
+      }),
+    });
+
+    if (!res.ok) {
+      // 400 invalid_grant: refresh token expired or revoked -> the session is over.
+      if (res.status === 400 || res.status === 401) {
+        clear();
+        if (onSessionExpired) onSessionExpired();
+        throw authError("NO_AUTH", "Session expired. Please log in again.");
+      }
+      // Anything else (5xx, throttling) is Cognito having a bad moment: keep the refresh token.
+      // The NETWORK code makes callers treat it like being offline (see isNetworkError).
+      const t = await res.text();
+      throw authError("NETWORK", "Token refresh failed: " + res.status + " " + t);
+    }
+
+    const data = await res.json();
+
+    // Another tab may have logged out while we were waiting.
+    const latest = read();
+    if (!latest) throw authError("NO_AUTH");
+
+    const tokens = {
+      ...latest,
+      access_token: data.access_token || latest.access_token,
+      id_token: data.id_token || latest.id_token,
+      // Cognito only returns a new refresh_token when rotation is enabled.
+      refresh_token: data.refresh_token || latest.refresh_token,
+      token_type: data.token_type || latest.token_type,
+      expires_at: tokenExpiresAt(data),
+    };
+
+    save(tokens);
+    return tokens;
+  };
+
+  const refresh = () => {
+    if (!inflight) {
+      inflight = requestRefresh().finally(() => {
+        inflight = null;
+      });
+    }
+    return inflight;
+  };
+
+  const getTokens = async ({ forceRefresh = false } = {}) => {
+    const t = read();
+    if (!t) return null;
+    if (!forceRefresh && isFresh(t)) return t;
+    if (!t.refresh_token) return null;
+    return refresh();
+  };
+
+  const getIdToken = async (opts) => {
+    const t = await getTokens(opts);
+    return t ? t.id_token : null;
+  };
+
+  const getAccessToken = async (opts) => {
+    const t = await getTokens(opts);
+    return t ? t.access_token : null;
+  };
+
+  // Milliseconds until a proactive refresh is due, or null when nothing can be refreshed.
+  const msUntilRefresh = () => {
+    const t = read();
+    if (!t || !t.refresh_token || !t.expires_at) return null;
+    return Math.max(0, t.expires_at - REFRESH_SKEW_MS - Date.now());
+  };
+
+  return { read, save, clear, hasSession, refresh, getIdToken, getAccessToken, msUntilRefresh };
+}
@@ -0,0 +1,151 @@
+// Spot categories and tags.
+// Spots store their category as an id string ("eat", "explore", "cafe", ...) and tags as a
+// string array. The two built-in categories can't be removed so older spots always have a home;
+// user categories keep their label/colour/icon on the account (/categories), cached in the
+// "categories" offline store.
+
+export const DEFAULT_CATEGORY = "eat";
+
+export const BUILT_IN_CATEGORIES = [
+  { id: "eat", label: "Eat", color: "#ef4444", icon: "🍜", builtIn: true },
+  // Shown as "Play" in the tabs before categories were customisable.
+  { id: "explore", label: "Play", color: "#3b82f6", icon: "🎡", builtIn: true },
+];
+
+export const CATEGORY_COLORS = [
+  "#ef4444",
+  "#f97316",
+  "#eab308",
+  "#22c55e",
+  "#14b8a6",
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+  "#6b7280",
+];
+
+export const CATEGORY_ICONS = ["🍜", "🎡", "☕", "🍸", "🛍️", "🏨", "🏛️", "🌳", "🏖️", "📷", "🎵", "📍"];
+
+// Names people used for the two original categories.
+const CATEGORY_ALIASES = { food: "eat", play: "explore" };
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+const stripAccents = (s) =>
+  s
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+
+/**
+ * normalizeCategoryId(value)
+ * Lowercase, accent-free slug ("Quán cà phê" -> "quan-ca-phe"). Empty values fall back to "eat",
+ * which is what spots saved before categories existed are treated as.
+ */
+export function normalizeCategoryId(value) {
+  const slug =
+    typeof value === "string"
+      ? stripAccents(value.trim().toLowerCase())
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "")
+      : "";
+  if (!slug) return DEFAULT_CATEGORY;
+  return CATEGORY_ALIASES[slug] || slug;
+}
+
+export const categoryOf = (spot) => normalizeCategoryId(spot && spot.category);
+
+/**
+ * normalizeTags(value)
+ * Accepts an array or a comma/semicolon separated string; returns trimmed, lowercase,
+ * de-duplicated tags.
+ */
+export function normalizeTags(value) {
+  const raw = Array.isArray(value) ? value : typeof value === "string" ? value.split(/[,;]/) : [];
+  const out = [];
+  for (const t of raw) {
+    if (typeof t !== "string") continue;
+    const tag = t.trim().replace(/\s+/g, " ").toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (tag && !out.includes(tag)) out.push(tag);
+    if (out.length >= MAX_TAGS) break;
+  }
+  return out;
+}
+
+export const formatTags = (tags) => (Array.isArray(tags) ? tags.join(", ") : "");
+
+const hashString = (s) => {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) | 0;
+  return Math.abs(h);
+};
+
+const labelFromId = (id) => id.charAt(0).toUpperCase() + id.slice(1).replace(/-/g, " ");
+
+/**
+ * buildCategoryList(custom, spots)
+ * - custom: user categories [{ id, label, color, icon }]; an entry with a built-in id only
+ *   restyles that category
+ * - spots: categories used by spots but missing from both lists (e.g. created on another
+ *   device) are added with a stable colour so they still get a tab and a legend entry.
+ */
+export function buildCategoryList(custom = [], spots = []) {
+  const overrides = new Map(custom.map((c) => [normalizeCategoryId(c && c.id), c]));
+  const list = BUILT_IN_CATEGORIES.map((c) => {
+    const o = overrides.get(c.id);
+    if (!o) return c;
+    return { ...c, label: (o.label || "").trim() || c.label, color: o.color || c.color, icon: o.icon || c.icon };
+  });
+  const seen = new Set(list.map((c) => c.id));
+
+  for (const c of custom) {
+    const id = normalizeCategoryId(c && c.id);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    list.push({
+      id,
+      label: (c.label || "").trim() || labelFromId(id),
+      color: c.color || CATEGORY_COLORS[hashString(id) % CATEGORY_COLORS.length],
+      icon: c.icon || "📍",
+      builtIn: false,
+    });
+  }
+
+  for (const s of spots) {
+    const id = categoryOf(s);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    list.push({
+      id,
+      label: labelFromId(id),
+      color: CATEGORY_COLORS[hashString(id) % CATEGORY_COLORS.length],
+      icon: "📍",
+      builtIn: false,
+      derived: true,
+    });
+  }
+
+  return list;
+}
+
+/**
+ * collectTags(spots) -> [{ tag, count }] most used first
+ */
+export function collectTags(spots) {
+  const counts = new Map();
+  for (const s of spots) {
+    for (const tag of normalizeTags(s && s.tags)) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// A spot matches when it has every selected tag.
+export const hasAllTags = (spot, tags) => {
+  if (!tags.length) return true;
+  const own = normalizeTags(spot && spot.tags);
+  return tags.every((t) => own.includes(t));
+};
@@ -0,0 +1,24 @@
+// Save generated text as a file through a temporary object URL.
+export function downloadTextFile(filename, text, mimeType = "text/plain") {
+  const blob = new Blob([text], { type: mimeType + ";charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "HCM Food Day 1" -> "hcm-food-day-1"
+export const toFileSlug = (name, fallback = "anchoi") => {
+  const slug = String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/gi, "d")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || fallback;
+};
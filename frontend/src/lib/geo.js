@@ -0,0 +1,16 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two { lat, lng } points.
+export const haversineKm = (a, b) => {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
@@ -0,0 +1,158 @@
+// Plan and spot-library exports for navigation apps, Google My Maps and GIS tools.
+// Input is always { name, places, routes }:
+// - places: [{ spotName, address, videoUrl, category, tags?, lat, lng, order?, day?, visited? }]
+//   (order and day are 1-based stop/day numbers as shown in the app)
+// - routes: [{ name, places }] polylines in visiting order (one per plan day; empty for libraries)
+
+export const EXPORT_FORMATS = [
+  { value: "gpx", label: "GPX", mimeType: "application/gpx+xml" },
+  { value: "kml", label: "KML", mimeType: "application/vnd.google-earth.kml+xml" },
+  { value: "geojson", label: "GeoJSON", mimeType: "application/geo+json" },
+];
+
+const hasCoords = (p) => Number.isFinite(p.lat) && Number.isFinite(p.lng);
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Properties shared by every format; plan-only fields are left out for library exports.
+const placeProperties = (p) => {
+  const props = {
+    name: p.spotName || "",
+    address: p.address || "",
+    videoUrl: p.videoUrl || "",
+    category: p.category || "",
+  };
+  if (Array.isArray(p.tags) && p.tags.length) props.tags = p.tags;
+  if (typeof p.order === "number") props.order = p.order;
+  if (typeof p.day === "number") props.day = p.day;
+  if (typeof p.visited === "boolean") props.visited = p.visited;
+  return props;
+};
+
+export function toGeoJson({ name, places, routes = [] }) {
+  const features = [
+    ...places.filter(hasCoords).map((p) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [p.lng, p.lat] },
+      properties: placeProperties(p),
+    })),
+    ...routes
+      .map((r) => ({ ...r, places: r.places.filter(hasCoords) }))
+      .filter((r) => r.places.length >= 2)
+      .map((r) => ({
+        type: "Feature",
+        geometry: { type: "LineString", coordinates: r.places.map((p) => [p.lng, p.lat]) },
+        properties: { name: r.name, kind: "route" },
+      })),
+  ];
+  return JSON.stringify({ type: "FeatureCollection", name, features }, null, 2);
+}
+
+export function toKml({ name, places, routes = [] }) {
+  const placemark = (p) => {
+    const props = placeProperties(p);
+    const data = Object.entries(props)
+      .map(([k, v]) => `        <Data name="${k}"><value>${escapeXml(Array.isArray(v) ? v.join(", ") : v)}</value></Data>`)
+      .join("\n");
+    return [
+      "    <Placemark>",
+      `      <name>${escapeXml(props.name)}</name>`,
+      `      <address>${escapeXml(props.address)}</address>`,
+      props.videoUrl ? `      <description>${escapeXml(props.videoUrl)}</description>` : null,
+      "      <ExtendedData>",
+      data,
+      "      </ExtendedData>",
+      `      <Point><coordinates>${p.lng},${p.lat},0</coordinates></Point>`,
+      "    </Placemark>",
+    ]
+      .filter((x) => x !== null)
+      .join("\n");
+  };
+
+  const routeMark = (r) =>
+    [
+      "    <Placemark>",
+      `      <name>${escapeXml(r.name)}</name>`,
+      "      <LineString><tessellate>1</tessellate><coordinates>",
+      "        " + r.places.map((p) => `${p.lng},${p.lat},0`).join(" "),
+      "      </coordinates></LineString>",
+      "    </Placemark>",
+    ].join("\n");
+
+  const lines = routes
+    .map((r) => ({ ...r, places: r.places.filter(hasCoords) }))
+    .filter((r) => r.places.length >= 2);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    ...places.filter(hasCoords).map(placemark),
+    ...lines.map(routeMark),
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+export function toGpx({ name, places, routes = [] }) {
+  // GPX has no custom properties outside <extensions>; keep the common ones in standard tags
+  // (in the order the schema requires).
+  const point = (tag, p, indent) => {
+    const props = placeProperties(p);
+    const extras = [
+      typeof props.visited === "boolean"
+        ? `${indent}  <cmt>${props.visited ? "visited" : "not visited"}</cmt>`
+        : null,
+      props.address ? `${indent}  <desc>${escapeXml(props.address)}</desc>` : null,
+      props.videoUrl
+        ? `${indent}  <link href="${escapeXml(props.videoUrl)}"><text>Video</text></link>`
+        : null,
+      props.category ? `${indent}  <type>${escapeXml(props.category)}</type>` : null,
+    ].filter(Boolean);
+    return [
+      `${indent}<${tag} lat="${p.lat}" lon="${p.lng}">`,
+      `${indent}  <name>${escapeXml(props.name)}</name>`,
+      ...extras,
+      `${indent}</${tag}>`,
+    ].join("\n");
+  };
+
+  const rte = (r) =>
+    [
+      "  <rte>",
+      `    <name>${escapeXml(r.name)}</name>`,
+      ...r.places.map((p) => point("rtept", p, "    ")),
+      "  </rte>",
+    ].join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="AnChoi" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...places.filter(hasCoords).map((p) => point("wpt", p, "  ")),
+    ...routes
+      .map((r) => ({ ...r, places: r.places.filter(hasCoords) }))
+      .filter((r) => r.places.length)
+      .map(rte),
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+const SERIALIZERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+/**
+ * buildGeoExport(format, data) -> { text, extension, mimeType }
+ */
+export function buildGeoExport(format, data) {
+  const meta = EXPORT_FORMATS.find((f) => f.value === format);
+  if (!meta) throw new Error("Unknown export format: " + format);
+  return { text: SERIALIZERS[format](data), extension: format, mimeType: meta.mimeType };
+}
@@ -0,0 +1,75 @@
+const pad = (n) => String(n).padStart(2, "0");
+
+// Floating local time (no TZID): the events happen at wall-clock time wherever the trip is.
+const formatLocal = (d) =>
+  d.getFullYear() +
+  pad(d.getMonth() + 1) +
+  pad(d.getDate()) +
+  "T" +
+  pad(d.getHours()) +
+  pad(d.getMinutes()) +
+  "00";
+
+const formatUtc = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;");
+
+// RFC 5545 wants lines of at most 75 octets; continuation lines start with a space.
+// Count UTF-8 bytes so Vietnamese names don't overflow, and never split a character.
+const encoder = new TextEncoder();
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+};
+
+/**
+ * buildIcs({ name, events })
+ * - events: [{ uid, title, start: Date, end: Date, location?, description?, url? }]
+ * Returns the text of an .ics calendar.
+ */
+export function buildIcs({ name, events }) {
+  const now = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AnChoi//Plan export//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:" + escapeText(name),
+  ];
+
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:" + e.uid,
+      "DTSTAMP:" + now,
+      "DTSTART:" + formatLocal(e.start),
+      "DTEND:" + formatLocal(e.end),
+      "SUMMARY:" + escapeText(e.title)
+    );
+    if (e.location) lines.push("LOCATION:" + escapeText(e.location));
+    if (e.description) lines.push("DESCRIPTION:" + escapeText(e.description));
+    if (e.url) lines.push("URL:" + e.url);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
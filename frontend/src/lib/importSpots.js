@@ -0,0 +1,338 @@
+import { normalizeCategoryId, normalizeTags } from "./categories";
+import { parseLocationInput } from "./locationInput";
+
+// Fields an imported row can fill, in the order the mapping UI shows them.
+export const IMPORT_FIELDS = [
+  { key: "spotName", label: "Name", required: true },
+  { key: "address", label: "Address" },
+  { key: "lat", label: "Latitude" },
+  { key: "lng", label: "Longitude" },
+  { key: "videoUrl", label: "Video URL" },
+  { key: "category", label: "Category" },
+  { key: "tags", label: "Tags" },
+];
+
+// Header names we recognise per field (compared lower-cased, without accents, spaces or underscores).
+const FIELD_ALIASES = {
+  spotName: ["name", "spotname", "title", "place", "placename", "businessname", "ten", "tendiadiem"],
+  address: ["address", "formattedaddress", "location", "addr", "diachi"],
+  lat: ["lat", "latitude", "y"],
+  lng: ["lng", "lon", "long", "longitude", "x"],
+  videoUrl: ["videourl", "video", "url", "link", "tiktok", "youtube"],
+  category: ["category", "type", "tab"],
+  tags: ["tags", "tag", "labels", "keywords"],
+};
+
+const normalizeHeader = (h) =>
+  String(h || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/[\s_\-.]/g, "");
+
+export function guessColumnMapping(columns) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const aliases = FIELD_ALIASES[field.key];
+    const hit = columns.find((c) => aliases.includes(normalizeHeader(c)));
+    mapping[field.key] = hit || "";
+  }
+  return mapping;
+}
+
+// ---------- CSV ----------
+const detectDelimiter = (firstLine) => {
+  const counts = [",", ";", "\t"].map((d) => ({ d, n: firstLine.split(d).length }));
+  return counts.sort((a, b) => b.n - a.n)[0].d;
+};
+
+// RFC 4180-ish: quoted fields may contain delimiters, doubled quotes and newlines.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] || "");
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((v) => v.trim()));
+  if (!nonEmpty.length) return { columns: [], rows: [] };
+
+  const columns = nonEmpty[0].map((h, i) => h.trim() || "Column " + (i + 1));
+  const rows = nonEmpty.slice(1).map((r) => {
+    const out = {};
+    columns.forEach((c, i) => (out[c] = (r[i] || "").trim()));
+    return out;
+  });
+  return { columns, rows };
+}
+
+// ---------- GeoJSON / Google Takeout ----------
+const flattenProps = (obj, prefix = "", out = {}) => {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? prefix + "." + k : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenProps(v, key, out);
+    else if (v !== null && v !== undefined) out[key] = String(v);
+  }
+  return out;
+};
+
+// Takeout "Saved Places" is GeoJSON with its own property names, and newer exports put
+// [0, 0] in the geometry and leave the real place to the Maps URL or the address.
+const takeoutRow = (props, coords) => {
+  const loc = props.location || props.Location || {};
+  const geo = loc["Geo Coordinates"] || {};
+  const url = props.google_maps_url || props["Google Maps URL"] || "";
+  let lat = Number(geo.Latitude ?? coords[1]);
+  let lng = Number(geo.Longitude ?? coords[0]);
+  if (!lat && !lng) {
+    const fromUrl = parseLocationInput(url);
+    lat = fromUrl && fromUrl.kind === "coords" ? fromUrl.lat : NaN;
+    lng = fromUrl && fromUrl.kind === "coords" ? fromUrl.lng : NaN;
+  }
+  return {
+    name: loc.name || loc["Business Name"] || props.Title || "",
+    address: loc.address || loc.Address || "",
+    lat: Number.isFinite(lat) ? String(lat) : "",
+    lng: Number.isFinite(lng) ? String(lng) : "",
+    google_maps_url: url,
+    comment: props.Comment || "",
+  };
+};
+
+export function parseGeoJson(data) {
+  const features =
+    data && data.type === "FeatureCollection"
+      ? data.features || []
+      : data && data.type === "Feature"
+        ? [data]
+        : [];
+
+  const rows = features
+    .filter((f) => f && (!f.geometry || f.geometry.type === "Point"))
+    .map((f) => {
+      const props = f.properties || {};
+      const coords = (f.geometry && f.geometry.coordinates) || [];
+      if (props.google_maps_url || props["Google Maps URL"] || props.location || props.Location) {
+        return takeoutRow(props, coords);
+      }
+      return {
+        ...flattenProps(props),
+        lat: Number.isFinite(coords[1]) ? String(coords[1]) : "",
+        lng: Number.isFinite(coords[0]) ? String(coords[0]) : "",
+      };
+    });
+
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return { columns, rows };
+}
+
+// ---------- KML / KMZ ----------
+const childText = (el, tag) => {
+  const child = el.getElementsByTagName(tag)[0];
+  return child ? child.textContent.trim() : "";
+};
+
+export function parseKml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("This KML file could not be read.");
+
+  const rows = Array.from(doc.getElementsByTagName("Placemark"))
+    .map((pm) => {
+      const point = pm.getElementsByTagName("Point")[0];
+      const [lng, lat] = point ? childText(point, "coordinates").split(",").map(Number) : [];
+      const row = {
+        name: childText(pm, "name"),
+        address: childText(pm, "address"),
+        description: childText(pm, "description"),
+        lat: Number.isFinite(lat) ? String(lat) : "",
+        lng: Number.isFinite(lng) ? String(lng) : "",
+      };
+      for (const d of Array.from(pm.getElementsByTagName("Data"))) {
+        const key = d.getAttribute("name");
+        if (key && !(key in row)) row[key] = childText(d, "value");
+      }
+      // Lines and polygons have no single point; keep them only if there is an address.
+      return point || row.address ? row : null;
+    })
+    .filter(Boolean);
+
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return { columns, rows };
+}
+
+// KMZ is a zip with a .kml inside. Read the central directory ourselves and inflate with
+// DecompressionStream so we don't need a zip library for one file.
+async function readKmlFromKmz(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("This KMZ file is not a valid zip archive.");
+
+  const entries = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let n = 0; n < entries; n++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!name.toLowerCase().endsWith(".kml")) continue;
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const bytes = new Uint8Array(buffer, start, compressedSize);
+
+    if (method === 0) return decoder.decode(bytes);
+    if (method === 8 && typeof DecompressionStream !== "undefined") {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      return new Response(stream).text();
+    }
+    throw new Error("This KMZ file uses a compression this browser can't read.");
+  }
+
+  throw new Error("No .kml file found inside the KMZ.");
+}
+
+/**
+ * readImportFile(file) -> { format, columns, rows }
+ * Detects CSV, GeoJSON (incl. Google Takeout Saved Places), KML and KMZ by extension/content.
+ * Every row is a flat { column: string } object so the same column mapping works for all.
+ */
+export async function readImportFile(file) {
+  const name = (file.name || "").toLowerCase();
+
+  if (name.endsWith(".kmz")) {
+    return { format: "KMZ", ...parseKml(await readKmlFromKmz(await file.arrayBuffer())) };
+  }
+
+  const text = await file.text();
+  const trimmed = text.trim();
+
+  if (name.endsWith(".kml") || trimmed.startsWith("<")) return { format: "KML", ...parseKml(text) };
+
+  if (name.endsWith(".json") || name.endsWith(".geojson") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("This JSON file could not be read.");
+    }
+    const parsed = parseGeoJson(data);
+    const isTakeout = parsed.columns.includes("google_maps_url");
+    return { format: isTakeout ? "Google Takeout" : "GeoJSON", ...parsed };
+  }
+
+  return { format: "CSV", ...parseCsv(text) };
+}
+
+const toCoord = (v) => {
+  const n = parseFloat(String(v || "").replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * toImportRecord(row, mapping, { defaultCategory })
+ * Returns { spotName, address, lat, lng, videoUrl, category, tags, error }. lat/lng stay null when the
+ * row has to be geocoded; error is set for rows that can't be imported at all.
+ */
+export function toImportRecord(row, mapping, { defaultCategory = "eat", reference } = {}) {
+  const get = (key) => (mapping[key] ? String(row[mapping[key]] || "").trim() : "");
+
+  let lat = toCoord(get("lat"));
+  let lng = toCoord(get("lng"));
+  let address = get("address");
+  let spotName = get("spotName");
+
+  // An address cell may itself be a Maps link or "lat, lng".
+  const pasted = address ? parseLocationInput(address, { reference }) : null;
+  if (pasted && pasted.kind === "coords" && (lat === null || lng === null)) {
+    lat = pasted.lat;
+    lng = pasted.lng;
+    if (!spotName) spotName = pasted.name;
+    if (pasted.source !== "plus_code") address = pasted.name || address;
+  } else if (pasted && pasted.kind === "query") {
+    address = pasted.query;
+    if (!spotName) spotName = pasted.name;
+  }
+
+  const hasCoords = lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  const rawCategory = get("category");
+
+  const record = {
+    spotName,
+    address: address || (hasCoords ? lat.toFixed(6) + ", " + lng.toFixed(6) : ""),
+    lat: hasCoords ? lat : null,
+    lng: hasCoords ? lng : null,
+    videoUrl: get("videoUrl"),
+    category: rawCategory ? normalizeCategoryId(rawCategory) : defaultCategory,
+    tags: normalizeTags(get("tags")),
+    error: null,
+  };
+
+  if (!record.spotName) record.error = "Missing name";
+  else if (!hasCoords && !address) record.error = "No address or coordinates";
+  return record;
+}
+
+/**
+ * mapWithConcurrency(items, limit, fn)
+ * Runs fn(item, index) for every item with at most `limit` calls in flight; resolves in input
+ * order. fn is expected to handle its own errors.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
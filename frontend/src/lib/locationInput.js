@@ -0,0 +1,188 @@
+// Turns what people paste into the Address field into coordinates without calling /geocode:
+// Google Maps links, plus-codes and plain "lat, lng".
+
+const isLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const LAT_LNG_RE = /^\s*\(?\s*(-?\d{1,2}(?:\.\d+)?)\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*\)?\s*$/;
+
+const parseLatLngText = (text) => {
+  const m = typeof text === "string" ? text.match(LAT_LNG_RE) : null;
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lng = Number(m[2]);
+  return isLatLng(lat, lng) ? { lat, lng } : null;
+};
+
+// ---------- Open Location Code (plus-codes) ----------
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const PAIR_PLACES = [20, 1, 0.05, 0.0025, 0.000125];
+const PLUS_CODE_RE = /(?:^|\s)([23456789CFGHJMPQRVWX]{2,8}0*\+[23456789CFGHJMPQRVWX]{0,7})(?=\s|,|$)/i;
+
+const decodeFullCode = (code) => {
+  const digits = code.replace("+", "").replace(/0+$/, "").toUpperCase();
+  let lat = -90;
+  let lng = -180;
+  let latSize = 0;
+  let lngSize = 0;
+
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    const place = PAIR_PLACES[i / 2];
+    lat += OLC_ALPHABET.indexOf(digits[i]) * place;
+    lng += OLC_ALPHABET.indexOf(digits[i + 1] || "2") * place;
+    latSize = place;
+    lngSize = place;
+  }
+
+  // Digits past the 10th refine a 4x5 grid.
+  for (let i = 10; i < digits.length; i++) {
+    const d = OLC_ALPHABET.indexOf(digits[i]);
+    latSize /= 5;
+    lngSize /= 4;
+    lat += Math.floor(d / 4) * latSize;
+    lng += (d % 4) * lngSize;
+  }
+
+  return { lat: lat + latSize / 2, lng: lng + lngSize / 2 };
+};
+
+const encodePrefix = (lat, lng, length) => {
+  let la = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+  let ln = (((lng + 180) % 360) + 360) % 360;
+  let out = "";
+  for (let i = 0; out.length < length; i++) {
+    const place = PAIR_PLACES[i];
+    const a = Math.floor(la / place);
+    const b = Math.floor(ln / place);
+    la -= a * place;
+    ln -= b * place;
+    out += OLC_ALPHABET[a] + OLC_ALPHABET[b];
+  }
+  return out.slice(0, length);
+};
+
+/**
+ * decodePlusCode(code, reference)
+ * Full codes ("7P28QPG7+CW") decode on their own. Short codes ("QPG7+CW") are completed with
+ * the cell nearest to reference ({ lat, lng }), the same way Google Maps does it.
+ */
+export function decodePlusCode(code, reference) {
+  const clean = String(code || "").trim().toUpperCase();
+  const plus = clean.indexOf("+");
+  if (plus < 0) return null;
+  if (plus >= 8) return decodeFullCode(clean);
+  if (!reference) return null;
+
+  const padLength = 8 - plus;
+  const resolution = Math.pow(20, 2 - padLength / 2);
+  const half = resolution / 2;
+  const point = decodeFullCode(encodePrefix(reference.lat, reference.lng, padLength) + clean);
+
+  if (reference.lat + half < point.lat && point.lat - resolution >= -90) point.lat -= resolution;
+  else if (reference.lat - half > point.lat && point.lat + resolution <= 90) point.lat += resolution;
+  if (reference.lng + half < point.lng) point.lng -= resolution;
+  else if (reference.lng - half > point.lng) point.lng += resolution;
+
+  return point;
+}
+
+// ---------- Google Maps links ----------
+const isGoogleMapsUrl = (u) =>
+  /(^|\.)google\.[a-z.]+$/.test(u.hostname) && (u.pathname.startsWith("/maps") || u.hostname.startsWith("maps."));
+
+const isShortMapsLink = (u) =>
+  u.hostname === "maps.app.goo.gl" || (u.hostname === "goo.gl" && u.pathname.startsWith("/maps"));
+
+const decodeSegment = (s) => {
+  try {
+    return decodeURIComponent(s.replace(/\+/g, " ")).trim();
+  } catch {
+    return s.trim();
+  }
+};
+
+const parseGoogleMapsUrl = (u) => {
+  const href = decodeSegment(u.href);
+  const parts = u.pathname.split("/").filter(Boolean);
+  const placeIdx = parts.indexOf("place");
+  const name = placeIdx >= 0 && parts[placeIdx + 1] ? decodeSegment(parts[placeIdx + 1]) : "";
+
+  // !3d/!4d is the place itself; @lat,lng is only where the map was centred.
+  const pin = href.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+  if (pin) return { lat: Number(pin[1]), lng: Number(pin[2]), name: parseLatLngText(name) ? "" : name };
+
+  for (const key of ["q", "query", "ll", "destination", "daddr"]) {
+    const value = u.searchParams.get(key);
+    if (!value) continue;
+    const coords = parseLatLngText(value.replace(/^loc:/, ""));
+    if (coords) return { ...coords, name };
+    // A text query: let the geocoder handle the words instead of the whole URL.
+    return { query: value.trim(), name: name || value.trim() };
+  }
+
+  const searchIdx = parts.indexOf("search");
+  if (searchIdx >= 0 && parts[searchIdx + 1]) {
+    const text = decodeSegment(parts[searchIdx + 1]);
+    const coords = parseLatLngText(text);
+    if (coords) return { ...coords, name: "" };
+  }
+
+  const at = u.pathname.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  if (at) return { lat: Number(at[1]), lng: Number(at[2]), name };
+
+  if (name) return { query: name, name };
+  return null;
+};
+
+/**
+ * parseLocationInput(text, { reference })
+ * Returns null when text should go to the geocoder as-is, otherwise one of:
+ * - { kind: "coords", lat, lng, name, source }   ready to save, no geocoding needed
+ * - { kind: "query", query, name, source }       geocode `query` instead of the raw link
+ * - { kind: "error", message, source }           recognised but unusable (e.g. short links)
+ * source is "maps_link" | "plus_code" | "lat_lng".
+ */
+export function parseLocationInput(text, { reference } = {}) {
+  const raw = typeof text === "string" ? text.trim() : "";
+  if (!raw) return null;
+
+  const coords = parseLatLngText(raw);
+  if (coords) return { kind: "coords", ...coords, name: "", source: "lat_lng" };
+
+  if (/^https?:\/\//i.test(raw)) {
+    let u;
+    try {
+      u = new URL(raw);
+    } catch {
+      return null;
+    }
+    if (isShortMapsLink(u)) {
+      return {
+        kind: "error",
+        source: "maps_link",
+        message: "Short Google Maps links can't be read here. Open it and copy the full link from the address bar.",
+      };
+    }
+    if (!isGoogleMapsUrl(u)) return null;
+
+    const parsed = parseGoogleMapsUrl(u);
+    if (!parsed) {
+      return { kind: "error", source: "maps_link", message: "Couldn't find a place in this Google Maps link." };
+    }
+    if (parsed.query) return { kind: "query", query: parsed.query, name: parsed.name, source: "maps_link" };
+    if (!isLatLng(parsed.lat, parsed.lng)) return null;
+    return { kind: "coords", lat: parsed.lat, lng: parsed.lng, name: parsed.name, source: "maps_link" };
+  }
+
+  const plus = raw.match(PLUS_CODE_RE);
+  if (plus) {
+    const point = decodePlusCode(plus[1], reference);
+    if (point && isLatLng(point.lat, point.lng)) {
+      return { kind: "coords", ...point, name: "", source: "plus_code" };
+    }
+  }
+
+  return null;
+}
+
+export const formatLatLng = ({ lat, lng }) => lat.toFixed(6) + ", " + lng.toFixed(6);
@@ -0,0 +1,70 @@
+// Marker colours come from the spot's category (see categories.js).
+const VISITED_COLOR = "#16a34a";
+const PLAN_RING_COLOR = "#111827";
+
+const svgUrl = (svg) => "data:image/svg+xml;charset=UTF-8," + encodeURIComponent(svg);
+
+const circleSvg = ({ size, fill, stroke, strokeWidth, opacity = 1, text = "" }) => {
+  const r = size / 2 - strokeWidth;
+  const label = text
+    ? `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="Arial,sans-serif" ` +
+      `font-size="${Math.round(size * 0.45)}" font-weight="700" fill="#fff">${text}</text>`
+    : "";
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    `<circle cx="${size / 2}" cy="${size / 2}" r="${r}" fill="${fill}" fill-opacity="${opacity}" ` +
+    `stroke="${stroke}" stroke-width="${strokeWidth}"/>` +
+    label +
+    `</svg>`
+  );
+};
+
+// google.maps.Icon objects are cached so re-renders don't make every marker call setIcon().
+const iconCache = new Map();
+
+/**
+ * spotMarkerIcon({ color, stopNumber, inPlan, visited })
+ * - color: the category colour
+ * - stopNumber: position in the active plan day (shown inside the marker), or null
+ * - inPlan: the spot is in the plan (any day); drawn larger with a dark ring
+ * - visited: drawn green and faded
+ *
+ * Needs the Google Maps script to be loaded.
+ */
+export function spotMarkerIcon({ color, stopNumber = null, inPlan = false, visited = false }) {
+  const key = [color, stopNumber, inPlan, visited].join("|");
+  if (iconCache.has(key)) return iconCache.get(key);
+
+  const { Point, Size } = window.google.maps;
+  const size = stopNumber ? 30 : inPlan ? 22 : 18;
+  const svg = circleSvg({
+    size,
+    fill: visited ? VISITED_COLOR : color,
+    stroke: inPlan ? PLAN_RING_COLOR : "#fff",
+    strokeWidth: 2,
+    opacity: visited ? 0.6 : 1,
+    text: stopNumber ? String(stopNumber) : visited ? "✓" : "",
+  });
+
+  const icon = {
+    url: svgUrl(svg),
+    scaledSize: new Size(size, size),
+    anchor: new Point(size / 2, size / 2),
+  };
+  iconCache.set(key, icon);
+  return icon;
+}
+
+// Cluster bubbles for <10, <100 and 100+ spots (the clusterer picks by digit count).
+export const CLUSTER_STYLES = [
+  { size: 36, color: "#f87171" },
+  { size: 44, color: "#ef4444" },
+  { size: 54, color: "#b91c1c" },
+].map(({ size, color }) => ({
+  url: svgUrl(circleSvg({ size, fill: color, stroke: color, strokeWidth: 4, opacity: 0.85 })),
+  width: size,
+  height: size,
+  textColor: "#ffffff",
+  textSize: 13,
+  fontWeight: "700",
+}));
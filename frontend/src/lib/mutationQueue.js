@@ -0,0 +1,210 @@
+import { idbDelete, idbGetAll, idbPut } from "./offlineStore";
+
+const STORE = "mutations";
+
+// Ids minted on the device for records the server hasn't seen yet.
+export const LOCAL_SPOT_PREFIX = "optimistic-";
+export const LOCAL_PLAN_PREFIX = "local-plan-";
+
+export const isLocalId = (id) =>
+  typeof id === "string" && (id.startsWith(LOCAL_SPOT_PREFIX) || id.startsWith(LOCAL_PLAN_PREFIX));
+
+// fetch() rejects with TypeError when the request never reached the server. A cancelled request
+// (AbortError) isn't being offline; callers that cancel check isAbortError first.
+export const isNetworkError = (err) => !!err && (err instanceof TypeError || err.code === "NETWORK");
+
+// The id of the spot/plan a mutation acts on (local id for records created offline).
+export const mutationTarget = (m) => {
+  const p = (m && m.payload) || {};
+  return p.tempId || p.tempPlanId || p.spotId || p.planId || null;
+};
+
+let seqCounter = 0;
+const nextSeq = () => Date.now() * 1000 + (seqCounter++ % 1000);
+
+export async function listMutations() {
+  const all = await idbGetAll(STORE);
+  return all.sort((a, b) => a.seq - b.seq);
+}
+
+export const updateMutation = (m) => idbPut(STORE, m);
+
+export const removeMutation = (id) => idbDelete(STORE, id);
+
+/**
+ * enqueueMutation(type, payload, label)
+ * - type: "spot.create" | "spot.update" | "spot.delete" | "plan.save" | "plan.delete"
+ *         | "photo.upload" | "categories.save"
+ * - payload: spot.create { tempId, body } / spot.update { spotId, body } / spot.delete { spotId }
+ *            plan.save { planId | tempPlanId, body } / plan.delete { planId }
+ *            photo.upload { spotId, photo } / categories.save { categories }
+ *
+ * Coalesces with what is already queued: deleting a record whose create is still pending
+ * drops both, saving a plan or the category list again replaces the queued payload in its
+ * original position, and spot edits are folded into a pending create or earlier edit of the
+ * same spot.
+ * Resolves with the stored mutation, or null when nothing needs to reach the server.
+ */
+export async function enqueueMutation(type, payload, label = "") {
+  const queued = (await listMutations()).filter((m) => m.status === "pending");
+  const target = mutationTarget({ payload });
+
+  if (type === "spot.delete" || type === "plan.delete") {
+    const dropTypes = type === "spot.delete" ? ["spot.create", "spot.update", "photo.upload"] : ["plan.save"];
+    const related = queued.filter((m) => dropTypes.includes(m.type) && mutationTarget(m) === target);
+    for (const m of related) await removeMutation(m.id);
+    if (isLocalId(target)) return null;
+  }
+
+  if (type === "spot.update") {
+    const existing = queued.find(
+      (m) => (m.type === "spot.create" || m.type === "spot.update") && mutationTarget(m) === target
+    );
+    if (existing) {
+      const body = { ...existing.payload.body, ...payload.body };
+      const next = { ...existing, payload: { ...existing.payload, body }, label: label || existing.label };
+      await updateMutation(next);
+      return next;
+    }
+  }
+
+  if (type === "plan.save") {
+    const existing = queued.find((m) => m.type === "plan.save" && mutationTarget(m) === target);
+    if (existing) {
+      const next = { ...existing, payload: { ...existing.payload, body: payload.body }, label };
+      await updateMutation(next);
+      return next;
+    }
+  }
+
+  if (type === "categories.save") {
+    const existing = queued.find((m) => m.type === "categories.save");
+    if (existing) {
+      const next = { ...existing, payload, label };
+      await updateMutation(next);
+      return next;
+    }
+  }
+
+  const m = {
+    id: crypto.randomUUID(),
+    seq: nextSeq(),
+    type,
+    payload,
+    label,
+    status: "pending", // pending | failed | conflict
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+  await updateMutation(m);
+  return m;
+}
+
+// Swap local ids for server ids anywhere in a payload once the create has gone through.
+const remapIds = (value, idMap) => {
+  if (typeof value === "string") return idMap[value] || value;
+  if (Array.isArray(value)) return value.map((v) => remapIds(v, idMap));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = remapIds(v, idMap);
+    return out;
+  }
+  return value;
+};
+
+const conflictMessage = (m, status) => {
+  if (m.type === "spot.delete") return "This spot was already deleted on the server.";
+  if (m.type === "spot.update" && status === 404) return "This spot no longer exists on the server.";
+  if (m.type === "plan.delete") return "This plan was already deleted on the server.";
+  if (m.type === "plan.save" && status === 404) return "This plan no longer exists on the server.";
+  if (m.type === "photo.upload" && status === 404) return "This spot no longer exists on the server.";
+  if (m.type === "categories.save" && status === 404) return "This server can't store categories yet.";
+  return "The server has a newer version of this item (HTTP " + status + ").";
+};
+
+const runReplay = async ({ send, onApplied }) => {
+  const queue = (await listMutations()).filter((m) => m.status === "pending");
+  const idMap = {};
+  // Local id -> the create that didn't go through; later changes to that record can't either.
+  const stranded = new Map();
+
+  // A create that fails or conflicts takes the changes queued on its local id with it.
+  const setAside = async (m, status, error) => {
+    await updateMutation({ ...m, status, error });
+    const localId = m.payload.tempId || m.payload.tempPlanId;
+    if (localId) stranded.set(localId, m);
+  };
+
+  for (let i = 0; i < queue.length; i++) {
+    const m = { ...queue[i], payload: remapIds(queue[i].payload, idMap) };
+
+    const blockedBy = stranded.get(mutationTarget(m));
+    if (blockedBy) {
+      const name = blockedBy.label ? "\"" + blockedBy.label + "\"" : "the item it changes";
+      await updateMutation({ ...m, status: "conflict", error: "Waiting on " + name + ", which couldn't be saved." });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await send(m);
+    } catch (err) {
+      // Still offline or signed out: stop here so later items keep their order.
+      if (isNetworkError(err) || (err && err.code === "NO_AUTH")) break;
+      await setAside(m, "failed", (err && err.message) || "Unknown error");
+      continue;
+    }
+
+    if (result.ok) {
+      await removeMutation(m.id);
+
+      const localId = m.payload.tempId || m.payload.tempPlanId;
+      const remap = { ...(result.remap || {}) };
+      if (localId && result.id && result.id !== localId) remap[localId] = result.id;
+      if (Object.keys(remap).length) {
+        Object.assign(idMap, remap);
+        // Persist the new ids so a later replay still works if this one is interrupted.
+        for (let j = i + 1; j < queue.length; j++) {
+          queue[j] = { ...queue[j], payload: remapIds(queue[j].payload, idMap) };
+          await updateMutation(queue[j]);
+        }
+      }
+
+      if (onApplied) onApplied(m, result);
+      continue;
+    }
+
+    if (result.status === 404 || result.status === 409 || result.status === 410) {
+      await setAside(m, "conflict", conflictMessage(m, result.status));
+      continue;
+    }
+
+    // Server trouble: keep it pending and try again on the next replay.
+    if (result.status >= 500) break;
+
+    await setAside(m, "failed", result.message || "Request failed (HTTP " + result.status + ")");
+  }
+
+  return idMap;
+};
+
+let replaying = null;
+
+/**
+ * replayMutations({ send, onApplied })
+ * - send(mutation): performs the request, resolves { ok, status, id?, data?, message?, remap? }
+ *   where remap lists other local values (e.g. device-only photo urls) to replace in the
+ *   mutations still queued
+ * - onApplied(mutation, result): called after each mutation the server accepted
+ *
+ * Sends pending mutations one at a time in the order they were queued. Only one replay
+ * runs at a time; overlapping calls share it.
+ */
+export function replayMutations(opts) {
+  if (!replaying) {
+    replaying = runReplay(opts).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
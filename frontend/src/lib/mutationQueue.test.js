@@ -0,0 +1,151 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { enqueueMutation, isNetworkError, listMutations, replayMutations } from "./mutationQueue";
+
+// IndexedDB isn't there under Node: keep the stores in memory.
+const stores = vi.hoisted(() => new Map());
+vi.mock("./offlineStore", () => {
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  return {
+    idbGetAll: async (name) => [...store(name).values()],
+    idbPut: async (name, value) => {
+      store(name).set(value.id, value);
+    },
+    idbDelete: async (name, id) => {
+      store(name).delete(id);
+    },
+  };
+});
+
+const spotId = "optimistic-1";
+const summary = async () => (await listMutations()).map((m) => [m.type, m.status, m.payload]);
+
+// Answers each mutation type with the queued results, in order; records what was sent.
+const server = (results) => {
+  const sent = [];
+  const send = async (m) => {
+    sent.push([m.type, m.payload]);
+    const next = results[m.type].shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { sent, send };
+};
+
+beforeEach(() => {
+  stores.clear();
+});
+
+describe("enqueueMutation", () => {
+  it("folds spot edits into the pending create", async () => {
+    await enqueueMutation("spot.create", { tempId: spotId, body: { spotName: "Phở", notes: "" } });
+    await enqueueMutation("spot.update", { spotId, body: { notes: "Go early" } });
+    expect(await summary()).toEqual([
+      ["spot.create", "pending", { tempId: spotId, body: { spotName: "Phở", notes: "Go early" } }],
+    ]);
+  });
+
+  it("drops everything queued for a local spot that is deleted", async () => {
+    await enqueueMutation("spot.create", { tempId: spotId, body: { spotName: "Phở" } });
+    await enqueueMutation("photo.upload", { spotId, photo: { id: "ph1" } });
+    expect(await enqueueMutation("spot.delete", { spotId })).toBeNull();
+    expect(await summary()).toEqual([]);
+  });
+
+  it("keeps one plan save and one category save, in their first place", async () => {
+    await enqueueMutation("plan.save", { planId: "p1", body: { name: "A" } });
+    await enqueueMutation("categories.save", { categories: [] });
+    await enqueueMutation("plan.save", { planId: "p1", body: { name: "B" } });
+    await enqueueMutation("categories.save", { categories: [{ id: "cafe" }] });
+    expect(await summary()).toEqual([
+      ["plan.save", "pending", { planId: "p1", body: { name: "B" } }],
+      ["categories.save", "pending", { categories: [{ id: "cafe" }] }],
+    ]);
+  });
+});
+
+describe("replayMutations", () => {
+  it("sends later mutations with the id the server gave the create", async () => {
+    await enqueueMutation("spot.create", { tempId: spotId, body: { spotName: "Phở" } });
+    await enqueueMutation("photo.upload", { spotId, photo: { id: "ph1" } });
+    await enqueueMutation("plan.save", { planId: "p1", body: { items: [{ spotId }] } });
+    const { sent, send } = server({
+      "spot.create": [{ ok: true, id: "s9" }],
+      "photo.upload": [{ ok: true, remap: { "local-photo:ph1": "https://cdn/ph1.jpg" } }],
+      "plan.save": [{ ok: true }],
+    });
+
+    expect(await replayMutations({ send })).toEqual({
+      [spotId]: "s9",
+      "local-photo:ph1": "https://cdn/ph1.jpg",
+    });
+    expect(sent.slice(1)).toEqual([
+      ["photo.upload", { spotId: "s9", photo: { id: "ph1" } }],
+      ["plan.save", { planId: "p1", body: { items: [{ spotId: "s9" }] } }],
+    ]);
+    expect(await summary()).toEqual([]);
+  });
+
+  it.each([404, 409, 410])("marks a %i as a conflict and carries on", async (status) => {
+    await enqueueMutation("spot.update", { spotId: "s1", body: { notes: "x" } });
+    await enqueueMutation("plan.delete", { planId: "p1" });
+    const { send } = server({ "spot.update": [{ ok: false, status }], "plan.delete": [{ ok: true }] });
+
+    await replayMutations({ send });
+    const [m] = await listMutations();
+    expect(m).toMatchObject({ type: "spot.update", status: "conflict" });
+    expect(m.error).toBeTruthy();
+  });
+
+  it("sets aside changes to a spot whose create didn't go through", async () => {
+    await enqueueMutation("spot.create", { tempId: spotId, body: { spotName: "Phở" } }, "Phở");
+    await enqueueMutation("photo.upload", { spotId, photo: { id: "ph1" } });
+    await enqueueMutation("spot.update", { spotId: "s1", body: { notes: "x" } });
+    const { sent, send } = server({
+      "spot.create": [{ ok: false, status: 422, message: "Could not find location." }],
+      "spot.update": [{ ok: true }],
+    });
+
+    await replayMutations({ send });
+    expect(sent.map(([type]) => type)).toEqual(["spot.create", "spot.update"]);
+    expect((await listMutations()).map((m) => [m.type, m.status, m.error])).toEqual([
+      ["spot.create", "failed", "Could not find location."],
+      ["photo.upload", "conflict", 'Waiting on "Phở", which couldn\'t be saved.'],
+    ]);
+  });
+
+  it("stops on a 5xx and keeps the rest pending, in order", async () => {
+    await enqueueMutation("spot.update", { spotId: "s1", body: { notes: "x" } });
+    await enqueueMutation("spot.delete", { spotId: "s2" });
+    const { sent, send } = server({ "spot.update": [{ ok: false, status: 503 }] });
+
+    await replayMutations({ send });
+    expect(sent).toHaveLength(1);
+    expect((await listMutations()).map((m) => [m.type, m.status])).toEqual([
+      ["spot.update", "pending"],
+      ["spot.delete", "pending"],
+    ]);
+  });
+
+  it("stops when the connection drops", async () => {
+    await enqueueMutation("spot.delete", { spotId: "s2" });
+    const { send } = server({ "spot.delete": [new TypeError("Failed to fetch")] });
+
+    await replayMutations({ send });
+    expect(await summary()).toEqual([["spot.delete", "pending", { spotId: "s2" }]]);
+  });
+});
+
+describe("isNetworkError", () => {
+  it("counts fetch failures and NETWORK codes", () => {
+    expect(isNetworkError(new TypeError("Failed to fetch"))).toBe(true);
+    expect(isNetworkError(Object.assign(new Error("x"), { code: "NETWORK" }))).toBe(true);
+    expect(isNetworkError(new Error("x"))).toBe(false);
+  });
+
+  it("doesn't count a cancelled request as being offline", () => {
+    expect(isNetworkError(new DOMException("The request was cancelled", "AbortError"))).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+// Multi-stop direction links for navigation apps.
+// maxStops is how many stops (waypoints + destination) one link can carry.
+export const NAV_PROVIDERS = [
+  // Google Maps URLs allow 9 waypoints plus the destination.
+  { value: "google", label: "Google Maps", maxStops: 10 },
+  // Apple Maps chains stops with "to:" in daddr; iOS caps a route at 15 places including the start.
+  { value: "apple", label: "Apple Maps", maxStops: 14 },
+  // Waze only navigates to a single destination.
+  { value: "waze", label: "Waze", maxStops: 1 },
+];
+
+export const NAV_TRAVEL_MODES = [
+  { value: "driving", label: "Driving" },
+  { value: "walking", label: "Walking" },
+];
+
+const coord = (p) => p.lat.toFixed(6) + "," + p.lng.toFixed(6);
+
+const googleUrl = (origin, stops, travelMode) => {
+  const params = new URLSearchParams({ api: "1", travelmode: travelMode });
+  // No origin: Google Maps starts from the device's current location.
+  if (origin) params.set("origin", coord(origin));
+  params.set("destination", coord(stops[stops.length - 1]));
+  if (stops.length > 1) params.set("waypoints", stops.slice(0, -1).map(coord).join("|"));
+  return "https://www.google.com/maps/dir/?" + params.toString();
+};
+
+const appleUrl = (origin, stops, travelMode) => {
+  const params = new URLSearchParams({ dirflg: travelMode === "walking" ? "w" : "d" });
+  if (origin) params.set("saddr", coord(origin));
+  params.set("daddr", stops.map(coord).join(" to:"));
+  return "https://maps.apple.com/?" + params.toString();
+};
+
+const wazeUrl = (stops) => "https://waze.com/ul?ll=" + encodeURIComponent(coord(stops[0])) + "&navigate=yes";
+
+/**
+ * buildNavigationLinks(provider, { stops, origin, travelMode })
+ * - stops: [{ lat, lng, name }] in visiting order
+ * - origin: { lat, lng, name } to start from, or null for the device's current location
+ *
+ * Splits the route into legs that fit the provider's stop limit; each leg starts where the
+ * previous one ended. Returns [{ url, from, to, stops }] where from/to are 1-based stop numbers.
+ */
+export function buildNavigationLinks(provider, { stops, origin = null, travelMode = "driving" }) {
+  const meta = NAV_PROVIDERS.find((p) => p.value === provider);
+  if (!meta) throw new Error("Unknown navigation provider: " + provider);
+
+  const valid = stops.filter((p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  const legs = [];
+
+  for (let i = 0; i < valid.length; i += meta.maxStops) {
+    const chunk = valid.slice(i, i + meta.maxStops);
+    const from = i === 0 ? origin : valid[i - 1];
+    const url =
+      provider === "google"
+        ? googleUrl(from, chunk, travelMode)
+        : provider === "apple"
+          ? appleUrl(from, chunk, travelMode)
+          : wazeUrl(chunk);
+    legs.push({ url, from: i + 1, to: i + chunk.length, stops: chunk });
+  }
+
+  return legs;
+}
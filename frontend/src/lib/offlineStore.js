@@ -0,0 +1,106 @@
+const DB_NAME = "anchoi";
+const DB_VERSION = 4;
+
+// store name -> keyPath
+const STORES = {
+  spots: "id",
+  plans: "planId",
+  mutations: "id",
+  categories: "id",
+  photos: "id",
+  sharedProgress: "planId", // a viewer's ticks and order on someone else's plan
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    let settled = false;
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, keyPath] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Gave up on this request while it was blocked; a later call opens its own.
+      if (settled) {
+        db.close();
+        return;
+      }
+      settled = true;
+      // A newer version opened in another tab: step aside so its upgrade isn't blocked.
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      settled = true;
+      reject(req.error);
+    };
+    // Another tab still holds an older version open. Don't wait for it: callers fall back to
+    // the network as they do when IndexedDB is unavailable.
+    req.onblocked = () => {
+      if (settled) return;
+      settled = true;
+      reject(new Error("IndexedDB upgrade blocked by another open tab"));
+    };
+  });
+
+  // Let a later call try again (e.g. after the user leaves private browsing).
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Runs fn(store) inside one transaction and resolves with fn's request result (if any)
+// once the transaction has committed.
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * Small promise wrapper over IndexedDB for the offline copy of spots, plans and the
+ * pending mutation queue. All functions reject when IndexedDB is unavailable;
+ * callers treat the local store as a best-effort cache.
+ */
+export const idbGetAll = (name) => withStore(name, "readonly", (store) => store.getAll());
+
+export const idbGet = (name, key) => withStore(name, "readonly", (store) => store.get(key));
+
+export const idbPut = (name, value) => withStore(name, "readwrite", (store) => store.put(value));
+
+export const idbDelete = (name, key) => withStore(name, "readwrite", (store) => store.delete(key));
+
+export const idbReplaceAll = (name, values) =>
+  withStore(name, "readwrite", (store) => {
+    store.clear();
+    for (const v of values || []) store.put(v);
+    return null;
+  });
+
+export const idbClearAll = async () => {
+  for (const name of Object.keys(STORES)) {
+    await withStore(name, "readwrite", (store) => store.clear());
+  }
+};
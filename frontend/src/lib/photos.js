@@ -0,0 +1,125 @@
+import { idbDelete, idbGet, idbPut } from "./offlineStore";
+
+// Spot photos: resized in the browser, uploaded to presigned URLs from the API and listed on the
+// spot as photos: [{ id, url, thumbUrl, width, height, createdAt }].
+// Without an upload endpoint (or offline) the images stay in IndexedDB and the urls use the
+// "local-photo:" scheme; those are only visible on this device. With API storage they are
+// uploaded later from the offline queue ("photo.upload") and never sent to the server as is.
+
+export const PHOTO_MAX_SIZE = 1600;
+export const PHOTO_THUMB_SIZE = 320;
+export const MAX_PHOTOS_PER_SPOT = 12;
+
+const LOCAL_PHOTO_PREFIX = "local-photo:";
+
+export const isLocalPhotoUrl = (url) => typeof url === "string" && url.startsWith(LOCAL_PHOTO_PREFIX);
+
+/**
+ * resizeImage(file, maxSize, quality) -> { blob, width, height }
+ * Scales the longest side down to maxSize (never up) and re-encodes as JPEG, which also drops
+ * EXIF data such as the GPS position of the photo.
+ */
+export async function resizeImage(file, maxSize, quality = 0.85) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not encode image"))), "image/jpeg", quality)
+  );
+  return { blob, width, height };
+}
+
+// Full-size and thumbnail versions of one picked file.
+export async function preparePhoto(file) {
+  if (!file || !file.type.startsWith("image/")) throw new Error("Not an image: " + (file && file.name));
+  const full = await resizeImage(file, PHOTO_MAX_SIZE);
+  const thumb = await resizeImage(file, PHOTO_THUMB_SIZE, 0.75);
+  return { full: full.blob, thumb: thumb.blob, width: full.width, height: full.height };
+}
+
+export async function putToPresignedUrl(uploadUrl, blob) {
+  const res = await fetch(uploadUrl, { method: "PUT", headers: { "Content-Type": blob.type }, body: blob });
+  if (!res.ok) throw new Error("Photo upload failed: " + res.status);
+}
+
+export function normalizePhotos(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((p) => p && typeof p.id === "string" && typeof p.url === "string" && p.url)
+    .map((p) => ({
+      id: p.id,
+      url: p.url,
+      thumbUrl: typeof p.thumbUrl === "string" && p.thumbUrl ? p.thumbUrl : p.url,
+      width: Number.isFinite(p.width) ? p.width : null,
+      height: Number.isFinite(p.height) ? p.height : null,
+      createdAt: typeof p.createdAt === "string" ? p.createdAt : null,
+    }));
+}
+
+/**
+ * coverPhotoUrl(spot, { shareable })
+ * Thumbnail of the first photo, or the coverPhotoUrl a shared plan snapshot carries.
+ * shareable skips device-only photos (used for plan snapshots other people open).
+ */
+export function coverPhotoUrl(spot, { shareable = false } = {}) {
+  if (!spot) return "";
+  const photos = normalizePhotos(spot.photos).filter((p) => !shareable || !isLocalPhotoUrl(p.url));
+  if (photos.length) return photos[0].thumbUrl;
+  return typeof spot.coverPhotoUrl === "string" ? spot.coverPhotoUrl : "";
+}
+
+// A spot body without its device-only photos, for sending to the server.
+export const withoutLocalPhotos = (body) =>
+  body && Array.isArray(body.photos)
+    ? { ...body, photos: body.photos.filter((p) => !isLocalPhotoUrl(p && p.url)) }
+    : body;
+
+/**
+ * keepLocalPhotos(photos, local)
+ * - photos: the list the server sent, which never has device-only photos
+ * - local: the list on this device; its "local-photo:" entries not yet uploaded are appended
+ */
+export function keepLocalPhotos(photos, local) {
+  const list = normalizePhotos(photos);
+  const ids = new Set(list.map((p) => p.id));
+  return [...list, ...normalizePhotos(local).filter((p) => isLocalPhotoUrl(p.url) && !ids.has(p.id))];
+}
+
+// ---------- Local stand-in ----------
+export async function saveLocalPhoto(id, { full, thumb }) {
+  await idbPut("photos", { id, full, thumb });
+  return { url: LOCAL_PHOTO_PREFIX + id + "/full", thumbUrl: LOCAL_PHOTO_PREFIX + id + "/thumb" };
+}
+
+// -> { full, thumb } blobs, or null when the image is not on this device
+export const readLocalPhoto = (id) => idbGet("photos", id).then((row) => row || null);
+
+const objectUrls = new Map();
+
+export async function deleteLocalPhoto(id) {
+  for (const size of ["full", "thumb"]) {
+    const key = LOCAL_PHOTO_PREFIX + id + "/" + size;
+    if (objectUrls.get(key)) URL.revokeObjectURL(objectUrls.get(key));
+    objectUrls.delete(key);
+  }
+  await idbDelete("photos", id);
+}
+
+// Object URL for a "local-photo:" url, or null when the image is not on this device.
+export async function resolveLocalPhotoUrl(url) {
+  if (objectUrls.has(url)) return objectUrls.get(url);
+  const [id, size] = url.slice(LOCAL_PHOTO_PREFIX.length).split("/");
+  const row = await idbGet("photos", id);
+  const blob = row && (size === "thumb" ? row.thumb : row.full);
+  const objectUrl = blob ? URL.createObjectURL(blob) : null;
+  objectUrls.set(url, objectUrl);
+  return objectUrl;
+}
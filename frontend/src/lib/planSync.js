@@ -0,0 +1,174 @@
+// Conflict-free merging of plan items between collaborators.
+// Every item field is a last-writer-wins register stamped with { ts, actor }; order within a day
+// is a fractional position key, so two people reordering, adding or ticking off different stops
+// at the same time both keep their changes. Removal is a tombstone ("removed": true) so a late
+// "visited" edit can't bring a deleted stop back, while re-adding it later still works.
+//
+// op: { spotId, field: "day" | "pos" | "visited" | "removed" | "snapshot", value, ts, actor }
+// doc: { items: { [spotId]: { [field]: { value, ts, actor } } }, clock }
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+
+const digitAt = (key, i) => (i < key.length ? DIGITS.indexOf(key[i]) : 0);
+
+// Keys never end in "0": "a0" would sort equal to "a" as a fraction and leave no room before it.
+const POSITION_KEY = /^[0-9a-z]*[1-9a-z]$/;
+export const isPositionKey = (value) => typeof value === "string" && POSITION_KEY.test(value);
+
+// Key strictly between `above` (or the start) and `below` (or the end), read as base-36 fractions.
+// The scan stops at the end of `below`, so keys that aren't in order still get an answer.
+function midpoint(above, below) {
+  const end = below === null ? 0 : below.length;
+  let n = 0;
+  while (n < end && digitAt(above, n) === digitAt(below, n)) n++;
+
+  const prefix = Array.from({ length: n }, (_, i) => DIGITS[digitAt(above, i)]).join("");
+  const lo = digitAt(above, n);
+  const hi = below === null ? BASE : digitAt(below, n);
+  if (hi - lo > 1) return prefix + DIGITS[Math.floor((lo + hi) / 2)];
+  return prefix + DIGITS[lo] + midpoint(above.slice(n + 1), null);
+}
+
+/**
+ * positionBetween(before, after)
+ * - before / after: neighbouring position keys, or null at either end of the day
+ */
+export function positionBetween(before, after) {
+  // Appending steps the first digit instead of halving, so a long plan keeps short keys.
+  if (!after && before) {
+    const first = DIGITS.indexOf(before[0]);
+    return first < BASE - 1 ? DIGITS[first + 1] : before[0] + positionBetween(before.slice(1), null);
+  }
+  return midpoint(before || "", after || null);
+}
+
+const compareStamps = (a, b) => (a.ts !== b.ts ? a.ts - b.ts : a.actor < b.actor ? -1 : a.actor > b.actor ? 1 : 0);
+
+export const emptyPlanDoc = () => ({ items: {}, clock: 0 });
+
+/**
+ * applyPlanOps(doc, ops) -> doc
+ * Order-independent and idempotent: replaying or reordering ops gives the same document.
+ * Ops come from other members' devices; a "pos" that isn't a valid key is ignored.
+ */
+export function applyPlanOps(doc, ops) {
+  const items = { ...doc.items };
+  let clock = doc.clock;
+  for (const op of ops) {
+    if (!op || typeof op.spotId !== "string" || typeof op.field !== "string") continue;
+    if (op.field === "pos" && !isPositionKey(op.value)) continue;
+    const stamp = { value: op.value, ts: Number(op.ts) || 0, actor: String(op.actor || "") };
+    const item = items[op.spotId] || {};
+    const current = item[op.field];
+    if (!current || compareStamps(stamp, current) > 0) items[op.spotId] = { ...item, [op.field]: stamp };
+    clock = Math.max(clock, stamp.ts);
+  }
+  return { items, clock };
+}
+
+const valueOf = (item, field, fallback) => (item[field] ? item[field].value : fallback);
+
+/**
+ * planDocToItems(doc) -> [{ spotId, visited, day }] in visiting order per day
+ */
+export function planDocToItems(doc) {
+  return Object.entries(doc.items)
+    .filter(([, item]) => !valueOf(item, "removed", false) && item.pos)
+    .map(([spotId, item]) => ({
+      spotId,
+      visited: !!valueOf(item, "visited", false),
+      day: Number(valueOf(item, "day", 0)) || 0,
+      pos: String(valueOf(item, "pos", "")),
+    }))
+    // Equal keys (two people inserting at the same spot) fall back to the spot id.
+    .sort((a, b) => a.day - b.day || (a.pos < b.pos ? -1 : a.pos > b.pos ? 1 : a.spotId < b.spotId ? -1 : 1))
+    .map(({ spotId, visited, day }) => ({ spotId, visited, day }));
+}
+
+// Indexes of the longest run of keys that are already in increasing order; those keep their keys.
+const increasingKeep = (keys) => {
+  const best = keys.map(() => 1);
+  const prev = keys.map(() => -1);
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i] === null) {
+      best[i] = 0;
+      continue;
+    }
+    for (let j = 0; j < i; j++) {
+      if (keys[j] !== null && keys[j] < keys[i] && best[j] + 1 > best[i]) {
+        best[i] = best[j] + 1;
+        prev[i] = j;
+      }
+    }
+  }
+  const keep = new Set();
+  let i = best.reduce((m, v, k) => (v > best[m] ? k : m), 0);
+  while (i >= 0 && keys[i] !== null) {
+    keep.add(i);
+    i = prev[i];
+  }
+  return keep;
+};
+
+/**
+ * planItemsToOps(doc, items, { actor, now, snapshotOf })
+ * Ops that turn the document into `items` (the local plan after an edit). Only fields that
+ * actually changed get a new stamp, so untouched stops never overwrite someone else's edit.
+ * snapshotOf(spotId) supplies spot details for stops the document hasn't seen yet.
+ */
+export function planItemsToOps(doc, items, { actor, now = Date.now(), snapshotOf = () => null }) {
+  let ts = Math.max(now, doc.clock + 1);
+  const ops = [];
+  const push = (spotId, field, value) => ops.push({ spotId, field, value, ts: ts++, actor });
+
+  const wanted = new Set(items.map((x) => x.spotId));
+  for (const [spotId, item] of Object.entries(doc.items)) {
+    if (!wanted.has(spotId) && !valueOf(item, "removed", false)) push(spotId, "removed", true);
+  }
+
+  const days = [...new Set(items.map((x) => x.day || 0))];
+  for (const day of days) {
+    const list = items.filter((x) => (x.day || 0) === day);
+    const existing = list.map((x) => {
+      const item = doc.items[x.spotId];
+      const live = item && !valueOf(item, "removed", false) && Number(valueOf(item, "day", 0)) === day;
+      return live && item.pos ? String(item.pos.value) : null;
+    });
+    const keep = increasingKeep(existing);
+
+    let before = null;
+    list.forEach((x, i) => {
+      const item = doc.items[x.spotId] || {};
+      const isNew = !doc.items[x.spotId] || valueOf(item, "removed", false);
+      if (isNew) {
+        push(x.spotId, "removed", false);
+        const snapshot = snapshotOf(x.spotId);
+        if (snapshot) push(x.spotId, "snapshot", snapshot);
+      }
+      if (isNew || Number(valueOf(item, "day", 0)) !== day) push(x.spotId, "day", day);
+      if (isNew || !!valueOf(item, "visited", false) !== !!x.visited) push(x.spotId, "visited", !!x.visited);
+
+      let pos = keep.has(i) ? existing[i] : null;
+      if (pos === null) {
+        const nextKept = existing.find((k, j) => j > i && keep.has(j)) || null;
+        pos = positionBetween(before, nextKept);
+        push(x.spotId, "pos", pos);
+      }
+      before = pos;
+    });
+  }
+
+  return ops;
+}
+
+/**
+ * planDocSnapshots(doc) -> { [spotId]: snapshot } for stops added by other members
+ */
+export function planDocSnapshots(doc) {
+  const out = {};
+  for (const [spotId, item] of Object.entries(doc.items)) {
+    if (item.snapshot && item.snapshot.value) out[spotId] = item.snapshot.value;
+  }
+  return out;
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { applyPlanOps, emptyPlanDoc, isPositionKey, planDocToItems, planItemsToOps, positionBetween } from "./planSync";
+
+const between = (before, after) => {
+  const key = positionBetween(before, after);
+  expect(isPositionKey(key)).toBe(true);
+  if (before) expect(key > before).toBe(true);
+  if (after) expect(key < after).toBe(true);
+  return key;
+};
+
+describe("positionBetween", () => {
+  it("keeps appended keys in order", () => {
+    let key = null;
+    for (let i = 0; i < 100; i++) key = between(key, null);
+  });
+
+  it("keeps keys inserted at the start in order", () => {
+    let key = between(null, null);
+    for (let i = 0; i < 100; i++) key = between(null, key);
+  });
+
+  it("keeps finding room between two close keys", () => {
+    let lo = "a";
+    let hi = "b";
+    for (let i = 0; i < 100; i++) {
+      if (i % 2) lo = between(lo, hi);
+      else hi = between(lo, hi);
+    }
+  });
+
+  it("returns for keys that aren't in order instead of looping", () => {
+    expect(typeof positionBetween(null, "0")).toBe("string");
+    expect(typeof positionBetween("a", "a0")).toBe("string");
+    expect(typeof positionBetween("b", "a")).toBe("string");
+  });
+});
+
+describe("applyPlanOps", () => {
+  const ops = [
+    { spotId: "s1", field: "removed", value: false, ts: 1, actor: "an" },
+    { spotId: "s1", field: "pos", value: "i", ts: 1, actor: "an" },
+    { spotId: "s2", field: "removed", value: false, ts: 2, actor: "binh" },
+    { spotId: "s2", field: "pos", value: "r", ts: 2, actor: "binh" },
+    // Same timestamp from two members: the actor breaks the tie.
+    { spotId: "s1", field: "visited", value: true, ts: 3, actor: "an" },
+    { spotId: "s1", field: "visited", value: false, ts: 3, actor: "binh" },
+    { spotId: "s2", field: "pos", value: "c", ts: 4, actor: "an" },
+    { spotId: "s2", field: "removed", value: true, ts: 5, actor: "binh" },
+    { spotId: "s2", field: "visited", value: true, ts: 4, actor: "an" },
+  ];
+  const expected = applyPlanOps(emptyPlanDoc(), ops);
+
+  it("gives the same document whatever order the ops arrive in", () => {
+    expect(applyPlanOps(emptyPlanDoc(), [...ops].reverse())).toEqual(expected);
+    const shuffled = [ops[4], ops[8], ops[1], ops[6], ops[0], ops[7], ops[3], ops[5], ops[2]];
+    expect(applyPlanOps(emptyPlanDoc(), shuffled)).toEqual(expected);
+  });
+
+  it("gives the same document when ops are replayed", () => {
+    expect(applyPlanOps(expected, ops)).toEqual(expected);
+    expect(applyPlanOps(applyPlanOps(emptyPlanDoc(), ops.slice(0, 5)), ops)).toEqual(expected);
+  });
+
+  it("resolves ties and keeps removed stops removed", () => {
+    expect(expected.clock).toBe(5);
+    expect(planDocToItems(expected)).toEqual([{ spotId: "s1", visited: false, day: 0 }]);
+  });
+
+  it("ignores position keys it can't order", () => {
+    const doc = applyPlanOps(expected, [
+      { spotId: "s1", field: "pos", value: "a0", ts: 9, actor: "x" },
+      { spotId: "s1", field: "pos", value: "A", ts: 9, actor: "x" },
+      { spotId: "s1", field: "pos", value: 5, ts: 9, actor: "x" },
+    ]);
+    expect(doc.items.s1.pos.value).toBe("i");
+  });
+});
+
+describe("planItemsToOps", () => {
+  it("merges two members reordering and ticking off at the same time", () => {
+    const start = [
+      { spotId: "s1", visited: false, day: 0 },
+      { spotId: "s2", visited: false, day: 0 },
+      { spotId: "s3", visited: false, day: 0 },
+    ];
+    const doc = applyPlanOps(emptyPlanDoc(), planItemsToOps(emptyPlanDoc(), start, { actor: "an", now: 100 }));
+
+    // An moves s3 to the front while Binh ticks off s2.
+    const moved = planItemsToOps(doc, [start[2], start[0], start[1]], { actor: "an", now: 200 });
+    const ticked = planItemsToOps(doc, [start[0], { ...start[1], visited: true }, start[2]], {
+      actor: "binh",
+      now: 200,
+    });
+
+    const merged = [
+      { spotId: "s3", visited: false, day: 0 },
+      { spotId: "s1", visited: false, day: 0 },
+      { spotId: "s2", visited: true, day: 0 },
+    ];
+    expect(planDocToItems(applyPlanOps(doc, [...moved, ...ticked]))).toEqual(merged);
+    expect(planDocToItems(applyPlanOps(doc, [...ticked, ...moved]))).toEqual(merged);
+  });
+});
@@ -0,0 +1,202 @@
+import { haversineKm } from "./geo";
+import { buildTimeline, openingWindowOf, timelinePenaltyKm } from "./schedule";
+
+const EPS = 1e-9;
+const MAX_PASSES = 50;
+
+// Node 0 is the start location, nodes 1..n are the stops. null stands for an open end.
+const buildDistance = (points) => {
+  const matrix = points.map((a) => points.map((b) => haversineKm(a, b)));
+  return (a, b) => (a === null || b === null ? 0 : matrix[a][b]);
+};
+
+const nearestNeighbour = (from, nodes, dist) => {
+  const remaining = [...nodes];
+  const ordered = [];
+  let current = from;
+
+  while (remaining.length) {
+    let bestIdx = 0;
+    let bestDist = Infinity;
+
+    for (let i = 0; i < remaining.length; i++) {
+      const d = dist(current, remaining[i]);
+      if (d < bestDist) {
+        bestDist = d;
+        bestIdx = i;
+      }
+    }
+
+    const next = remaining.splice(bestIdx, 1)[0];
+    ordered.push(next);
+    current = next;
+  }
+
+  return ordered;
+};
+
+// Reverse mid[i..k] whenever that shortens the path head -> mid -> tail.
+const twoOpt = (mid, head, tail, dist) => {
+  const m = mid.length;
+  let improved = false;
+
+  for (let i = 0; i < m - 1; i++) {
+    const a = i === 0 ? head : mid[i - 1];
+    for (let k = i + 1; k < m; k++) {
+      const b = mid[i];
+      const c = mid[k];
+      const d = k === m - 1 ? tail : mid[k + 1];
+      const delta = dist(a, c) + dist(b, d) - dist(a, b) - dist(c, d);
+      if (delta < -EPS) {
+        for (let lo = i, hi = k; lo < hi; lo++, hi--) {
+          const t = mid[lo];
+          mid[lo] = mid[hi];
+          mid[hi] = t;
+        }
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+};
+
+// Move runs of 1-3 stops (optionally reversed) to the cheapest other position.
+const orOpt = (mid, head, tail, dist) => {
+  const m = mid.length;
+  let improved = false;
+
+  for (let len = 1; len <= Math.min(3, m - 1); len++) {
+    for (let i = 0; i + len <= m; i++) {
+      const segFirst = mid[i];
+      const segLast = mid[i + len - 1];
+      const prev = i === 0 ? head : mid[i - 1];
+      const next = i + len === m ? tail : mid[i + len];
+      const removeGain = dist(prev, segFirst) + dist(segLast, next) - dist(prev, next);
+      if (removeGain <= EPS) continue;
+
+      const rest = [...mid.slice(0, i), ...mid.slice(i + len)];
+      let best = null;
+
+      for (let j = 0; j <= rest.length; j++) {
+        if (j === i) continue;
+        const p = j === 0 ? head : rest[j - 1];
+        const q = j === rest.length ? tail : rest[j];
+        const forward = dist(p, segFirst) + dist(segLast, q) - dist(p, q);
+        const reversed = dist(p, segLast) + dist(segFirst, q) - dist(p, q);
+        const cost = Math.min(forward, reversed);
+        if (cost < removeGain - EPS && (!best || cost < best.cost)) {
+          best = { j, cost, reversed: reversed < forward };
+        }
+      }
+
+      if (best) {
+        const seg = mid.slice(i, i + len);
+        if (best.reversed) seg.reverse();
+        const moved = [...rest.slice(0, best.j), ...seg, ...rest.slice(best.j)];
+        for (let x = 0; x < m; x++) mid[x] = moved[x];
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+};
+
+// Relocate single stops while it lowers distance + opening-hours penalties.
+// Full re-evaluation per move: fine for day-sized plans.
+const timeWindowPass = (mid, evaluate) => {
+  let best = evaluate(mid);
+  let improved = false;
+
+  for (let i = 0; i < mid.length; i++) {
+    for (let j = 0; j < mid.length; j++) {
+      if (i === j) continue;
+      const candidate = [...mid];
+      const [moved] = candidate.splice(i, 1);
+      candidate.splice(j, 0, moved);
+      const cost = evaluate(candidate);
+      if (cost < best - EPS) {
+        best = cost;
+        for (let x = 0; x < mid.length; x++) mid[x] = candidate[x];
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+};
+
+/**
+ * optimizeRoute({ start, stops, fixFirst, fixLast, roundTrip, startMinutes })
+ * - start: { lat, lng } where the walk begins (current location)
+ * - stops: [{ lat, lng }] in their current order
+ * - fixFirst / fixLast: keep stops[0] / stops[n-1] where they are
+ * - roundTrip: the route ends back at start
+ * - startMinutes: arrival time at the first stop; when set and stops carry openTime/closeTime,
+ *   the order also avoids arriving while a stop is closed
+ *
+ * Nearest-neighbour seed improved with 2-opt and Or-opt until neither helps.
+ * Returns { order, beforeKm, afterKm } where order lists indexes into stops.
+ */
+export function optimizeRoute({
+  start,
+  stops,
+  fixFirst = false,
+  fixLast = false,
+  roundTrip = false,
+  startMinutes = null,
+}) {
+  const n = stops.length;
+  const dist = buildDistance([start, ...stops]);
+  const initial = stops.map((_, i) => i + 1);
+
+  const routeKm = (nodes) => {
+    let total = 0;
+    let prev = 0;
+    for (const x of nodes) {
+      total += dist(prev, x);
+      prev = x;
+    }
+    if (roundTrip) total += dist(prev, 0);
+    return total;
+  };
+
+  const first = fixFirst && n > 0 ? [1] : [];
+  const last = fixLast && n > first.length ? [n] : [];
+  const head = first.length ? first[0] : 0;
+  const tail = last.length ? last[0] : roundTrip ? 0 : null;
+  const movable = initial.filter((x) => !first.includes(x) && !last.includes(x));
+
+  const mid = nearestNeighbour(head, movable, dist);
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const changed = twoOpt(mid, head, tail, dist);
+    if (!orOpt(mid, head, tail, dist) && !changed) break;
+  }
+
+  const usesHours = startMinutes !== null && stops.some((x) => openingWindowOf(x));
+  const routeCost = (nodes) => {
+    if (!usesHours) return routeKm(nodes);
+    const timeline = buildTimeline(
+      nodes.map((x) => stops[x - 1]),
+      { startMinutes }
+    );
+    return routeKm(nodes) + timelinePenaltyKm(timeline);
+  };
+
+  if (usesHours) {
+    const evaluate = (candidate) => routeCost([...first, ...candidate, ...last]);
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      if (!timeWindowPass(mid, evaluate)) break;
+    }
+  }
+
+  const best = [...first, ...mid, ...last];
+  const beforeKm = routeKm(initial);
+
+  // Never hand back something worse than what the user already had.
+  if (routeCost(best) > routeCost(initial)) {
+    return { order: initial.map((x) => x - 1), beforeKm, afterKm: beforeKm };
+  }
+  return { order: best.map((x) => x - 1), beforeKm, afterKm: routeKm(best) };
+}
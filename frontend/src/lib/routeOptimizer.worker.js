@@ -0,0 +1,11 @@
+import { optimizeRoute } from "./routeOptimizer";
+
+// Runs the optimizer off the main thread; see routeOptimizerClient.js.
+self.onmessage = (e) => {
+  const { id, input } = e.data || {};
+  try {
+    self.postMessage({ id, result: optimizeRoute(input) });
+  } catch (err) {
+    self.postMessage({ id, error: (err && err.message) || "Route optimization failed" });
+  }
+};
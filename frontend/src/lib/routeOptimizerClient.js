@@ -0,0 +1,49 @@
+import { optimizeRoute } from "./routeOptimizer";
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const failAll = (err) => {
+  for (const { reject } of pending.values()) reject(err);
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL("./routeOptimizer.worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data || {};
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  };
+  worker.onerror = (e) => {
+    // Drop the broken worker; the next call starts a fresh one.
+    worker.terminate();
+    worker = null;
+    failAll(new Error((e && e.message) || "Route worker crashed"));
+  };
+
+  return worker;
+};
+
+/**
+ * optimizeRouteOffThread(input)
+ * Same input/result as optimizeRoute(), computed in a Web Worker so large plans
+ * don't freeze the UI. Falls back to the main thread where workers aren't available.
+ */
+export function optimizeRouteOffThread(input) {
+  if (typeof Worker === "undefined") {
+    return Promise.resolve().then(() => optimizeRoute(input));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, input });
+  });
+}
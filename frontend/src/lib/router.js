@@ -0,0 +1,91 @@
+// Client-side routes on plain history URLs. Static hosts serve index.html for unknown paths
+// (GitHub Pages through the 404.html copy made in deploy.yml), so any of these can be opened
+// directly:
+//
+//   /                      first category tab
+//   /category/:categoryId  a category tab
+//   /plan                  the plan tab
+//   /spots/:spotId         a spot with its InfoWindow open
+//   /plans/:planId         one of my plans (or one I was invited to edit) in edit mode
+//   /share/:planId         read-only view of a shared plan
+//   /auth/callback         Cognito redirect; the app returns to where the login started
+//
+// route: { name, categoryId?, spotId?, planId?, legacy? }
+
+const segment = (value) => encodeURIComponent(value);
+
+// Share links from before the router: ?plan=<id>, #/?plan=<id>, #/share/<id>.
+function legacyPlanId(url) {
+  const q = url.searchParams.get("plan");
+  if (q) return q;
+
+  const hash = (url.hash || "").replace(/^#/, "");
+  if (hash.includes("?")) {
+    const fromHash = new URLSearchParams(hash.split("?")[1] || "").get("plan");
+    if (fromHash) return fromHash;
+  }
+  if (hash.includes("/share/")) {
+    const id = hash.split("/share/")[1].split("?")[0];
+    if (id) return decodeURIComponent(id);
+  }
+  return null;
+}
+
+/**
+ * parseRoute(location) -> route
+ * Unknown paths fall back to the first category tab.
+ */
+export function parseRoute(location) {
+  const url = new URL(location.href);
+  const legacy = legacyPlanId(url);
+  if (legacy) return { name: "share", planId: legacy, legacy: true };
+
+  const parts = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((p) => {
+      try {
+        return decodeURIComponent(p);
+      } catch {
+        return p;
+      }
+    });
+  const [head, id] = parts;
+
+  if (head === "share" && id) return { name: "share", planId: id };
+  if (head === "plans" && id) return { name: "editPlan", planId: id };
+  if (head === "spots" && id) return { name: "spot", spotId: id };
+  if (head === "category" && id) return { name: "category", categoryId: id };
+  if (head === "plan" && !id) return { name: "plan" };
+  if (head === "auth" && id === "callback") return { name: "authCallback" };
+  return { name: "home" };
+}
+
+/**
+ * routePath(route) -> "/share/abc" etc.
+ * - defaultCategory: the category "/" stands for, so its tab keeps the short URL
+ */
+export function routePath(route, { defaultCategory = null } = {}) {
+  switch (route.name) {
+    case "share":
+      return "/share/" + segment(route.planId);
+    case "editPlan":
+      return "/plans/" + segment(route.planId);
+    case "spot":
+      return "/spots/" + segment(route.spotId);
+    case "plan":
+      return "/plan";
+    case "category":
+      return route.categoryId === defaultCategory ? "/" : "/category/" + segment(route.categoryId);
+    case "authCallback":
+      return "/auth/callback";
+    default:
+      return "/";
+  }
+}
+
+// Tab routes: the category and plan tabs of the spot library (a selected spot keeps the tab).
+export const isLibraryRoute = (route) =>
+  route.name === "home" || route.name === "category" || route.name === "plan" || route.name === "spot";
+
+export const currentPath = () => window.location.pathname + window.location.search;
@@ -0,0 +1,126 @@
+import { haversineKm } from "./geo";
+
+export const DEFAULT_VISIT_MINUTES = 45;
+export const DEFAULT_START_TIME = "09:00";
+
+// Rough city travel: straight-line distance stretched to road distance at motorbike speed.
+const ROAD_FACTOR = 1.3;
+const TRAVEL_SPEED_KMH = 20;
+
+// Arriving up to this early means waiting for opening; anything earlier counts as closed.
+const MAX_WAIT_MINUTES = 60;
+
+const DAY_MINUTES = 24 * 60;
+
+// "HH:MM" -> minutes since midnight, or null.
+export const parseTimeOfDay = (value) => {
+  if (typeof value !== "string") return null;
+  const m = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+};
+
+// Minutes since midnight (may exceed a day) -> "HH:MM".
+export const formatTimeOfDay = (minutes) => {
+  const total = Math.round(minutes);
+  const wrapped = ((total % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  const h = Math.floor(wrapped / 60);
+  const m = wrapped % 60;
+  return String(h).padStart(2, "0") + ":" + String(m).padStart(2, "0");
+};
+
+// Local calendar date <-> "YYYY-MM-DD" (what <input type="date"> uses).
+export const toIsoDate = (date) =>
+  date.getFullYear() +
+  "-" +
+  String(date.getMonth() + 1).padStart(2, "0") +
+  "-" +
+  String(date.getDate()).padStart(2, "0");
+
+export const parseIsoDate = (value) => {
+  const m = typeof value === "string" ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const hasCoords = (x) => !!x && Number.isFinite(x.lat) && Number.isFinite(x.lng);
+
+export const estimateTravelMinutes = (a, b) => {
+  if (!hasCoords(a) || !hasCoords(b)) return 0;
+  return ((haversineKm(a, b) * ROAD_FACTOR) / TRAVEL_SPEED_KMH) * 60;
+};
+
+export const visitMinutesOf = (stop) => {
+  const v = Number(stop && stop.visitMinutes);
+  return Number.isFinite(v) && v > 0 ? v : DEFAULT_VISIT_MINUTES;
+};
+
+// { open, close } in minutes for stops with opening hours; close > open (overnight spans midnight).
+export const openingWindowOf = (stop) => {
+  const open = parseTimeOfDay(stop && stop.openTime);
+  let close = parseTimeOfDay(stop && stop.closeTime);
+  if (open === null || close === null) return null;
+  if (close <= open) close += DAY_MINUTES;
+  return { open, close };
+};
+
+// Is the stop open at `t`, and if not, when does it next open?
+const checkOpen = (window, t) => {
+  const day = Math.floor(t / DAY_MINUTES);
+  for (const k of [day - 1, day]) {
+    const open = window.open + k * DAY_MINUTES;
+    const close = window.close + k * DAY_MINUTES;
+    if (t >= open && t <= close) return { isOpen: true };
+  }
+  let nextOpen = window.open + day * DAY_MINUTES;
+  if (nextOpen < t) nextOpen += DAY_MINUTES;
+  return { isOpen: false, nextOpen };
+};
+
+/**
+ * buildTimeline(stops, { startMinutes, travelMinutes })
+ * - stops: [{ lat, lng, openTime?, closeTime?, visitMinutes? } | null] in visiting order
+ * - startMinutes: arrival at the first stop, in minutes since midnight
+ * - travelMinutes(a, b): defaults to estimateTravelMinutes
+ *
+ * Returns one entry per stop: { arrival, start, departure, waitMinutes, closedOnArrival }.
+ * Short waits for opening are absorbed; longer ones are reported as closed on arrival.
+ */
+export function buildTimeline(stops, { startMinutes, travelMinutes = estimateTravelMinutes }) {
+  let clock = startMinutes;
+
+  return stops.map((stop, i) => {
+    if (i > 0) clock += travelMinutes(stops[i - 1], stop);
+    const arrival = clock;
+
+    let start = arrival;
+    let closedOnArrival = false;
+    const window = openingWindowOf(stop);
+    if (window) {
+      const state = checkOpen(window, arrival);
+      if (!state.isOpen) {
+        if (state.nextOpen - arrival <= MAX_WAIT_MINUTES) start = state.nextOpen;
+        else closedOnArrival = true;
+      }
+    }
+
+    const departure = start + visitMinutesOf(stop);
+    clock = departure;
+
+    return { arrival, start, departure, waitMinutes: start - arrival, closedOnArrival };
+  });
+}
+
+// Penalty weights used when the optimizer trades distance against opening hours.
+const CLOSED_PENALTY_KM = 50;
+const WAIT_KM_PER_MINUTE = 0.05;
+
+export const timelinePenaltyKm = (timeline) =>
+  timeline.reduce(
+    (sum, t) => sum + (t.closedOnArrival ? CLOSED_PENALTY_KM : 0) + t.waitMinutes * WAIT_KM_PER_MINUTE,
+    0
+  );
@@ -0,0 +1,102 @@
+// The spot library is loaded per map viewport (GET /spots?bbox=...) instead of all at once.
+// The app keeps the spots near where the map is looking plus the ones it can't lose (plan stops,
+// the selected spot, spots created offline), and remembers which areas came back complete so
+// panning back over them doesn't ask again.
+//
+// bounds: { south, west, north, east } in degrees. Views across the antimeridian aren't handled;
+// they only come up far from where AnChoi is used.
+
+export const SPOT_PAGE_SIZE = 200;
+export const MAX_PAGES_PER_VIEW = 5; // beyond this the view is "truncated": zoom in for the rest
+export const VIEW_PADDING = 0.25; // fetch a margin around the view so small pans need nothing
+export const KEEP_PADDING = 1.5; // spots this far outside the view survive pruning
+export const SPOT_INDEX_LIMIT = 1500; // prune only once the index grows past this
+const MAX_LOADED_AREAS = 24;
+
+// For lookups that aren't about the map view (export, "is this category used").
+export const WORLD_BOUNDS = { south: -90, west: -180, north: 90, east: 180 };
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// google.maps.LatLngBounds -> bounds
+export function boundsFromMap(mapBounds) {
+  const sw = mapBounds.getSouthWest();
+  const ne = mapBounds.getNorthEast();
+  return { south: sw.lat(), west: sw.lng(), north: ne.lat(), east: ne.lng() };
+}
+
+/**
+ * padBounds(bounds, ratio)
+ * Grows every side by ratio of the span (0.25 adds a quarter of the height above and below).
+ */
+export function padBounds(b, ratio) {
+  const dLat = (b.north - b.south) * ratio;
+  const dLng = (b.east - b.west) * ratio;
+  return {
+    south: clamp(b.south - dLat, -90, 90),
+    west: clamp(b.west - dLng, -180, 180),
+    north: clamp(b.north + dLat, -90, 90),
+    east: clamp(b.east + dLng, -180, 180),
+  };
+}
+
+// Bounds reaching about km from a point in every direction, for "is there a spot here already".
+export function boundsAround({ lat, lng }, km) {
+  const dLat = km / 111.32;
+  const dLng = km / (111.32 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)));
+  return {
+    south: clamp(lat - dLat, -90, 90),
+    west: clamp(lng - dLng, -180, 180),
+    north: clamp(lat + dLat, -90, 90),
+    east: clamp(lng + dLng, -180, 180),
+  };
+}
+
+export const boundsContain = (outer, inner) =>
+  outer.south <= inner.south && outer.west <= inner.west && outer.north >= inner.north && outer.east >= inner.east;
+
+export const spotInBounds = (b, spot) =>
+  !!spot &&
+  Number.isFinite(spot.lat) &&
+  Number.isFinite(spot.lng) &&
+  spot.lat >= b.south &&
+  spot.lat <= b.north &&
+  spot.lng >= b.west &&
+  spot.lng <= b.east;
+
+// Query value: west,south,east,north (GeoJSON bbox order).
+export const bboxParam = (b) => [b.west, b.south, b.east, b.north].map((n) => n.toFixed(5)).join(",");
+
+// ---------- Loaded areas ----------
+export const isAreaLoaded = (areas, b) => areas.some((a) => boundsContain(a, b));
+
+// Remembers a complete area; areas it covers are dropped, the oldest go first past the cap.
+export function addLoadedArea(areas, b) {
+  return [...areas.filter((a) => !boundsContain(b, a)), b].slice(-MAX_LOADED_AREAS);
+}
+
+// ---------- Index ----------
+/**
+ * mergeAreaSpots(prev, fetched, { area, complete, keep })
+ * - area: the bounds that were queried
+ * - complete: every page came back, so a spot inside the area that isn't in `fetched` is gone
+ *   from the server and is dropped (unless keep(spot) says otherwise)
+ * Fetched spots replace the loaded copies with the same id; the rest keep their order.
+ */
+export function mergeAreaSpots(prev, fetched, { area, complete, keep = () => false }) {
+  const byId = new Map(fetched.map((s) => [s.id, s]));
+  const kept = prev
+    .filter((s) => byId.has(s.id) || !complete || !spotInBounds(area, s) || keep(s))
+    .map((s) => byId.get(s.id) || s);
+  const seen = new Set(kept.map((s) => s.id));
+  return [...kept, ...fetched.filter((s) => !seen.has(s.id))];
+}
+
+/**
+ * pruneSpots(spots, keepArea, keep) -> spots
+ * Once the index passes SPOT_INDEX_LIMIT, drops spots outside keepArea unless keep(spot).
+ */
+export function pruneSpots(spots, keepArea, keep = () => false) {
+  if (spots.length <= SPOT_INDEX_LIMIT) return spots;
+  return spots.filter((s) => spotInBounds(keepArea, s) || keep(s));
+}
@@ -0,0 +1,54 @@
+import { parseIsoDate } from "./schedule";
+
+// Private rating, notes and visit log kept on each spot (saved with PATCH /spots/{id}).
+// visits: [{ id, date: "YYYY-MM-DD", planId, planName, auto }] oldest first; `auto` entries were
+// added by marking a plan stop as done and go away again if that is undone the same day.
+
+export const RATING_VALUES = [1, 2, 3, 4, 5];
+
+export const normalizeRating = (value) => {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= 1 && n <= 5 ? n : null;
+};
+
+export function normalizeVisits(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((v) => v && typeof v.date === "string" && parseIsoDate(v.date))
+    .map((v) => ({
+      id: typeof v.id === "string" && v.id ? v.id : v.date + ":" + (v.planId || ""),
+      date: v.date,
+      planId: typeof v.planId === "string" ? v.planId : null,
+      planName: typeof v.planName === "string" ? v.planName : "",
+      auto: !!v.auto,
+    }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * addVisit(visits, { date, planId, planName, auto })
+ * A plan only logs one visit per spot per day, so marking a stop done twice doesn't double count.
+ */
+export function addVisit(visits, { date, planId = null, planName = "", auto = false }) {
+  const list = normalizeVisits(visits);
+  if (planId && list.some((v) => v.date === date && v.planId === planId)) return list;
+  const entry = { id: crypto.randomUUID(), date, planId, planName, auto };
+  return normalizeVisits([...list, entry]);
+}
+
+export const removeVisit = (visits, id) => normalizeVisits(visits).filter((v) => v.id !== id);
+
+// Undo of an automatic entry: only the one the same plan added on that date.
+export const removeAutoVisit = (visits, { date, planId = null }) =>
+  normalizeVisits(visits).filter((v) => !(v.auto && v.date === date && v.planId === planId));
+
+export const lastVisitDate = (spot) => {
+  const visits = normalizeVisits(spot && spot.visits);
+  return visits.length ? visits[visits.length - 1].date : null;
+};
+
+// "2025-03-12" -> "12 Mar 2025" in the browser's locale.
+export const formatVisitDate = (iso) => {
+  const d = parseIsoDate(iso);
+  return d ? d.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" }) : iso;
+};
@@ -0,0 +1,82 @@
+import { haversineKm } from "./geo";
+import { lastVisitDate, normalizeRating } from "./spotJournal";
+
+// Search and sort for the spot library. Matching ignores case and Vietnamese diacritics,
+// so "pho" finds "Phở" and "quan 1" finds "Quận 1".
+
+export const SPOT_SORTS = [
+  { value: "newest", label: "Newest" },
+  { value: "name", label: "Name (A–Z)" },
+  { value: "rating", label: "My rating" },
+  { value: "last_visit", label: "Recently visited" },
+  { value: "near_me", label: "Nearest to me" },
+  { value: "near_map", label: "Nearest to map centre" },
+];
+
+export const foldText = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/gi, "d")
+    .toLowerCase();
+
+/**
+ * matchesSpotQuery(spot, query)
+ * Every word of the query has to appear somewhere in the spot's name or address.
+ */
+export function matchesSpotQuery(spot, query) {
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const haystack = foldText((spot.spotName || "") + " " + (spot.address || ""));
+  return words.every((w) => haystack.includes(w));
+}
+
+const hasCoords = (s) => Number.isFinite(s.lat) && Number.isFinite(s.lng);
+
+// Creates are stamped with createdAt; spots saved before that fall back to updatedAt, and
+// the rest keep the server's order after the dated ones.
+const createdTime = (s) => {
+  const t = Date.parse(s.createdAt || s.updatedAt || "");
+  return Number.isFinite(t) ? t : -Infinity;
+};
+
+/**
+ * sortSpots(spots, { sortBy, origin })
+ * - sortBy: one of SPOT_SORTS
+ * - origin: { lat, lng } for the distance sorts; without it the list keeps its order
+ *
+ * Returns a new array; spots without coordinates go last when sorting by distance.
+ */
+export function sortSpots(spots, { sortBy = "newest", origin = null } = {}) {
+  const list = [...spots];
+
+  if (sortBy === "name") {
+    return list.sort((a, b) =>
+      (a.spotName || "").localeCompare(b.spotName || "", "vi", { sensitivity: "base" })
+    );
+  }
+
+  // Unrated / never visited spots keep their order at the end.
+  if (sortBy === "rating") {
+    return list.sort((a, b) => (normalizeRating(b.rating) || 0) - (normalizeRating(a.rating) || 0));
+  }
+
+  if (sortBy === "last_visit") {
+    return list.sort((a, b) => (lastVisitDate(b) || "").localeCompare(lastVisitDate(a) || ""));
+  }
+
+  if (sortBy === "near_me" || sortBy === "near_map") {
+    if (!origin) return list;
+    const dist = new Map(list.map((s) => [s, hasCoords(s) ? haversineKm(origin, s) : Infinity]));
+    return list.sort((a, b) => dist.get(a) - dist.get(b));
+  }
+
+  return list.sort((a, b) => {
+    const ta = createdTime(a);
+    const tb = createdTime(b);
+    return ta === tb ? 0 : tb > ta ? 1 : -1;
+  });
+}
+
+// "850 m" / "3.4 km"
+export const formatDistanceKm = (km) => (km < 1 ? Math.round(km * 1000) + " m" : km.toFixed(1) + " km");
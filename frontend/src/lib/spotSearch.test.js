@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { SPOT_LIST_FROM, SpotSchema, parseList } from "./apiSchemas";
+import { sortSpots } from "./spotSearch";
+import spotsList from "./__fixtures__/api/spots-list.json";
+
+const library = parseList(SpotSchema, spotsList.aliases, { from: SPOT_LIST_FROM }).value;
+const ids = (list) => list.map((s) => s.id);
+
+describe("sortSpots newest", () => {
+  it("keeps the server's order for spots saved without a date", () => {
+    expect(ids(sortSpots(library))).toEqual(["s1", "s2", "s3", "s4"]);
+  });
+
+  it("puts spots stamped on create first, newest on top", () => {
+    const added = [
+      { ...library[0], id: "s7", createdAt: "2025-03-01T08:00:00.000Z" },
+      { ...library[0], id: "s8", createdAt: "2025-03-02T08:00:00.000Z" },
+    ];
+    const edited = { ...library[2], updatedAt: "2025-01-10T08:00:00.000Z" };
+    const list = [library[0], added[0], library[1], edited, added[1], library[3]];
+    expect(ids(sortSpots(list))).toEqual(["s8", "s7", "s3", "s1", "s2", "s4"]);
+  });
+});
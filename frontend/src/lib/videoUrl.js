@@ -0,0 +1,137 @@
+export const VIDEO_PLATFORMS = {
+  youtube: { label: "YouTube", color: "#ff0000" },
+  tiktok: { label: "TikTok", color: "#111827" },
+  instagram: { label: "Instagram", color: "#d62976" },
+  facebook: { label: "Facebook", color: "#1877f2" },
+};
+
+const toUrl = (raw) => {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  const s = raw.trim();
+  // People paste "youtu.be/abc" without a scheme.
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(s) ? s : "https://" + s;
+  try {
+    const u = new URL(withScheme);
+    if (u.protocol !== "https:" && u.protocol !== "http:") return null;
+    if (!u.hostname.includes(".")) return null;
+    return u;
+  } catch {
+    return null;
+  }
+};
+
+const hostIs = (u, domain) => u.hostname === domain || u.hostname.endsWith("." + domain);
+
+const pathParts = (u) => u.pathname.split("/").filter(Boolean);
+
+const parseYouTube = (u) => {
+  const parts = pathParts(u);
+  let id = null;
+  let vertical = false;
+  if (hostIs(u, "youtu.be")) id = parts[0];
+  else if (parts[0] === "watch") id = u.searchParams.get("v");
+  else if (["shorts", "embed", "live", "v"].includes(parts[0])) {
+    id = parts[1];
+    vertical = parts[0] === "shorts";
+  }
+  if (!id || !/^[\w-]{11}$/.test(id)) return { id: null };
+  return {
+    id,
+    vertical,
+    embedUrl: "https://www.youtube.com/embed/" + id,
+    thumbnailUrl: "https://i.ytimg.com/vi/" + id + "/hqdefault.jpg",
+  };
+};
+
+const parseTikTok = (u) => {
+  // vm./vt.tiktok.com short links only resolve server-side; keep them as plain links.
+  if (u.hostname.startsWith("vm.") || u.hostname.startsWith("vt.")) return { id: null, shortLink: true };
+  const parts = pathParts(u);
+  const i = parts.indexOf("video");
+  const id = i >= 0 ? parts[i + 1] : parts[0] === "embed" ? parts[parts.length - 1] : null;
+  if (!id || !/^\d{8,}$/.test(id)) return { id: null };
+  return { id, vertical: true, embedUrl: "https://www.tiktok.com/embed/v2/" + id };
+};
+
+const parseInstagram = (u) => {
+  const parts = pathParts(u);
+  const kind = parts[0] === "reels" ? "reel" : parts[0];
+  const id = parts[1];
+  if (!["p", "reel", "tv"].includes(kind) || !id || !/^[\w-]+$/.test(id)) return { id: null };
+  return {
+    id,
+    vertical: true,
+    embedUrl: "https://www.instagram.com/" + kind + "/" + id + "/embed",
+  };
+};
+
+const parseFacebook = (u) => {
+  if (hostIs(u, "fb.watch")) return { id: null, shortLink: true };
+  const parts = pathParts(u);
+  let id = null;
+  if (parts[0] === "watch") id = u.searchParams.get("v");
+  else if (parts[0] === "reel") id = parts[1];
+  else {
+    const i = parts.indexOf("videos");
+    if (i >= 0) id = parts[parts.length - 1];
+  }
+  if (!id || !/^\d+$/.test(id)) return { id: null };
+  return {
+    id,
+    vertical: parts[0] === "reel",
+    embedUrl:
+      "https://www.facebook.com/plugins/video.php?show_text=false&href=" + encodeURIComponent(u.href),
+  };
+};
+
+const PARSERS = [
+  { platform: "youtube", domains: ["youtube.com", "youtu.be", "youtube-nocookie.com"], parse: parseYouTube },
+  { platform: "tiktok", domains: ["tiktok.com"], parse: parseTikTok },
+  { platform: "instagram", domains: ["instagram.com"], parse: parseInstagram },
+  { platform: "facebook", domains: ["facebook.com", "fb.watch", "fb.com"], parse: parseFacebook },
+];
+
+/**
+ * parseVideoUrl(raw)
+ * Returns null for strings that are not http(s) URLs, otherwise
+ * { url, platform, id, vertical, embedUrl, thumbnailUrl, shortLink }.
+ * platform is null for unknown hosts; id/embedUrl are null when the link has no usable video id.
+ */
+export function parseVideoUrl(raw) {
+  const u = toUrl(raw);
+  if (!u) return null;
+
+  const base = {
+    url: u.href,
+    platform: null,
+    id: null,
+    vertical: false,
+    embedUrl: null,
+    thumbnailUrl: null,
+    shortLink: false,
+  };
+
+  const match = PARSERS.find((p) => p.domains.some((d) => hostIs(u, d)));
+  if (!match) return base;
+
+  return { ...base, platform: match.platform, ...match.parse(u) };
+}
+
+/**
+ * validateVideoUrl(raw) -> { error } | { warning } | {}
+ * Errors block saving; warnings only ask the user to double check.
+ */
+export function validateVideoUrl(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return {};
+  const v = parseVideoUrl(raw);
+  if (!v) return { error: "This doesn't look like a link. Paste the full video URL." };
+  if (!v.platform) {
+    return { warning: "Not a TikTok, YouTube, Instagram or Facebook link. It will be saved as a plain link." };
+  }
+  const label = VIDEO_PLATFORMS[v.platform].label;
+  if (v.shortLink) {
+    return { warning: "Short " + label + " links can't be previewed. Open it and copy the full link to get a player." };
+  }
+  if (!v.id) return { error: "Couldn't find a video in this " + label + " link." };
+  return {};
+}
@@ -0,0 +1,47 @@
+import { idbDelete, idbGet, idbPut } from "./offlineStore";
+
+// A viewer's own copy of someone else's shared plan: the stops they ticked off, removed or
+// reordered. Kept per shared plan id on the device, and on their account when they opt in.
+// progress: { planId, items: [{ spotId, visited, day }], baseSpotIds, sync, updatedAt }
+// items is null after a reset: the plan shows as shared, and `sync` remembers the opt-in.
+// baseSpotIds are the plan's stops when the progress was saved, so stops the owner adds later
+// still show up while stops the viewer removed stay removed.
+
+/**
+ * applyViewerProgress(sharedItems, progress, dayCount)
+ * - sharedItems: the plan as its owner saved it
+ * - progress: the saved progress, or null
+ * - dayCount: days in the shared plan; stops on days that no longer exist move to the last one
+ */
+export function applyViewerProgress(sharedItems, progress, dayCount = Infinity) {
+  if (!progress || !Array.isArray(progress.items)) return sharedItems;
+
+  const inPlan = new Set(sharedItems.map((x) => x.spotId));
+  const base = new Set(Array.isArray(progress.baseSpotIds) ? progress.baseSpotIds : []);
+  const lastDay = Math.max(0, dayCount - 1);
+
+  const kept = progress.items
+    .filter((x) => x && inPlan.has(x.spotId))
+    .map((x) => ({
+      spotId: x.spotId,
+      visited: !!x.visited,
+      day: Math.min(lastDay, typeof x.day === "number" && x.day >= 0 ? Math.floor(x.day) : 0),
+    }));
+  const keptIds = new Set(kept.map((x) => x.spotId));
+  const added = sharedItems.filter((x) => !base.has(x.spotId) && !keptIds.has(x.spotId));
+  return [...kept, ...added];
+}
+
+const savedAt = (p) => (p && Date.parse(p.updatedAt)) || 0;
+
+// The device copy and the account copy: whichever was saved last.
+export const newerProgress = (a, b) => (savedAt(b) > savedAt(a) ? b : a || b || null);
+
+export const readViewerProgress = (planId) => idbGet("sharedProgress", planId).catch(() => null);
+
+export const writeViewerProgress = (progress) =>
+  idbPut("sharedProgress", progress).catch(() => {
+    // best effort: the viewer just starts over next time
+  });
+
+export const deleteViewerProgress = (planId) => idbDelete("sharedProgress", planId).catch(() => {});